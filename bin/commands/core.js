@@ -27,7 +27,10 @@ function getClient() {
     throw new Error('ERC3_API_KEY environment variable is required');
   }
 
-  return new ERC3({ apiKey, baseUrl });
+  // Logs go to stderr so --json output stays pipeable
+  const logger = process.env.ERC3_LOG_LEVEL || (process.env.DEBUG ? 'debug' : 'silent');
+
+  return new ERC3({ apiKey, baseUrl, logger });
 }
 
 function formatJSON(obj) {
@@ -133,6 +136,35 @@ export async function handleCoreCommand(command, args) {
         break;
       }
 
+      case 'task:follow': {
+        const taskId = parsed._[0];
+        if (!taskId) {
+          throw new Error('Task ID is required');
+        }
+
+        // Ctrl+C stops following, like tail -f
+        const controller = new AbortController();
+        process.once('SIGINT', () => controller.abort());
+
+        const logs = client.followTask(taskId, {
+          since: parsed.since ? parseInt(parsed.since) : null,
+          intervalMs: parsed.interval ? parseInt(parsed.interval) : undefined,
+          maxIntervalMs: parsed['max-interval'] ? parseInt(parsed['max-interval']) : undefined,
+        }, { signal: controller.signal });
+
+        let step;
+        while (!(step = await logs.next()).done) {
+          const entry = step.value;
+          console.log(`${new Date(entry.time).toISOString()} [${entry.type}] ${entry.text}`);
+        }
+
+        const task = step.value;
+        if (task?.status === 'completed') {
+          console.error(`Task ${taskId} completed${task.score != null ? ` (score: ${task.score})` : ''}`);
+        }
+        break;
+      }
+
       case 'task:complete': {
         const taskId = parsed._[0];
         if (!taskId) {
@@ -27,7 +27,10 @@ function getClient() {
     throw new Error('ERC3_API_KEY environment variable is required');
   }
 
-  return new ERC3({ apiKey, baseUrl });
+  // Logs go to stderr so --json output stays pipeable
+  const logger = process.env.ERC3_LOG_LEVEL || (process.env.DEBUG ? 'debug' : 'silent');
+
+  return new ERC3({ apiKey, baseUrl, logger });
 }
 
 function formatJSON(obj) {
@@ -2,7 +2,9 @@
  * Store API Commands
  */
 
-import { ERC3, ApiException } from '../../src/index.js';
+import { ERC3, ApiException, Money } from '../../src/index.js';
+
+const money = new Money();
 
 function parseArgs(args) {
   const parsed = { _: [] };
@@ -27,7 +29,10 @@ function getClient() {
     throw new Error('ERC3_API_KEY environment variable is required');
   }
 
-  return new ERC3({ apiKey, baseUrl });
+  // Logs go to stderr so --json output stays pipeable
+  const logger = process.env.ERC3_LOG_LEVEL || (process.env.DEBUG ? 'debug' : 'silent');
+
+  return new ERC3({ apiKey, baseUrl, logger });
 }
 
 function formatJSON(obj) {
@@ -37,9 +42,9 @@ function formatJSON(obj) {
 function formatBasket(basket) {
   console.log('\n=== Shopping Basket ===');
   console.log(`Items: ${basket.items?.length || 0}`);
-  console.log(`Subtotal: $${(basket.subtotal || 0).toFixed(2)}`);
-  console.log(`Discount: $${(basket.discount || 0).toFixed(2)}`);
-  console.log(`Total: $${(basket.total || 0).toFixed(2)}`);
+  console.log(`Subtotal: ${money.format(basket.subtotal || 0)}`);
+  console.log(`Discount: ${money.format(basket.discount || 0)}`);
+  console.log(`Total: ${money.format(basket.total || 0)}`);
   if (basket.coupon) {
     console.log(`Coupon: ${basket.coupon}`);
   }
@@ -47,7 +52,7 @@ function formatBasket(basket) {
   if (basket.items && basket.items.length > 0) {
     console.log('\nItems:');
     basket.items.forEach((item, i) => {
-      console.log(`  ${i + 1}. ${item.sku}: ${item.quantity} x $${(item.price).toFixed(2)}`);
+      console.log(`  ${i + 1}. ${item.sku}: ${item.quantity} x ${money.format(item.price)}`);
     });
   }
   console.log('');
@@ -62,7 +67,7 @@ function formatProducts(result) {
   if (result.products && result.products.length > 0) {
     result.products.forEach((product, i) => {
       console.log(`${i + 1}. ${product.name} (${product.sku})`);
-      console.log(`   Price: $${(product.price).toFixed(2)}`);
+      console.log(`   Price: ${money.format(product.price)}`);
       console.log(`   Available: ${product.available}`);
       console.log('');
     });
@@ -169,9 +174,9 @@ export async function handleStoreCommand(command, args) {
         console.log('\n✓ Checkout completed!');
         console.log('\n=== Order Summary ===');
         console.log(`Items: ${result.items?.length || 0}`);
-        console.log(`Subtotal: $${(result.subtotal || 0).toFixed(2)}`);
-        console.log(`Discount: $${(result.discount || 0).toFixed(2)}`);
-        console.log(`Total: $${(result.total || 0).toFixed(2)}`);
+        console.log(`Subtotal: ${money.format(result.subtotal || 0)}`);
+        console.log(`Discount: ${money.format(result.discount || 0)}`);
+        console.log(`Total: ${money.format(result.total || 0)}`);
         if (result.coupon) {
           console.log(`Coupon used: ${result.coupon}`);
         }
@@ -179,7 +184,7 @@ export async function handleStoreCommand(command, args) {
         if (result.items && result.items.length > 0) {
           console.log('\nItems purchased:');
           result.items.forEach((item, i) => {
-            console.log(`  ${i + 1}. ${item.sku}: ${item.quantity} x $${(item.price).toFixed(2)}`);
+            console.log(`  ${i + 1}. ${item.sku}: ${item.quantity} x ${money.format(item.price)}`);
           });
         }
         console.log('');
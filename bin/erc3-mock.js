@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * ERC3 Mock CLI - Local mock server for the ERC3 Core, Store and Demo APIs
+ *
+ * Starts an in-memory ERC3 server so agents, examples and the other CLIs
+ * can run without network access.
+ */
+
+import { startMockServer } from '../src/mock/index.js';
+
+function showHelp() {
+  console.log(`
+ERC3 Mock CLI - Local mock server for the ERC3 APIs
+
+Usage: erc3-mock [options]
+
+OPTIONS:
+  --port <n>                Port to listen on (default: 8787)
+  --host <host>             Host to bind (default: 127.0.0.1)
+  --seed <n>                Seed for IDs and secrets (default: 1)
+  --latency <ms>            Artificial latency per request (default: 0)
+  --account-key <key>       Only accept this account key (default: any key)
+
+EXAMPLES:
+  # Start the server
+  erc3-mock --port 8787
+
+  # In another shell, point the CLIs at it
+  export ERC3_BASE_URL=http://127.0.0.1:8787
+  export ERC3_API_KEY=mock-key
+  erc3 session:start store --workspace local --name "Offline run"
+
+  # Run the examples locally
+  node examples/store-example.js
+
+For more information: https://github.com/restyler/erc3-js
+`);
+}
+
+function parseArgs(args) {
+  const parsed = { _: [] };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const key = args[i].slice(2);
+      const value = args[i + 1];
+      parsed[key] = value;
+      i++;
+    } else {
+      parsed._.push(args[i]);
+    }
+  }
+  return parsed;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args[0] === '--help' || args[0] === '-h') {
+    showHelp();
+    process.exit(0);
+  }
+
+  const parsed = parseArgs(args);
+
+  try {
+    const server = await startMockServer({
+      port: parsed.port ? parseInt(parsed.port) : 8787,
+      host: parsed.host || '127.0.0.1',
+      seed: parsed.seed ? parseInt(parsed.seed) : 1,
+      latencyMs: parsed.latency ? parseInt(parsed.latency) : 0,
+      accountKeys: parsed['account-key'] ? [parsed['account-key']] : null,
+    });
+
+    console.log(`ERC3 mock server listening on ${server.url}`);
+    console.log(`\n  export ERC3_BASE_URL=${server.url}`);
+    console.log(`  export ERC3_API_KEY=${parsed['account-key'] || 'mock-key'}\n`);
+
+    const shutdown = async () => {
+      await server.close();
+      process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  } catch (error) {
+    console.error('Error:', error.message);
+    if (process.env.DEBUG) {
+      console.error(error.stack);
+    }
+    process.exit(1);
+  }
+}
+
+main();
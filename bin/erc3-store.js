@@ -52,6 +52,7 @@ COMMANDS:
 ENVIRONMENT VARIABLES:
   ERC3_API_KEY              API key for authentication (required)
   ERC3_BASE_URL             Base URL (default: https://erc.timetoact-group.at)
+  ERC3_LOG_LEVEL            Log level for stderr: silent, error, info, debug (default: silent)
 
 EXAMPLES:
   # List products (max 3 per page)
@@ -20,6 +20,7 @@ const COMMANDS = {
   'session:submit': 'Submit session for evaluation',
   'task:start': 'Start a task',
   'task:view': 'View task details',
+  'task:follow': 'Follow task logs until the task completes',
   'task:complete': 'Complete a task',
   'task:log': 'Log LLM usage for a task',
 };
@@ -60,6 +61,12 @@ CORE COMMANDS:
     --since <timestamp>         Get logs since timestamp
     Example: erc3 task:view tsk-456
 
+  task:follow <task-id>         Print task logs as they arrive, until the task completes
+    --since <timestamp>         Start from logs at this timestamp
+    --interval <ms>             Shortest delay between polls (default: 1000)
+    --max-interval <ms>         Longest delay between polls (default: 10000)
+    Example: erc3 task:follow tsk-456
+
   task:complete <task-id>       Complete a task
     Example: erc3 task:complete tsk-456
 
@@ -77,6 +84,7 @@ BENCHMARK-SPECIFIC CLIS:
 ENVIRONMENT VARIABLES:
   ERC3_API_KEY                  API key for authentication (required)
   ERC3_BASE_URL                 Base URL (default: https://erc.timetoact-group.at)
+  ERC3_LOG_LEVEL                Log level for stderr: silent, error, info, debug (default: silent)
 
 COMMON WORKFLOW:
   1. List benchmarks:           erc3 benchmarks
@@ -38,6 +38,7 @@ async function main() {
 
     // Get Store API client
     const store = client.getStoreClient(task);
+    const { money } = store; // amounts are in dollars; money formats them exactly
     console.log('✓ Store client created');
 
     // Browse products with pagination
@@ -90,13 +91,13 @@ async function main() {
     console.log('\n--- Viewing Basket ---');
     const basket = await store.viewBasket();
     console.log('Items in basket:', basket.items.length);
-    console.log('Subtotal:', `$${basket.subtotal / 100}`);
-    console.log('Discount:', `$${basket.discount / 100}`);
-    console.log('Total:', `$${basket.total / 100}`);
+    console.log('Subtotal:', money.format(basket.subtotal));
+    console.log('Discount:', money.format(basket.discount));
+    console.log('Total:', money.format(basket.total));
 
     basket.items.forEach(item => {
       const product = allProducts.find(p => p.sku === item.sku);
-      console.log(`  - ${product?.name || item.sku}: ${item.quantity} x $${item.price}`);
+      console.log(`  - ${product?.name || item.sku}: ${item.quantity} x ${money.format(item.price)}`);
     });
 
     // Try applying a coupon (example - may not work for all tasks)
@@ -107,8 +108,8 @@ async function main() {
       try {
         await store.applyCoupon(coupon);
         const updatedBasket = await store.viewBasket();
-        console.log(`✓ Coupon ${coupon} applied: -$${updatedBasket.discount / 100}`);
-        console.log(`  New total: $${updatedBasket.total / 100}`);
+        console.log(`✓ Coupon ${coupon} applied: -${money.format(updatedBasket.discount)}`);
+        console.log(`  New total: ${money.format(updatedBasket.total)}`);
 
         // Remove coupon for next test
         await store.removeCoupon();
@@ -124,15 +125,15 @@ async function main() {
     const finalBasket = await store.viewBasket();
     console.log('Final basket before checkout:');
     console.log(`  Items: ${finalBasket.items.length}`);
-    console.log(`  Total: $${finalBasket.total / 100}`);
+    console.log(`  Total: ${money.format(finalBasket.total)}`);
 
     const checkoutResult = await store.checkout();
     console.log('\n✓ Checkout completed!');
     console.log('Order summary:');
     console.log(`  Items purchased: ${checkoutResult.items.length}`);
-    console.log(`  Subtotal: $${checkoutResult.subtotal / 100}`);
-    console.log(`  Discount: $${checkoutResult.discount / 100}`);
-    console.log(`  Total: $${checkoutResult.total / 100}`);
+    console.log(`  Subtotal: ${money.format(checkoutResult.subtotal)}`);
+    console.log(`  Discount: ${money.format(checkoutResult.discount)}`);
+    console.log(`  Total: ${money.format(checkoutResult.total)}`);
     if (checkoutResult.coupon) {
       console.log(`  Coupon used: ${checkoutResult.coupon}`);
     }
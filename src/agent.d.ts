@@ -0,0 +1,120 @@
+/**
+ * Reference LLM agent for the ERC3 benchmarks
+ *
+ * @module erc3-js/agent
+ */
+
+import { EventEmitter } from 'node:events';
+import type { ApiException, RequestOptions } from './common.js';
+import type { ERC3, LLMUsage } from './client.js';
+import type { UsageTracker } from './usage.js';
+import type { ToolCall, ToolDefinitions, ToolFormat } from './tools.js';
+
+export type StopReason = 'done' | 'max_steps' | 'aborted';
+
+export declare const STOP_REASONS: StopReason[];
+
+/**
+ * Tool call made by the model
+ */
+export interface ModelToolCall {
+  /** Provider call ID, echoed in the tool message */
+  id?: string;
+  /** Tool function name or path */
+  name: string;
+  /** Arguments object, or its JSON string */
+  arguments?: Record<string, unknown> | string;
+}
+
+export type AgentMessage =
+  | { role: 'user'; content: string }
+  | { role: 'assistant'; content: string | null; toolCalls: ModelToolCall[] }
+  | {
+      role: 'tool';
+      toolCallId: string | null;
+      name: string;
+      /** `dispatch()` result, or `{ error, code }` when the call was rejected */
+      content: unknown;
+      isError: boolean;
+    };
+
+export interface ModelRequest<F extends ToolFormat = ToolFormat> {
+  system: string | null;
+  messages: AgentMessage[];
+  tools: Array<ToolDefinitions[F]>;
+  signal?: AbortSignal;
+}
+
+export interface ModelReply {
+  content?: string | null;
+  toolCalls?: ModelToolCall[];
+  usage?: LLMUsage;
+  /** Model reported to logLLM (default: the adapter name) */
+  model?: string;
+}
+
+/**
+ * Adapter between the agent and an LLM API
+ */
+export interface ModelAdapter<F extends ToolFormat = ToolFormat> {
+  /** Model reported to logLLM */
+  name?: string;
+  /** Format of the tool definitions passed to `complete` (default: 'generic') */
+  toolFormat?: F;
+  complete(request: ModelRequest<F>): Promise<ModelReply>;
+}
+
+export interface AgentOptions {
+  /** System prompt passed to the adapter */
+  system?: string;
+  /** Maximum number of model turns (default: 20) */
+  maxSteps?: number;
+  /** Log every model turn with logLLM (default: true) */
+  logLLM?: boolean;
+}
+
+/**
+ * Benchmark client driven by the agent (`StoreClient`, `DemoClient`)
+ */
+export interface AgentToolClient {
+  dispatch(request: ToolCall, options?: RequestOptions): Promise<unknown>;
+  getToolDefinitions(format?: ToolFormat): unknown[];
+}
+
+export interface AgentTaskContext {
+  taskId: string;
+  api: AgentToolClient | null;
+  client: ERC3;
+  /** Task text (default: read with viewTask) */
+  taskText?: string | null;
+  /** Tracker logging the LLM calls of the task (default: client.usageTracker) */
+  usage?: UsageTracker;
+  signal?: AbortSignal;
+}
+
+export interface AgentResult {
+  stopReason: StopReason;
+  /** Content of the last model turn */
+  output: string | null;
+  steps: number;
+  toolCalls: number;
+  /** Token totals over all turns */
+  usage: Required<Pick<LLMUsage, 'prompt_tokens' | 'completion_tokens' | 'total_tokens'>>;
+  messages: AgentMessage[];
+  durationSec: number;
+}
+
+export interface AgentEvents {
+  turn: [{ step: number; reply: ModelReply; durationSec: number }];
+  toolCall: [{ step: number; call: ModelToolCall; result: unknown; error: ApiException | null }];
+}
+
+export class Agent extends EventEmitter<AgentEvents> {
+  constructor(model: ModelAdapter<any>, options?: AgentOptions);
+  model: ModelAdapter<any>;
+  system: string | null;
+  maxSteps: number;
+  logLLM: boolean;
+
+  run(ctx: AgentTaskContext, options?: RequestOptions): Promise<AgentResult>;
+}
@@ -0,0 +1,235 @@
+/**
+ * Reference LLM agent for the ERC3 benchmarks
+ *
+ * @module erc3-js/agent
+ */
+
+import { EventEmitter } from 'node:events';
+import { ApiException } from './common.js';
+import { normalizeUsage } from './usage.js';
+
+/**
+ * Reasons an agent run stops
+ *
+ * - `done`: the model answered without calling a tool
+ * - `max_steps`: the step budget ran out
+ * - `aborted`: the signal fired
+ */
+export const STOP_REASONS = ['done', 'max_steps', 'aborted'];
+
+/**
+ * Runs a tool-calling loop between a model and a benchmark client
+ *
+ * The model is reached through an adapter, so any LLM API (or a scripted
+ * fake) can be plugged in:
+ *
+ * ```javascript
+ * const adapter = {
+ *   name: 'gpt-4o',          // model reported to logLLM
+ *   toolFormat: 'openai',    // format of the tools passed to complete() (default: 'generic')
+ *   async complete({ system, messages, tools, signal }) {
+ *     // ...call the LLM API...
+ *     return { content, toolCalls: [{ id, name, arguments }], usage };
+ *   },
+ * };
+ * ```
+ *
+ * `messages` is a provider-neutral transcript the adapter converts:
+ * `{ role: 'user', content }`, `{ role: 'assistant', content, toolCalls }`
+ * and `{ role: 'tool', toolCallId, name, content, isError }`, where tool
+ * `content` is the `dispatch()` result (or `{ error, code }`). `arguments`
+ * of a tool call is an object or a JSON string.
+ *
+ * Each turn, the tool calls are run in order through `api.dispatch()` and
+ * their results appended to the transcript. Rejected calls (an
+ * `ApiException`, such as a `ToolValidationError` or a vetoed checkout) are
+ * returned to the model as errors so it can correct them; other errors
+ * end the run. After every model turn the usage and duration are logged
+ * through a `UsageTracker`, so a failed log request stays queued instead of
+ * ending the run. The loop ends when the model answers without tool calls, the
+ * step budget runs out or the signal fires. With a client `ledger`, its
+ * budget is checked before every turn.
+ *
+ * The agent is an `EventEmitter`:
+ * - `turn`: `{ step, reply, durationSec }`
+ * - `toolCall`: `{ step, call, result, error }`
+ *
+ * @example
+ * ```javascript
+ * import { ERC3, Agent } from 'erc3-js';
+ *
+ * const client = new ERC3();
+ * const agent = new Agent(adapter, { maxSteps: 30, system: 'You are a careful shopper.' });
+ *
+ * // Inside runTask or SessionRunner: the context has the task text and the store client
+ * const result = await client.runTask(task, ctx => agent.run(ctx));
+ * console.log(result.output.stopReason, result.output.output);
+ * ```
+ */
+export class Agent extends EventEmitter {
+  /**
+   * Creates an agent
+   *
+   * @param {Object} model - Model adapter `{ name, toolFormat, complete(request) }`
+   * @param {Object} options - Agent options
+   * @param {string} options.system - System prompt passed to the adapter
+   * @param {number} options.maxSteps - Maximum number of model turns (default: 20)
+   * @param {boolean} options.logLLM - Log every model turn with `logLLM` (default: true)
+   * @throws {Error} When the adapter has no `complete` function or maxSteps is invalid
+   */
+  constructor(model, options = {}) {
+    super();
+    if (typeof model?.complete !== 'function') {
+      throw new Error('Agent needs a model adapter with a complete({ system, messages, tools, signal }) function');
+    }
+    this.model = model;
+    this.system = options.system ?? null;
+    this.maxSteps = options.maxSteps ?? 20;
+    this.logLLM = options.logLLM ?? true;
+
+    if (!Number.isInteger(this.maxSteps) || this.maxSteps < 1) {
+      throw new Error(`Invalid maxSteps: ${this.maxSteps}. Use an integer >= 1.`);
+    }
+  }
+
+  /**
+   * Solves a task
+   *
+   * Takes the context passed to `runTask` work functions, or the same
+   * fields given by hand. The task text is read with `viewTask` when
+   * missing. LLM calls are logged through the task's tracker `ctx.usage`
+   * when present (so a `SessionRunner` checkpoint counts them), otherwise
+   * through `client.usageTracker`.
+   *
+   * @param {Object} ctx - Task context
+   * @param {string} ctx.taskId - Task ID
+   * @param {Object} ctx.api - Benchmark client with `dispatch()` and `getToolDefinitions()`
+   * @param {ERC3} ctx.client - ERC3 client, for `viewTask` and `logLLM`
+   * @param {string} ctx.taskText - Task text (default: read with `viewTask`)
+   * @param {UsageTracker} ctx.usage - Tracker logging the LLM calls of the task (default: `client.usageTracker`)
+   * @param {AbortSignal} ctx.signal - Stops the loop before the next turn
+   * @param {Object} options - Request options ({ signal, timeoutMs }) for tool calls and logging
+   * @returns {Promise<Object>} Result `{ stopReason, output, steps, toolCalls, usage,
+   *   messages, durationSec }`: `output` is the content of the last model turn,
+   *   `usage` the token totals over all turns
+   * @throws {ApiException} When the task cannot be read
+   * @throws {BudgetExceededError} When the client's ledger budget is used up before a turn
+   * @throws {Error} When there is no benchmark client, no tracker to log turns
+   *   with, the adapter fails, or a tool fails with something other than an `ApiException`
+   */
+  async run(ctx, options = {}) {
+    const { taskId, api, client } = ctx;
+    if (typeof api?.dispatch !== 'function') {
+      throw new Error(`Agent needs a benchmark client with dispatch() in ctx.api (task ${taskId})`);
+    }
+    const signal = options.signal ?? ctx.signal;
+    const requestOptions = { ...options, signal };
+    const startedAt = Date.now();
+
+    let taskText = ctx.taskText;
+    if (taskText == null) {
+      taskText = (await client.viewTask(taskId, null, requestOptions)).task_text;
+    }
+    const tracker = ctx.usage ?? client?.usageTracker ?? null;
+    if (this.logLLM && !tracker) {
+      throw new Error(`Agent needs ctx.usage or ctx.client to log LLM calls (task ${taskId})`);
+    }
+
+    const tools = api.getToolDefinitions(this.model.toolFormat ?? 'generic');
+    const messages = [{ role: 'user', content: taskText }];
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    let stopReason = 'max_steps';
+    let output = null;
+    let steps = 0;
+    let toolCalls = 0;
+
+    while (steps < this.maxSteps) {
+      if (signal?.aborted) {
+        stopReason = 'aborted';
+        break;
+      }
+
+      client?.ledger?.check(taskId);
+      const turnStartedAt = Date.now();
+      const reply = await this.model.complete({ system: this.system, messages: [...messages], tools, signal });
+      const durationSec = (Date.now() - turnStartedAt) / 1000;
+      steps++;
+      addUsage(usage, reply.usage ?? {});
+      const model = reply.model ?? this.model.name ?? 'unknown';
+      if (this.logLLM) {
+        // Never throws: a failed log request stays queued in the tracker
+        await tracker.record(taskId, { model, usage: reply.usage ?? {}, durationSec }, requestOptions);
+      } else {
+        // Unlogged turns still count towards the budget
+        client?.ledger?.record(taskId, { model, usage: reply.usage ?? {} });
+      }
+      this.emit('turn', { step: steps, reply, durationSec });
+
+      const calls = reply.toolCalls ?? [];
+      output = reply.content ?? null;
+      messages.push({ role: 'assistant', content: output, toolCalls: calls });
+      if (calls.length === 0) {
+        stopReason = 'done';
+        break;
+      }
+
+      for (const call of calls) {
+        const { result, error } = await this._callTool(api, call, requestOptions);
+        toolCalls++;
+        this.emit('toolCall', { step: steps, call, result, error });
+        messages.push({
+          role: 'tool',
+          toolCallId: call.id ?? null,
+          name: call.name,
+          content: error ? { error: error.message, code: error.code ?? null } : result,
+          isError: Boolean(error),
+        });
+      }
+    }
+
+    return {
+      stopReason,
+      output,
+      steps,
+      toolCalls,
+      usage,
+      messages,
+      durationSec: (Date.now() - startedAt) / 1000,
+    };
+  }
+
+  /**
+   * Runs a tool call, capturing errors the model can act on
+   * @private
+   */
+  async _callTool(api, call, options) {
+    let args = call.arguments ?? {};
+    if (typeof args === 'string') {
+      try {
+        args = args.trim() ? JSON.parse(args) : {};
+      } catch (error) {
+        return { result: null, error: new ApiException(`Arguments of ${call.name} are not valid JSON: ${error.message}`, 400, 'INVALID_ARGUMENTS') };
+      }
+    }
+
+    try {
+      return { result: await api.dispatch({ ...args, tool: call.name }, options), error: null };
+    } catch (error) {
+      if (error instanceof ApiException) {
+        return { result: null, error };
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Adds a turn's usage to the totals
+ * @private
+ */
+function addUsage(totals, usage) {
+  const turn = normalizeUsage(usage);
+  totals.prompt_tokens += turn.prompt_tokens;
+  totals.completion_tokens += turn.completion_tokens;
+  totals.total_tokens += turn.total_tokens;
+}
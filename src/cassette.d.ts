@@ -0,0 +1,50 @@
+/**
+ * HTTP record-and-replay cassettes
+ *
+ * @module erc3-js/cassette
+ */
+
+import type { FetchLike } from './transport.js';
+
+export const DEFAULT_SCRUB_FIELDS: string[];
+export const SCRUBBED_VALUE: string;
+
+export interface CassetteRequest {
+  endpoint: string;
+  body: unknown;
+}
+
+export interface CassetteInteraction extends CassetteRequest {
+  response: {
+    status: number;
+    headers: Record<string, string>;
+    body: string;
+  };
+}
+
+export type CassetteMatcher = (recorded: CassetteInteraction, request: CassetteRequest) => boolean;
+
+export const MATCHERS: Record<'endpoint' | 'body', CassetteMatcher>;
+
+export interface CassetteOptions {
+  path?: string;
+  mode?: 'record' | 'replay';
+  match?: 'endpoint' | 'body' | CassetteMatcher;
+  scrub?: string[];
+  fetch?: FetchLike;
+  interactions?: CassetteInteraction[];
+}
+
+export class Cassette {
+  constructor(options?: CassetteOptions);
+  static load(path: string, options?: Omit<CassetteOptions, 'path' | 'mode'>): Cassette;
+  path: string | undefined;
+  mode: 'record' | 'replay';
+  interactions: CassetteInteraction[];
+  fetch: FetchLike;
+  save(path?: string): void;
+  pending(): CassetteInteraction[];
+  assertDone(): void;
+}
+
+export function scrubFields<T>(value: T, fields?: string[]): T;
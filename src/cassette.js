@@ -0,0 +1,311 @@
+/**
+ * HTTP record-and-replay cassettes
+ *
+ * Records every request and response made through a transport into a JSON
+ * cassette file, then replays them without network access. Cassettes turn
+ * a live session into a deterministic regression test for agent logic.
+ *
+ * @module erc3-js/cassette
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { ApiException } from './common.js';
+
+/**
+ * Fields replaced with `SCRUBBED_VALUE` in recorded request and response bodies
+ */
+export const DEFAULT_SCRUB_FIELDS = ['account_key'];
+
+/**
+ * Placeholder written in place of scrubbed values
+ */
+export const SCRUBBED_VALUE = '[SCRUBBED]';
+
+/**
+ * Response statuses that cannot carry a body
+ * @private
+ */
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+/**
+ * Response headers left out of cassettes: credentials, and framing that no
+ * longer matches the decoded (and possibly scrubbed) body
+ * @private
+ */
+const DROPPED_HEADERS = [
+  'set-cookie',
+  'set-cookie2',
+  'authorization',
+  'proxy-authorization',
+  'content-length',
+  'content-encoding',
+  'transfer-encoding',
+];
+
+/**
+ * Built-in request matchers
+ *
+ * - `endpoint`: same URL path
+ * - `body`: same URL path and same scrubbed JSON body
+ */
+export const MATCHERS = {
+  endpoint: (recorded, request) => recorded.endpoint === request.endpoint,
+  body: (recorded, request) =>
+    recorded.endpoint === request.endpoint && stableStringify(recorded.body) === stableStringify(request.body),
+};
+
+/**
+ * Record-and-replay cassette
+ *
+ * A cassette exposes a `fetch` function to plug into `ERC3` (or a
+ * `Transport`). Every client created from that `ERC3` instance (Store,
+ * Demo) goes through the cassette too.
+ *
+ * In `record` mode requests go to the real `fetch` and each interaction is
+ * appended to the cassette. In `replay` mode interactions are served in
+ * order from the cassette; a request with no matching interaction fails
+ * with `ApiException` code `CASSETTE_MISMATCH` and is never sent.
+ *
+ * @example
+ * ```javascript
+ * import { ERC3, Cassette } from 'erc3-js';
+ *
+ * // Record a live run
+ * const cassette = new Cassette({ path: 'fixtures/store-run.json', mode: 'record' });
+ * const client = new ERC3({ fetch: cassette.fetch });
+ * await runAgent(client);
+ * cassette.save();
+ *
+ * // Replay it in a test
+ * const replay = Cassette.load('fixtures/store-run.json');
+ * const offline = new ERC3({ apiKey: 'test', fetch: replay.fetch });
+ * await runAgent(offline);
+ * replay.assertDone();
+ * ```
+ */
+export class Cassette {
+  /**
+   * Creates a cassette
+   *
+   * @param {Object} options - Cassette options
+   * @param {string} options.path - Cassette file path
+   * @param {string} options.mode - 'record' or 'replay' (default: 'replay')
+   * @param {string|Function} options.match - 'endpoint', 'body' or a (recorded, request) => boolean function (default: 'body')
+   * @param {string[]} options.scrub - Request and JSON response body fields to scrub (default: ['account_key'])
+   * @param {Function} options.fetch - Fetch used in record mode (defaults to global fetch)
+   * @param {Object[]} options.interactions - Interactions to replay (defaults to the file at `path`)
+   */
+  constructor(options = {}) {
+    this.path = options.path;
+    this.mode = options.mode || 'replay';
+    this.scrub = options.scrub || DEFAULT_SCRUB_FIELDS;
+    this.realFetch = options.fetch || globalThis.fetch;
+
+    if (this.mode !== 'record' && this.mode !== 'replay') {
+      throw new Error(`Unknown cassette mode: ${this.mode}. Use 'record' or 'replay'.`);
+    }
+
+    const match = options.match || 'body';
+    this.matcher = typeof match === 'function' ? match : MATCHERS[match];
+    if (!this.matcher) {
+      throw new Error(`Unknown cassette matcher: ${match}. Use ${Object.keys(MATCHERS).join(', ')} or a function.`);
+    }
+
+    if (options.interactions) {
+      this.interactions = options.interactions;
+    } else if (this.mode === 'replay' && this.path) {
+      this.interactions = JSON.parse(readFileSync(this.path, 'utf8')).interactions || [];
+    } else {
+      this.interactions = [];
+    }
+
+    this.used = new Set();
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * Loads a cassette file for replay
+   *
+   * @param {string} path - Cassette file path
+   * @param {Object} options - Cassette options (see constructor)
+   * @returns {Cassette} Cassette in replay mode
+   */
+  static load(path, options = {}) {
+    if (!existsSync(path)) {
+      throw new Error(`Cassette file not found: ${path}`);
+    }
+    return new Cassette({ ...options, path, mode: 'replay' });
+  }
+
+  /**
+   * Fetch implementation that records or replays interactions
+   *
+   * @param {string|URL} url - Request URL
+   * @param {Object} init - Fetch init
+   * @returns {Promise<Response>} Real or replayed response
+   */
+  async fetch(url, init = {}) {
+    const request = this._describe(url, init);
+    return this.mode === 'record' ? this._record(url, init, request) : this._replay(request);
+  }
+
+  /**
+   * Writes recorded interactions to the cassette file
+   *
+   * @param {string} path - Target path (defaults to the cassette path)
+   */
+  save(path = this.path) {
+    if (!path) {
+      throw new Error('Cassette path is required to save');
+    }
+    writeFileSync(path, `${JSON.stringify({ version: 1, interactions: this.interactions }, null, 2)}\n`);
+  }
+
+  /**
+   * Returns interactions that were not replayed
+   *
+   * @returns {Object[]} Unused interactions
+   */
+  pending() {
+    return this.interactions.filter((_, index) => !this.used.has(index));
+  }
+
+  /**
+   * Fails when recorded interactions were not replayed
+   *
+   * @throws {ApiException} With code `CASSETTE_UNUSED` when interactions remain
+   */
+  assertDone() {
+    const pending = this.pending();
+    if (pending.length > 0) {
+      throw new ApiException(
+        `Cassette has ${pending.length} unused interaction(s): ${pending.map(i => i.endpoint).join(', ')}`,
+        500,
+        'CASSETTE_UNUSED',
+        JSON.stringify(pending.map(i => ({ endpoint: i.endpoint, body: i.body })))
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  _describe(url, init) {
+    let body = {};
+    if (init.body) {
+      try {
+        body = JSON.parse(init.body);
+      } catch {
+        body = init.body;
+      }
+    }
+    return { endpoint: new URL(String(url)).pathname, body: scrubFields(body, this.scrub) };
+  }
+
+  /**
+   * @private
+   */
+  async _record(url, init, request) {
+    const response = await this.realFetch(url, init);
+    const text = await response.text();
+    const headers = {};
+    response.headers?.forEach((value, name) => {
+      if (!DROPPED_HEADERS.includes(name.toLowerCase())) {
+        headers[name.toLowerCase()] = value;
+      }
+    });
+
+    this.interactions.push({
+      endpoint: request.endpoint,
+      body: request.body,
+      response: { status: response.status, headers, body: this._scrubResponse(text) },
+    });
+
+    // The caller gets the real body; only the recorded copy is scrubbed
+    return new Response(responseBody(response.status, text), {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+    });
+  }
+
+  /**
+   * @private
+   */
+  _replay(request) {
+    const index = this.interactions.findIndex(
+      (interaction, i) => !this.used.has(i) && this.matcher(interaction, request)
+    );
+    if (index === -1) {
+      const exception = new ApiException(
+        `No cassette interaction matches POST ${request.endpoint}`,
+        500,
+        'CASSETTE_MISMATCH',
+        JSON.stringify(request)
+      );
+      exception.retryable = false;
+      throw exception;
+    }
+
+    this.used.add(index);
+    const { status, headers, body } = this.interactions[index].response;
+    return new Response(responseBody(status, body), { status, headers });
+  }
+
+  /**
+   * Scrubs a JSON response body; other bodies are kept as they are
+   * @private
+   */
+  _scrubResponse(text) {
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      return text;
+    }
+    return JSON.stringify(scrubFields(body, this.scrub));
+  }
+}
+
+/**
+ * Replaces sensitive fields in a JSON value, at any depth
+ *
+ * @param {*} value - JSON value
+ * @param {string[]} fields - Field names to scrub
+ * @returns {*} Copy of the value with scrubbed fields
+ */
+export function scrubFields(value, fields = DEFAULT_SCRUB_FIELDS) {
+  if (Array.isArray(value)) {
+    return value.map(item => scrubFields(item, fields));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = fields.includes(key) ? SCRUBBED_VALUE : scrubFields(item, fields);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Body to build a `Response` with: null for statuses that cannot carry one
+ * @private
+ */
+function responseBody(status, body) {
+  return NULL_BODY_STATUSES.includes(status) ? null : body;
+}
+
+/**
+ * JSON.stringify with sorted object keys
+ * @private
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
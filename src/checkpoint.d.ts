@@ -0,0 +1,67 @@
+/**
+ * Local checkpoints for resumable session runs
+ *
+ * @module erc3-js/checkpoint
+ */
+
+import type { EvalResult, RunTaskError, RunTaskResult, SubmitSessionResponse, TaskInfo } from './client.js';
+
+export type CheckpointTaskState = 'pending' | 'started' | 'completed' | 'failed';
+
+export declare const TASK_STATES: CheckpointTaskState[];
+
+export interface CheckpointTask {
+  taskId: string;
+  specId: string | null;
+  state: CheckpointTaskState;
+  /** ISO timestamp of the first start */
+  startedAt: string | null;
+  completedAt: string | null;
+  score: number | null;
+  eval: EvalResult | null;
+  error: Pick<RunTaskError, 'stage' | 'message' | 'code'> | null;
+  /** LLM calls logged through `ctx.logLLM()` or `ctx.trackUsage()` */
+  llmCalls: number;
+}
+
+export interface CheckpointData {
+  version?: number;
+  sessionId?: string | null;
+  benchmark?: string | null;
+  createdAt?: string;
+  updatedAt?: string;
+  submission?: SubmitSessionResponse | null;
+  tasks?: Record<string, CheckpointTask>;
+}
+
+export interface CheckpointOptions {
+  /** JSON file, or directory holding one file per session */
+  path?: string;
+  /** Checkpoint data (defaults to the file at `path`, if any) */
+  data?: CheckpointData;
+}
+
+export class Checkpoint {
+  constructor(options?: CheckpointOptions);
+  path: string | null;
+  sessionId: string | null;
+  benchmark: string | null;
+  createdAt: string;
+  updatedAt: string;
+  submission: SubmitSessionResponse | null;
+  tasks: Record<string, CheckpointTask>;
+
+  static load(path: string): Checkpoint;
+  static from(option: Checkpoint | string | CheckpointOptions): Checkpoint;
+
+  task(taskId: string): CheckpointTask;
+  setSession(sessionId: string, benchmark?: string | null): void;
+  reconcile(tasks: TaskInfo[]): string[];
+  markStarted(task: Pick<TaskInfo, 'task_id' | 'spec_id'>): void;
+  markLogged(taskId: string): void;
+  markFinished(result: RunTaskResult): void;
+  markSubmitted(submission: SubmitSessionResponse): void;
+  unfinished(): string[];
+  toJSON(): Required<CheckpointData>;
+  save(): void;
+}
@@ -0,0 +1,300 @@
+/**
+ * Local checkpoints for resumable session runs
+ *
+ * @module erc3-js/checkpoint
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, statSync, renameSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+
+/**
+ * Lifecycle states of a task in a checkpoint
+ *
+ * - `pending`: not started by this run
+ * - `started`: started (or found running); work may have been interrupted
+ * - `completed`: completed on the server; `eval` holds the evaluation
+ * - `failed`: could not be started
+ */
+export const TASK_STATES = ['pending', 'started', 'completed', 'failed'];
+
+/**
+ * Record of a session run, saved to a JSON file after every change
+ *
+ * `path` is either a `.json` file or a directory; in a directory the
+ * checkpoint is written to `<sessionId>.json` once the session is known.
+ * Files are replaced atomically, so a crash never leaves a half-written
+ * checkpoint.
+ *
+ * The record holds the session ID, and for every task its state, start and
+ * completion times, LLM calls logged with `logLLM`, evaluation and error.
+ * LLM calls are counted when logged through `ctx.logLLM()` or
+ * `ctx.trackUsage()`. Pass the checkpoint to `SessionRunner` (option
+ * `checkpoint`) to keep it up to date, and to `runner.resumeSession()` to
+ * continue a crashed run.
+ *
+ * @example
+ * ```javascript
+ * import { ERC3, SessionRunner, Checkpoint } from 'erc3-js';
+ *
+ * const client = new ERC3();
+ *
+ * // First run, interrupted halfway
+ * const runner = new SessionRunner(client, { checkpoint: 'runs/' });
+ * await runner.run({ benchmark: 'store', workspace: 'w', name: 'Run 1' }, solve);
+ *
+ * // Later: continue with the unfinished tasks only
+ * const checkpoint = Checkpoint.load('runs/');
+ * console.log('Unfinished:', checkpoint.unfinished());
+ * const report = await new SessionRunner(client).resumeSession(checkpoint, solve);
+ * ```
+ */
+export class Checkpoint {
+  /**
+   * Creates a checkpoint
+   *
+   * An existing file at `path` is loaded.
+   *
+   * @param {Object} options - Checkpoint options
+   * @param {string} options.path - JSON file, or directory holding one file per session
+   * @param {Object} options.data - Checkpoint data (defaults to the file at `path`, if any)
+   */
+  constructor(options = {}) {
+    this.path = options.path || null;
+    const data = options.data || (this._file() && existsSync(this._file()) ? readJson(this._file()) : {});
+
+    this.sessionId = data.sessionId ?? null;
+    this.benchmark = data.benchmark ?? null;
+    this.createdAt = data.createdAt ?? new Date().toISOString();
+    this.updatedAt = data.updatedAt ?? this.createdAt;
+    this.submission = data.submission ?? null;
+    this.tasks = data.tasks ?? {};
+  }
+
+  /**
+   * Loads a checkpoint file
+   *
+   * @param {string} path - Checkpoint file, or a directory (the most recently
+   *   updated checkpoint in it is loaded)
+   * @returns {Checkpoint} Loaded checkpoint
+   * @throws {Error} When no checkpoint is found
+   */
+  static load(path) {
+    if (!existsSync(path)) {
+      throw new Error(`Checkpoint not found: ${path}`);
+    }
+    if (!statSync(path).isDirectory()) {
+      return new Checkpoint({ path, data: readJson(path) });
+    }
+
+    const files = readdirSync(path)
+      .filter(name => name.endsWith('.json'))
+      .map(name => join(path, name))
+      .sort((a, b) => statSync(b).mtimeMs - statSync(a).mtimeMs);
+    if (files.length === 0) {
+      throw new Error(`No checkpoint found in ${path}`);
+    }
+    return new Checkpoint({ path, data: readJson(files[0]) });
+  }
+
+  /**
+   * Creates a checkpoint from the `checkpoint` option
+   *
+   * @param {Checkpoint|string|Object} option - Checkpoint, path or constructor options
+   * @returns {Checkpoint} Checkpoint
+   */
+  static from(option) {
+    if (option instanceof Checkpoint) {
+      return option;
+    }
+    return new Checkpoint(typeof option === 'string' ? { path: option } : option);
+  }
+
+  /**
+   * Returns the record of a task, creating it when missing
+   *
+   * @param {string} taskId - Task ID
+   * @returns {Object} Task record `{ taskId, specId, state, startedAt, completedAt,
+   *   score, eval, error, llmCalls }`
+   */
+  task(taskId) {
+    this.tasks[taskId] ??= {
+      taskId,
+      specId: null,
+      state: 'pending',
+      startedAt: null,
+      completedAt: null,
+      score: null,
+      eval: null,
+      error: null,
+      llmCalls: 0,
+    };
+    return this.tasks[taskId];
+  }
+
+  /**
+   * Records the session being run
+   *
+   * @param {string} sessionId - Session ID
+   * @param {string} benchmark - Benchmark of the session
+   * @throws {Error} When the checkpoint belongs to another session
+   */
+  setSession(sessionId, benchmark = null) {
+    if (this.sessionId && this.sessionId !== sessionId) {
+      throw new Error(`Checkpoint belongs to session ${this.sessionId}, not ${sessionId}`);
+    }
+    this.sessionId = sessionId;
+    this.benchmark = benchmark ?? this.benchmark;
+    this.save();
+  }
+
+  /**
+   * Aligns task states with the server
+   *
+   * Tasks completed on the server are marked completed (keeping the
+   * recorded eval), tasks running on the server are marked started, and
+   * tasks the server still sees as new go back to pending.
+   *
+   * @param {Object[]} tasks - Tasks from `sessionStatus`
+   * @returns {string[]} IDs of the tasks that still have to run
+   */
+  reconcile(tasks) {
+    for (const info of tasks) {
+      const record = this.task(info.task_id);
+      record.specId = info.spec_id ?? record.specId;
+      if (info.status === 'completed') {
+        record.state = 'completed';
+        record.score = record.eval?.score ?? info.score ?? record.score;
+      } else if (info.status === 'running') {
+        record.state = 'started';
+      } else if (info.status === 'new') {
+        record.state = 'pending';
+      }
+    }
+    this.save();
+    return this.unfinished();
+  }
+
+  /**
+   * Records that a task was started (or found running)
+   *
+   * @param {Object} task - Task info
+   */
+  markStarted(task) {
+    const record = this.task(task.task_id);
+    record.specId = task.spec_id ?? record.specId;
+    record.state = 'started';
+    record.startedAt ??= new Date().toISOString();
+    this.save();
+  }
+
+  /**
+   * Records an LLM call logged for a task
+   *
+   * @param {string} taskId - Task ID
+   */
+  markLogged(taskId) {
+    this.task(taskId).llmCalls++;
+    this.save();
+  }
+
+  /**
+   * Records the result of `runTask`
+   *
+   * @param {Object} result - Result returned by `runTask`
+   */
+  markFinished(result) {
+    const record = this.task(result.taskId);
+    record.specId = result.specId ?? record.specId;
+    record.error = result.error
+      ? { stage: result.error.stage, message: result.error.message, code: result.error.code }
+      : null;
+
+    if (result.eval) {
+      record.state = 'completed';
+      record.completedAt = new Date(result.finishedAt).toISOString();
+      record.eval = result.eval;
+      record.score = result.score;
+    } else if (result.error?.stage === 'start') {
+      record.state = 'failed';
+    }
+    this.save();
+  }
+
+  /**
+   * Records the session submission
+   *
+   * @param {Object} submission - Result of `submitSession`
+   */
+  markSubmitted(submission) {
+    this.submission = submission;
+    this.save();
+  }
+
+  /**
+   * Returns the IDs of the tasks that are not completed
+   *
+   * @returns {string[]} Task IDs
+   */
+  unfinished() {
+    return Object.values(this.tasks)
+      .filter(record => record.state !== 'completed')
+      .map(record => record.taskId);
+  }
+
+  /**
+   * Serializable checkpoint data
+   *
+   * @returns {Object} Checkpoint data
+   */
+  toJSON() {
+    return {
+      version: 1,
+      sessionId: this.sessionId,
+      benchmark: this.benchmark,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      submission: this.submission,
+      tasks: this.tasks,
+    };
+  }
+
+  /**
+   * Writes the checkpoint file
+   *
+   * Does nothing without a path, or for a directory checkpoint whose
+   * session is not known yet.
+   */
+  save() {
+    this.updatedAt = new Date().toISOString();
+    const file = this._file();
+    if (!file) {
+      return;
+    }
+    mkdirSync(dirname(file), { recursive: true });
+    // Write then rename, so a crash mid-write keeps the previous checkpoint
+    const temporary = `${file}.tmp`;
+    writeFileSync(temporary, `${JSON.stringify(this, null, 2)}\n`);
+    renameSync(temporary, file);
+  }
+
+  /**
+   * Path of the checkpoint file, or null when it cannot be known yet
+   * @private
+   */
+  _file() {
+    if (!this.path) {
+      return null;
+    }
+    if (this.path.endsWith('.json')) {
+      return this.path;
+    }
+    return this.sessionId ? join(this.path, `${this.sessionId}.json`) : null;
+  }
+}
+
+/**
+ * @private
+ */
+function readJson(path) {
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
@@ -0,0 +1,313 @@
+/**
+ * ERC3 JavaScript SDK - Main Client
+ *
+ * @module erc3-js/client
+ */
+
+import type { RequestOptions } from './common.js';
+import type { FetchLike, Transport } from './transport.js';
+import type { RetryOption } from './retry.js';
+import type { LoggerOption } from './logger.js';
+import type { ValidationOption } from './schema.js';
+import { StoreClient, type StoreClientOptions } from './store/client.js';
+import { DemoClient } from './demo/client.js';
+import type { UsageTracker, TrackUsageParams } from './usage.js';
+import type { CostLedger, CostLedgerOptions, UsageSummary } from './ledger.js';
+
+export interface ERC3Options {
+  /** API key (defaults to ERC3_API_KEY env var) */
+  apiKey?: string;
+  /** Base URL (defaults to ERC3_BASE_URL env var, then https://erc.timetoact-group.at) */
+  baseUrl?: string;
+  /** HTTP transport shared with Store/Demo clients */
+  transport?: Transport;
+  /** Custom fetch implementation (ignored when transport is given) */
+  fetch?: FetchLike;
+  /** Retry policy (ignored when transport is given) */
+  retry?: RetryOption;
+  /** Default request timeout in milliseconds (ignored when transport is given) */
+  timeoutMs?: number;
+  /** Logger or level name (ignored when transport is given) */
+  logger?: LoggerOption;
+  /** Response schema validation (ignored when transport is given) */
+  validation?: ValidationOption;
+  /** Token and cost ledger with budget limits */
+  ledger?: CostLedger | CostLedgerOptions;
+}
+
+export interface BenchmarkSummary {
+  id: string;
+  description?: string;
+  [key: string]: unknown;
+}
+
+export interface BenchmarkListResponse {
+  benchmarks: BenchmarkSummary[];
+}
+
+export interface BenchmarkSpec {
+  id: string;
+  task?: string;
+  [key: string]: unknown;
+}
+
+export interface BenchmarkRoute {
+  path: string;
+  [key: string]: unknown;
+}
+
+export interface BenchmarkDetails {
+  id: string;
+  description: string;
+  specs: BenchmarkSpec[];
+  routes: BenchmarkRoute[];
+  [key: string]: unknown;
+}
+
+export interface StartSessionParams {
+  benchmark: string;
+  workspace: string;
+  name: string;
+  architecture?: string;
+}
+
+export interface StartSessionResponse {
+  session_id: string;
+  task_count: number;
+}
+
+export type TaskStatus = 'new' | 'running' | 'completed' | (string & {});
+
+/**
+ * Task entry of a session status
+ */
+export interface TaskInfo {
+  task_id: string;
+  num?: number;
+  spec_id?: string;
+  benchmark?: string;
+  task_text?: string;
+  status: TaskStatus;
+  score?: number | null;
+  [key: string]: unknown;
+}
+
+export interface SessionStatusResponse {
+  session_id: string;
+  benchmark?: string;
+  workspace?: string;
+  name?: string;
+  status: string;
+  tasks: TaskInfo[];
+  [key: string]: unknown;
+}
+
+export interface SearchSessionsCriteria {
+  workspace?: string;
+  benchmark?: string;
+  [key: string]: unknown;
+}
+
+export interface SessionSummary {
+  session_id: string;
+  benchmark?: string;
+  workspace?: string;
+  name?: string;
+  status?: string;
+  task_count?: number;
+  [key: string]: unknown;
+}
+
+export interface SearchSessionsResponse {
+  sessions: SessionSummary[];
+}
+
+export interface SubmitSessionResponse {
+  session_id?: string;
+  status?: string;
+  score?: number;
+  [key: string]: unknown;
+}
+
+export interface StartTaskResponse {
+  task_id?: string;
+  status?: TaskStatus;
+  task_text?: string;
+  [key: string]: unknown;
+}
+
+/**
+ * Evaluation of a completed task
+ */
+export interface EvalResult {
+  score: number;
+  success?: boolean;
+  logs?: string;
+  [key: string]: unknown;
+}
+
+export interface CompleteTaskResponse {
+  task_id?: string;
+  status?: TaskStatus;
+  eval: EvalResult;
+  [key: string]: unknown;
+}
+
+export interface TaskLogEntry {
+  time: number;
+  type: string;
+  text: string;
+  [key: string]: unknown;
+}
+
+export interface TaskView extends TaskInfo {
+  logs: TaskLogEntry[];
+}
+
+export interface FollowTaskParams {
+  /** Only yield entries from this time on (default: all) */
+  since?: number | null;
+  /** Shortest delay between polls in milliseconds (default: 1000) */
+  intervalMs?: number;
+  /** Longest delay between polls in milliseconds (default: 10000) */
+  maxIntervalMs?: number;
+}
+
+/**
+ * Token usage as reported by OpenAI-, Anthropic-, Ollama- or Gemini-style APIs
+ */
+export interface LLMUsage {
+  prompt_tokens?: number;
+  completion_tokens?: number;
+  total_tokens?: number;
+  input_tokens?: number;
+  output_tokens?: number;
+  cache_creation_input_tokens?: number;
+  cache_read_input_tokens?: number;
+  prompt_eval_count?: number;
+  eval_count?: number;
+  promptTokenCount?: number;
+  candidatesTokenCount?: number;
+  totalTokenCount?: number;
+}
+
+export interface LogLLMParams {
+  taskId: string;
+  model: string;
+  usage: LLMUsage;
+  durationSec: number;
+  /** Record the call in the ledger (default: true) */
+  record?: boolean;
+}
+
+export interface ApiKeyResponse {
+  account_key: string;
+  [key: string]: unknown;
+}
+
+export type TaskRef = string | { task_id: string };
+
+/**
+ * Context passed to the work function of `runTask`
+ */
+export interface TaskContext {
+  task: TaskInfo & Partial<StartTaskResponse>;
+  taskId: string;
+  benchmark: string | null;
+  taskText: string | null;
+  client: ERC3;
+  /** Client of the task benchmark (null for benchmarks without one) */
+  api: StoreClient | DemoClient | null;
+  /** Set for store tasks */
+  store?: StoreClient;
+  /** Set for demo tasks */
+  demo?: DemoClient;
+  signal?: AbortSignal;
+  /** Logs an LLM call for this task */
+  logLLM(call: Omit<LogLLMParams, 'taskId'>, options?: RequestOptions): Promise<Record<string, unknown>>;
+  /** Runs a model call and logs its usage for this task */
+  trackUsage<R>(fn: () => R | Promise<R>, params?: TrackUsageParams<R>, options?: RequestOptions): Promise<R>;
+  /** Tracker behind `trackUsage`; failed log requests stay queued until the task completes */
+  usage: UsageTracker;
+  /** Completes the task early; the runner reuses the completion */
+  complete(): Promise<CompleteTaskResponse>;
+}
+
+export interface RunTaskParams {
+  /** Benchmark of the task (default: read from the task) */
+  benchmark?: string;
+  /** Options for `getStoreClient` */
+  store?: Omit<StoreClientOptions, 'transport'>;
+  /** Called once the task is started (or found running) */
+  onStart?: (task: TaskInfo & Partial<StartTaskResponse>) => void;
+  /** Called with each LLM call logged through `ctx.logLLM()` or `ctx.trackUsage()` */
+  onLog?: (call: Omit<LogLLMParams, 'taskId'>) => void;
+}
+
+export interface RunTaskError {
+  /** Step that failed */
+  stage: 'start' | 'work' | 'complete';
+  name: string;
+  message: string;
+  status: number | null;
+  code: string | null;
+  /** Original error */
+  cause: unknown;
+}
+
+export interface RunTaskResult<T = unknown> {
+  taskId: string;
+  benchmark: string | null;
+  specId: string | null;
+  /** True when the task started, the work succeeded and the task completed */
+  ok: boolean;
+  score: number | null;
+  eval: EvalResult | null;
+  /** Value returned by the work function */
+  output: T | undefined;
+  error: RunTaskError | null;
+  /** Ledger summary of the task (null without a ledger) */
+  usage: UsageSummary | null;
+  /** True when the task was already completed: the work did not run */
+  skipped: boolean;
+  startedAt: number;
+  finishedAt: number;
+  durationMs: number;
+}
+
+export class ERC3 {
+  constructor(options?: ERC3Options);
+  apiKey: string;
+  baseUrl: string;
+  transport: Transport;
+  /** Tracker behind `trackUsage` */
+  usageTracker: UsageTracker;
+  ledger: CostLedger | null;
+
+  listBenchmarks(options?: RequestOptions): Promise<BenchmarkListResponse>;
+  viewBenchmark(benchmark: string, options?: RequestOptions): Promise<BenchmarkDetails>;
+  startSession(params: StartSessionParams, options?: RequestOptions): Promise<StartSessionResponse>;
+  sessionStatus(sessionId: string, options?: RequestOptions): Promise<SessionStatusResponse>;
+  searchSessions(criteria?: SearchSessionsCriteria, options?: RequestOptions): Promise<SearchSessionsResponse>;
+  submitSession(sessionId: string, options?: RequestOptions): Promise<SubmitSessionResponse>;
+  startTask(taskOrId: TaskRef, options?: RequestOptions): Promise<StartTaskResponse>;
+  completeTask(taskOrId: TaskRef, options?: RequestOptions): Promise<CompleteTaskResponse>;
+  viewTask(taskId: string, since?: number | null, options?: RequestOptions): Promise<TaskView>;
+  followTask(taskId: string, params?: FollowTaskParams, options?: RequestOptions): AsyncGenerator<TaskLogEntry, TaskView | null, undefined>;
+  logLLM(params: LogLLMParams, options?: RequestOptions): Promise<Record<string, unknown>>;
+  trackUsage<R>(taskId: string, fn: () => R | Promise<R>, params?: TrackUsageParams<R>, options?: RequestOptions): Promise<R>;
+  getStoreClient(taskOrId: TaskRef, options?: Omit<StoreClientOptions, 'transport'>): StoreClient;
+  getDemoClient(taskOrId: TaskRef): DemoClient;
+  runTask<T>(
+    taskOrId: TaskRef | TaskInfo,
+    work: (ctx: TaskContext) => T | Promise<T>,
+    params?: RunTaskParams,
+    options?: RequestOptions
+  ): Promise<RunTaskResult<T>>;
+}
+
+export function getApiKey(
+  email: string,
+  baseUrl?: string,
+  options?: RequestOptions & { transport?: Transport }
+): Promise<ApiKeyResponse>;
@@ -7,9 +7,11 @@
  * @module erc3-js/client
  */
 
-import { ApiException } from './common.js';
+import { Transport } from './transport.js';
 import { StoreClient } from './store/client.js';
 import { DemoClient } from './demo/client.js';
+import { UsageTracker, normalizeUsage } from './usage.js';
+import { CostLedger } from './ledger.js';
 
 /**
  * Main ERC3 API client
@@ -34,7 +36,14 @@ export class ERC3 {
    * Creates an ERC3 client instance
    * @param {Object} options - Configuration options
    * @param {string} options.apiKey - API key (defaults to ERC3_API_KEY env var)
-   * @param {string} options.baseUrl - Base URL (defaults to https://erc.timetoact-group.at)
+   * @param {string} options.baseUrl - Base URL (defaults to ERC3_BASE_URL env var, then https://erc.timetoact-group.at)
+   * @param {Transport} options.transport - HTTP transport shared with Store/Demo clients
+   * @param {Function} options.fetch - Custom fetch implementation (ignored when transport is given)
+   * @param {RetryPolicy|Object|boolean} options.retry - Retry policy for transient failures (ignored when transport is given)
+   * @param {number} options.timeoutMs - Default request timeout in milliseconds (ignored when transport is given)
+   * @param {Logger|Object|string} options.logger - Logger, pino-style logger or level name (default: silent; ignored when transport is given)
+   * @param {ResponseValidator|Object|string} options.validation - Response schema validation: 'strict', 'warn' or 'off' (default: 'off'; ignored when transport is given)
+   * @param {CostLedger|Object} options.ledger - Token and cost ledger with budget limits (see `CostLedger`)
    *
    * @example
    * ```javascript
@@ -43,89 +52,51 @@ export class ERC3 {
    *
    * // Or specify API key explicitly
    * const client = new ERC3({ apiKey: 'your-api-key' });
+   *
+   * // Retry transient failures (502, socket resets...) with backoff
+   * const client = new ERC3({ retry: { maxAttempts: 4, baseDelayMs: 500 } });
+   *
+   * // Fail calls that take longer than 30 seconds
+   * const client = new ERC3({ timeoutMs: 30000 });
+   *
+   * // Log requests to stderr
+   * const client = new ERC3({ logger: 'info' });
+   *
+   * // Fail fast when a response does not match its documented shape
+   * const client = new ERC3({ validation: 'strict' });
+   *
+   * // Account for LLM spend and cap it at $0.05 per task
+   * const client = new ERC3({ ledger: { prices: { 'gpt-4o': { prompt: 2.5, completion: 10 } }, budget: { taskCost: 0.05 } } });
    * ```
    */
   constructor(options = {}) {
     this.apiKey = options.apiKey || process.env.ERC3_API_KEY;
-    this.baseUrl = options.baseUrl || 'https://erc.timetoact-group.at';
+    this.baseUrl = options.baseUrl || process.env.ERC3_BASE_URL || 'https://erc.timetoact-group.at';
+    this.transport = options.transport || new Transport({
+      fetch: options.fetch,
+      retry: options.retry,
+      timeoutMs: options.timeoutMs,
+      logger: options.logger,
+      validation: options.validation,
+    });
 
     if (!this.apiKey) {
       throw new Error('API key is required. Set ERC3_API_KEY env var or pass apiKey option.');
     }
+
+    this.ledger = options.ledger ? CostLedger.from(options.ledger) : null;
+    this.usageTracker = new UsageTracker(this);
   }
 
   /**
    * Makes a POST request to the API
    * @private
    */
-  async _request(endpoint, data = {}) {
-    const url = `${this.baseUrl}${endpoint}`;
-    const started = Date.now();
-    let response;
-    let rawBody = '';
-
-    try {
-      response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(data),
-      });
-
-      rawBody = await response.text();
-      const latencyMs = Date.now() - started;
-      console.log(`[erc3] POST ${endpoint} status=${response.status} latency=${latencyMs}ms`);
-
-      let parsed = null;
-      if (rawBody) {
-        try {
-          parsed = JSON.parse(rawBody);
-        } catch (parseErr) {
-          console.warn(`[erc3] Failed to parse JSON for ${endpoint}:`, parseErr?.message || parseErr);
-        }
-      }
-
-      if (!response.ok) {
-        const detail = rawBody || parsed || response.statusText;
-        console.error(`[erc3] HTTP error for ${endpoint}: status=${response.status} body=${String(rawBody).slice(0, 2000)}`);
-        throw new ApiException(
-          parsed?.error || parsed?.message || `HTTP ${response.status}`,
-          response.status,
-          parsed?.code || 'HTTP_ERROR',
-          detail
-        );
-      }
-
-      // Check for API errors
-      if (parsed && parsed.status && parsed.status >= 400) {
-        throw new ApiException(
-          parsed.error || 'API Error',
-          parsed.status,
-          parsed.code,
-          rawBody || JSON.stringify(parsed)
-        );
-      }
-
-      if (!parsed) {
-        console.warn(`[erc3] Empty or non-JSON success response for ${endpoint}; body=${String(rawBody).slice(0, 500)}`);
-        return rawBody ? { raw: rawBody } : {};
-      }
-
-      return parsed;
-    } catch (error) {
-      if (error instanceof ApiException) {
-        throw error;
-      }
-      const latencyMs = Date.now() - started;
-      console.error(`[erc3] Request failure POST ${endpoint} after ${latencyMs}ms:`, error?.message || error);
-      throw new ApiException(
-        `Request failed: ${error.message}`,
-        error?.status || 500,
-        error?.code || 'REQUEST_FAILED',
-        error?.message
-      );
-    }
+  async _request(endpoint, data = {}, options = {}) {
+    return this.transport.request(`${this.baseUrl}${endpoint}`, data, {
+      ...options,
+      endpoint,
+    });
   }
 
   // ============================================================================
@@ -135,6 +106,7 @@ export class ERC3 {
   /**
    * Lists available benchmarks
    *
+   * @param {Object} options - Request options ({ signal, timeoutMs })
    * @returns {Promise<Object>} Benchmarks list
    *
    * @example
@@ -143,14 +115,15 @@ export class ERC3 {
    * console.log(result.benchmarks);
    * ```
    */
-  async listBenchmarks() {
-    return this._request('/benchmarks/list', {});
+  async listBenchmarks(options = {}) {
+    return this._request('/benchmarks/list', {}, options);
   }
 
   /**
    * Views detailed information about a benchmark
    *
    * @param {string} benchmark - Benchmark ID
+   * @param {Object} options - Request options ({ signal, timeoutMs })
    * @returns {Promise<Object>} Benchmark details
    *
    * @example
@@ -159,18 +132,19 @@ export class ERC3 {
    * console.log(benchmark.name, benchmark.description);
    * ```
    */
-  async viewBenchmark(benchmark) {
-    return this._request('/benchmarks/view', { benchmark });
+  async viewBenchmark(benchmark, options = {}) {
+    return this._request('/benchmarks/view', { benchmark }, options);
   }
 
   /**
    * Starts a new evaluation session
    *
-   * @param {Object} options - Session options
-   * @param {string} options.benchmark - Benchmark ID
-   * @param {string} options.workspace - Workspace name
-   * @param {string} options.name - Session name
-   * @param {string} options.architecture - Architecture description (default: 'x86_64')
+   * @param {Object} params - Session options
+   * @param {string} params.benchmark - Benchmark ID
+   * @param {string} params.workspace - Workspace name
+   * @param {string} params.name - Session name
+   * @param {string} params.architecture - Architecture description (default: 'x86_64')
+   * @param {Object} options - Request options ({ signal, timeoutMs })
    * @returns {Promise<Object>} Session info with session_id and task_count
    *
    * @example
@@ -184,20 +158,21 @@ export class ERC3 {
    * console.log('Session ID:', session.session_id);
    * ```
    */
-  async startSession({ benchmark, workspace, name, architecture = 'x86_64' }) {
+  async startSession({ benchmark, workspace, name, architecture = 'x86_64' }, options = {}) {
     return this._request('/sessions/start', {
       account_key: this.apiKey,
       benchmark,
       workspace,
       name,
       architecture,
-    });
+    }, options);
   }
 
   /**
    * Gets the status of a session
    *
    * @param {string} sessionId - Session ID
+   * @param {Object} options - Request options ({ signal, timeoutMs })
    * @returns {Promise<Object>} Session status with tasks array
    *
    * @example
@@ -206,14 +181,15 @@ export class ERC3 {
    * console.log('Tasks:', status.tasks);
    * ```
    */
-  async sessionStatus(sessionId) {
-    return this._request('/sessions/status', { session_id: sessionId });
+  async sessionStatus(sessionId, options = {}) {
+    return this._request('/sessions/status', { session_id: sessionId }, options);
   }
 
   /**
    * Searches for sessions based on criteria
    *
    * @param {Object} criteria - Search criteria
+   * @param {Object} options - Request options ({ signal, timeoutMs })
    * @returns {Promise<Object>} Sessions list
    *
    * @example
@@ -224,17 +200,18 @@ export class ERC3 {
    * });
    * ```
    */
-  async searchSessions(criteria) {
+  async searchSessions(criteria, options = {}) {
     return this._request('/sessions/search', {
       account_key: this.apiKey,
       ...criteria,
-    });
+    }, options);
   }
 
   /**
    * Submits a completed session for evaluation
    *
    * @param {string} sessionId - Session ID
+   * @param {Object} options - Request options ({ signal, timeoutMs })
    * @returns {Promise<Object>} Submission result
    *
    * @example
@@ -243,14 +220,15 @@ export class ERC3 {
    * console.log('Submission result:', result);
    * ```
    */
-  async submitSession(sessionId) {
-    return this._request('/sessions/submit', { session_id: sessionId });
+  async submitSession(sessionId, options = {}) {
+    return this._request('/sessions/submit', { session_id: sessionId }, options);
   }
 
   /**
    * Starts a task
    *
    * @param {Object|string} taskOrId - Task object or task ID
+   * @param {Object} options - Request options ({ signal, timeoutMs })
    * @returns {Promise<Object>} Task start result
    *
    * @example
@@ -262,15 +240,16 @@ export class ERC3 {
    * await client.startTask(task);
    * ```
    */
-  async startTask(taskOrId) {
+  async startTask(taskOrId, options = {}) {
     const taskId = typeof taskOrId === 'string' ? taskOrId : taskOrId.task_id;
-    return this._request('/tasks/start', { task_id: taskId });
+    return this._request('/tasks/start', { task_id: taskId }, options);
   }
 
   /**
    * Completes a task and retrieves evaluation results
    *
    * @param {Object|string} taskOrId - Task object or task ID
+   * @param {Object} options - Request options ({ signal, timeoutMs })
    * @returns {Promise<Object>} Task completion result with eval
    *
    * @example
@@ -279,9 +258,9 @@ export class ERC3 {
    * console.log('Task evaluation:', result.eval);
    * ```
    */
-  async completeTask(taskOrId) {
+  async completeTask(taskOrId, options = {}) {
     const taskId = typeof taskOrId === 'string' ? taskOrId : taskOrId.task_id;
-    return this._request('/tasks/complete', { task_id: taskId });
+    return this._request('/tasks/complete', { task_id: taskId }, options);
   }
 
   /**
@@ -289,6 +268,7 @@ export class ERC3 {
    *
    * @param {string} taskId - Task ID
    * @param {number} since - Timestamp to get logs since (optional)
+   * @param {Object} options - Request options ({ signal, timeoutMs })
    * @returns {Promise<Object>} Task details
    *
    * @example
@@ -297,22 +277,111 @@ export class ERC3 {
    * console.log(task);
    * ```
    */
-  async viewTask(taskId, since = null) {
+  async viewTask(taskId, since = null, options = {}) {
     const data = { task_id: taskId };
     if (since !== null) {
       data.since = since;
     }
-    return this._request('/tasks/view', data);
+    return this._request('/tasks/view', data, options);
+  }
+
+  /**
+   * Follows the logs of a task until it completes
+   *
+   * Polls `viewTask` with `since` set to the latest log time seen and
+   * yields each log entry once, in order. The polling interval starts at
+   * `intervalMs`, grows by half after every poll without new entries up to
+   * `maxIntervalMs`, and goes back to `intervalMs` when entries arrive.
+   * Iteration ends once the task is completed (after its last entries) or
+   * when the signal fires.
+   *
+   * @param {string} taskId - Task ID
+   * @param {Object} params - Follow options
+   * @param {number} params.since - Only yield entries from this time on (default: all)
+   * @param {number} params.intervalMs - Shortest delay between polls (default: 1000)
+   * @param {number} params.maxIntervalMs - Longest delay between polls (default: 10000)
+   * @param {Object} options - Request options ({ signal, timeoutMs }); the timeout applies per poll
+   * @yields {Object} Log entries `{ time, type, text }`
+   * @returns {AsyncGenerator<Object, Object>} Log entries; the return value is the last task view
+   * @throws {ApiException} When a poll fails (not when it is aborted by the signal)
+   *
+   * @example
+   * ```javascript
+   * for await (const entry of client.followTask('task-123')) {
+   *   console.log(new Date(entry.time).toISOString(), entry.type, entry.text);
+   * }
+   * console.log('Task completed');
+   * ```
+   */
+  async *followTask(taskId, params = {}, options = {}) {
+    const intervalMs = params.intervalMs ?? 1000;
+    const maxIntervalMs = Math.max(params.maxIntervalMs ?? 10000, intervalMs);
+    // Entries yielded at the latest time, counted per key: identical entries are legitimate
+    const yielded = new Map();
+    let since = params.since ?? null;
+    let delayMs = intervalMs;
+    let task = null;
+
+    while (!options.signal?.aborted) {
+      try {
+        task = await this.viewTask(taskId, since, options);
+      } catch (error) {
+        if (error?.code === 'ABORTED' && options.signal?.aborted) {
+          break;
+        }
+        throw error;
+      }
+
+      // `since` is inclusive, so entries at the latest time come back on the next poll
+      const skip = new Map(yielded);
+      const fresh = [...(task.logs || [])]
+        .sort((a, b) => a.time - b.time)
+        .filter(entry => {
+          if (since === null || entry.time > since) {
+            return true;
+          }
+          if (entry.time < since) {
+            return false;
+          }
+          // Skip as many copies of an entry as were already yielded
+          const key = logKey(entry);
+          const left = skip.get(key) ?? 0;
+          skip.set(key, left - 1);
+          return left <= 0;
+        });
+      for (const entry of fresh) {
+        if (since === null || entry.time > since) {
+          since = entry.time;
+          yielded.clear();
+        }
+        yielded.set(logKey(entry), (yielded.get(logKey(entry)) ?? 0) + 1);
+        yield entry;
+      }
+
+      if (task.status === 'completed') {
+        break;
+      }
+      delayMs = fresh.length > 0 ? intervalMs : Math.min(Math.round(delayMs * 1.5), maxIntervalMs);
+      await this.transport.sleep(delayMs, options.signal);
+    }
+    return task;
   }
 
   /**
    * Logs LLM usage for a task
    *
-   * @param {Object} options - Logging options
-   * @param {string} options.taskId - Task ID
-   * @param {string} options.model - Model identifier
-   * @param {Object} options.usage - Token usage object
-   * @param {number} options.durationSec - Duration in seconds
+   * With a `ledger`, the call is recorded in it before the log request is
+   * sent, so it counts towards the budget even when the request fails.
+   *
+   * @param {Object} params - Logging options
+   * @param {string} params.taskId - Task ID
+   * @param {string} params.model - Model identifier
+   * @param {Object} params.usage - Token usage (OpenAI, Anthropic, Ollama or Gemini field names);
+   *   a missing total is computed
+   * @param {number} params.durationSec - Duration in seconds
+   * @param {boolean} params.record - Record the call in the ledger (default: true; `UsageTracker`
+   *   records its calls when they are measured)
+   * @param {Object} options - Request options ({ signal, timeoutMs })
    * @returns {Promise<Object>} Log result
    *
    * @example
@@ -325,34 +394,71 @@ export class ERC3 {
    * });
    * ```
    */
-  async logLLM({ taskId, model, usage, durationSec }) {
+  async logLLM({ taskId, model, usage, durationSec, record = true }, options = {}) {
+    if (record) {
+      this.ledger?.record(taskId, { model, usage });
+    }
     return this._request('/tasks/log', {
       task_id: taskId,
       model,
-      usage: {
-        prompt_tokens: usage.prompt_tokens || usage.input_tokens || 0,
-        completion_tokens: usage.completion_tokens || usage.output_tokens || 0,
-        total_tokens: usage.total_tokens || 0,
-      },
+      usage: normalizeUsage(usage),
       duration_sec: durationSec,
-    });
+    }, options);
+  }
+
+  /**
+   * Runs a model call and logs its usage for a task
+   *
+   * Measures the duration of `fn`, reads the model and token usage from its
+   * response (OpenAI, Anthropic, Ollama and Gemini shapes) and calls
+   * `logLLM`. A failed log request does not fail the call: it is retried
+   * with the next one (see `UsageTracker`, available as `usageTracker`).
+   * With a `ledger`, its budget is checked before `fn` runs.
+   *
+   * @param {string} taskId - Task ID
+   * @param {Function} fn - Model call returning the response (or a promise of it)
+   * @param {Object} params - Tracking options
+   * @param {string} params.model - Model identifier (default: `response.model`)
+   * @param {Function} params.usage - Reads the usage from the response (default: `extractUsage`)
+   * @param {Object} options - Request options ({ signal, timeoutMs }) for the log request
+   * @returns {Promise<*>} The response of `fn`
+   * @throws {BudgetExceededError} When the ledger budget is used up; `fn` is not called
+   * @throws {*} Whatever `fn` throws
+   *
+   * @example
+   * ```javascript
+   * const completion = await client.trackUsage(task.task_id, () =>
+   *   openai.chat.completions.create({ model: 'gpt-4o', messages }));
+   *
+   * // Ollama: usage is read from prompt_eval_count and eval_count
+   * const reply = await client.trackUsage(task.task_id, () =>
+   *   ollama.chat({ model: 'llama3', messages }));
+   * ```
+   */
+  async trackUsage(taskId, fn, params = {}, options = {}) {
+    return this.usageTracker.track(taskId, fn, params, options);
   }
 
   /**
    * Creates a Store API client for a specific task
    *
    * @param {Object|string} taskOrId - Task object or task ID
+   * @param {Object} options - Store client options
+   * @param {Function|Object} options.checkoutGuard - Guard run before every checkout (see `createCheckoutGuard`)
    * @returns {StoreClient} Store API client
    *
    * @example
    * ```javascript
    * const storeClient = client.getStoreClient('task-123');
    * const products = await storeClient.listProducts();
+   *
+   * // Refuse checkouts above the task budget
+   * const guarded = client.getStoreClient('task-123', { checkoutGuard: { budget: 3000 } });
    * ```
    */
-  getStoreClient(taskOrId) {
+  getStoreClient(taskOrId, options = {}) {
     const taskId = typeof taskOrId === 'string' ? taskOrId : taskOrId.task_id;
-    return new StoreClient(this.baseUrl, taskId);
+    return new StoreClient(this.baseUrl, taskId, { ...options, transport: this.transport });
   }
 
   /**
@@ -369,7 +475,186 @@ export class ERC3 {
    */
   getDemoClient(taskOrId) {
     const taskId = typeof taskOrId === 'string' ? taskOrId : taskOrId.task_id;
-    return new DemoClient(this.baseUrl, taskId);
+    return new DemoClient(this.baseUrl, taskId, { transport: this.transport });
+  }
+
+  // ============================================================================
+  // Task Runner
+  // ============================================================================
+
+  /**
+   * Runs a task from start to completion
+   *
+   * Starts the task (unless it is already running), creates the client of
+   * its benchmark, calls `work(ctx)` and completes the task exactly once,
+   * whether the work succeeded or threw. Errors are captured in the result
+   * rather than thrown. A task that is already completed is not run again:
+   * `work` is not called, and the result has `skipped: true` and the
+   * evaluation the task already has.
+   *
+   * The context passed to `work` holds `task`, `taskId`, `benchmark`,
+   * `taskText`, `client` (this ERC3 client), `api` (the benchmark client,
+   * also available as `store` or `demo`), `signal`, `logLLM()`, which logs
+   * an LLM call for the task (`{ model, usage, durationSec }`),
+   * `trackUsage(fn, params?)`, which runs a model call and logs it (see
+   * `trackUsage`), `usage`, the `UsageTracker` behind `trackUsage`, and `complete()`, which completes the task early and returns the completion
+   * (later calls and the runner reuse it).
+   *
+   * @param {Object|string} taskOrId - Task object (from `sessionStatus`) or task ID
+   * @param {Function} work - Async function receiving the task context; its return value is `output`
+   * @param {Object} params - Run options
+   * @param {string} params.benchmark - Benchmark of the task (default: read from the task)
+   * @param {Object} params.store - Options for `getStoreClient` (e.g. `{ checkoutGuard, transcript }`)
+   * @param {Function} params.onStart - Called with the task once it is started (or found running)
+   * @param {Function} params.onLog - Called with each LLM call logged through `ctx.logLLM()` or `ctx.trackUsage()`
+   * @param {Object} options - Request options ({ signal, timeoutMs }); the signal is also passed to `work`
+   * @returns {Promise<Object>} Result `{ taskId, benchmark, specId, ok, score, eval, output, error,
+   *   usage, skipped, startedAt, finishedAt, durationMs }`. `error` is null or
+   *   `{ stage: 'start'|'work'|'complete', name, message, status, code, cause }`;
+   *   `usage` is the ledger summary of the task (null without a `ledger`).
+   * @throws {Error} When `work` is not a function
+   *
+   * @example
+   * ```javascript
+   * const status = await client.sessionStatus(session.session_id);
+   *
+   * for (const task of status.tasks) {
+   *   const result = await client.runTask(task, async ({ store, taskText }) => {
+   *     const catalog = await store.getCatalog();
+   *     const [cheapest] = catalog.query({ inStock: true, sortBy: 'price', limit: 1 });
+   *     await store.addToBasket(cheapest.sku, 1);
+   *     await store.checkout();
+   *   });
+   *   console.log(result.taskId, result.score, result.error?.message);
+   * }
+   * ```
+   */
+  async runTask(taskOrId, work, params = {}, options = {}) {
+    if (typeof work !== 'function') {
+      throw new Error('runTask() needs a work function: runTask(task, async ctx => { ... })');
+    }
+
+    const startedAt = Date.now();
+    const result = {
+      taskId: typeof taskOrId === 'string' ? taskOrId : taskOrId.task_id,
+      benchmark: params.benchmark ?? (typeof taskOrId === 'string' ? null : taskOrId.benchmark ?? null),
+      specId: typeof taskOrId === 'string' ? null : taskOrId.spec_id ?? null,
+      ok: false,
+      score: null,
+      eval: null,
+      output: undefined,
+      error: null,
+      usage: null,
+      skipped: false,
+      startedAt,
+      finishedAt: null,
+      durationMs: null,
+    };
+
+    // Completion must not be skipped because the caller's signal fired
+    let completion = null;
+    const complete = () => {
+      completion ??= this.completeTask(result.taskId, { timeoutMs: options.timeoutMs });
+      return completion;
+    };
+
+    let started = false;
+    let usage = null;
+    try {
+      let task = typeof taskOrId === 'string' ? null : taskOrId;
+      if (!task || !task.benchmark || !task.status) {
+        task = { ...task, ...await this.viewTask(result.taskId, null, options) };
+      }
+      result.benchmark ??= task.benchmark ?? null;
+      result.specId ??= task.spec_id ?? null;
+
+      if (task.status === 'completed') {
+        // Completing it again would fail: report the evaluation it already has
+        result.skipped = true;
+        result.eval = task.eval ?? null;
+        result.score = task.eval?.score ?? task.score ?? null;
+      } else {
+        if (task.status === 'new') {
+          const start = await this.startTask(result.taskId, options);
+          task = { ...task, ...start };
+        }
+        started = true;
+        params.onStart?.(task);
+
+        const api = this._benchmarkClient(result.benchmark, result.taskId, params);
+        const logLLM = async (call, requestOptions = options) => {
+          const logged = await this.logLLM({ ...call, taskId: result.taskId }, requestOptions);
+          params.onLog?.(call);
+          return logged;
+        };
+        usage = new UsageTracker({
+          logLLM: ({ taskId, ...call }, requestOptions) => logLLM(call, requestOptions),
+          ledger: this.ledger,
+        }, { logger: this.transport.logger });
+        const ctx = {
+          task,
+          taskId: result.taskId,
+          benchmark: result.benchmark,
+          taskText: task.task_text ?? null,
+          client: this,
+          api,
+          signal: options.signal,
+          logLLM,
+          trackUsage: (fn, trackParams, requestOptions = options) =>
+            usage.track(result.taskId, fn, trackParams, requestOptions),
+          usage,
+          complete,
+        };
+        if (result.benchmark) {
+          ctx[result.benchmark] = api;
+        }
+        result.output = await work(ctx);
+      }
+    } catch (error) {
+      result.error = describeError(started ? 'work' : 'start', error);
+    }
+
+    if (usage?.pending.length) {
+      // Last chance for LLM calls whose log request failed
+      await usage.flush({ timeoutMs: options.timeoutMs }, false);
+    }
+
+    if (started) {
+      try {
+        const completed = await complete();
+        result.eval = completed.eval ?? null;
+        result.score = completed.eval?.score ?? null;
+      } catch (error) {
+        result.error ??= describeError('complete', error);
+      }
+    }
+
+    result.ok = result.error === null;
+    result.finishedAt = Date.now();
+    result.durationMs = result.finishedAt - startedAt;
+    if (this.ledger) {
+      result.usage = this.ledger.summary(result.taskId);
+      this.transport.logger.info(`Task ${result.taskId} used ${result.usage.total_tokens} tokens`, {
+        taskId: result.taskId,
+        ...result.usage,
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Creates the API client of a benchmark, or null for other benchmarks
+   * @private
+   */
+  _benchmarkClient(benchmark, taskId, params) {
+    switch (benchmark) {
+      case 'store':
+        return this.getStoreClient(taskId, params.store);
+      case 'demo':
+        return this.getDemoClient(taskId);
+      default:
+        return null;
+    }
   }
 }
 
@@ -378,6 +663,8 @@ export class ERC3 {
  *
  * @param {string} email - Email to get API key for
  * @param {string} baseUrl - Base URL (optional)
+ * @param {Object} options - Request options
+ * @param {Transport} options.transport - HTTP transport (optional)
  * @returns {Promise<Object>} API key response
  *
  * @example
@@ -388,14 +675,30 @@ export class ERC3 {
  * console.log('API Key:', result.account_key);
  * ```
  */
-export async function getApiKey(email, baseUrl = 'https://erc.timetoact-group.at') {
-  const response = await fetch(`${baseUrl}/get_key`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({ email }),
-  });
-
-  return response.json();
+export async function getApiKey(email, baseUrl = 'https://erc.timetoact-group.at', options = {}) {
+  const { transport = new Transport(), ...requestOptions } = options;
+  return transport.request(`${baseUrl}/get_key`, { email }, requestOptions);
+}
+
+/**
+ * Normalizes an error captured by `runTask`
+ * @private
+ */
+function describeError(stage, error) {
+  return {
+    stage,
+    name: error?.name ?? 'Error',
+    message: error?.message ?? String(error),
+    status: error?.status ?? null,
+    code: error?.code ?? null,
+    cause: error,
+  };
+}
+
+/**
+ * Identifies a task log entry across polls
+ * @private
+ */
+function logKey(entry) {
+  return `${entry.time}\u0000${entry.type}\u0000${entry.text}`;
 }
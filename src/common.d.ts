@@ -0,0 +1,142 @@
+/**
+ * Common utilities and classes for ERC3 SDK
+ * @module erc3-js/common
+ */
+
+/**
+ * Custom error class for API exceptions
+ */
+export class ApiException extends Error {
+  constructor(message: string, status?: number, code?: string, detail?: string, requestId?: string);
+  name: string;
+  /** HTTP or API status code */
+  status: number | undefined;
+  /** Machine-readable error code (e.g. 'HTTP_ERROR', 'REQUEST_FAILED', 'TIMEOUT') */
+  code: string | undefined;
+  /** Raw response body or underlying error message */
+  detail: string | undefined;
+  /** ID of the request that failed */
+  requestId: string | undefined;
+  /** Parsed Retry-After delay of an HTTP error response */
+  retryAfterMs?: number | null;
+  /** Set to false for failures that must never be retried */
+  retryable?: boolean;
+  cause?: unknown;
+}
+
+/**
+ * Single mismatch between a response and its schema
+ */
+export interface SchemaIssue {
+  /** JSON path of the offending value (e.g. '$.products[2].price') */
+  path: string;
+  message: string;
+}
+
+/**
+ * Raised when a response body does not match the schema of its endpoint
+ */
+export class SchemaMismatchError extends ApiException {
+  constructor(endpoint: string, issues: SchemaIssue[], body: unknown, requestId?: string);
+  code: 'SCHEMA_MISMATCH';
+  endpoint: string;
+  /** Path of the first mismatch */
+  path: string;
+  issues: SchemaIssue[];
+  retryable: false;
+}
+
+/**
+ * Invalid argument of a tool call
+ */
+export interface ToolIssue {
+  /** Argument name (e.g. 'sku') */
+  field: string;
+  message: string;
+}
+
+/**
+ * Raised by `dispatch()` when a tool call is invalid, before anything is sent
+ */
+export class ToolValidationError extends ApiException {
+  constructor(
+    message: string,
+    details: { tool: string | undefined; code: 'UNKNOWN_TOOL' | 'INVALID_ARGUMENTS'; issues?: ToolIssue[]; validTools?: string[] }
+  );
+  code: 'UNKNOWN_TOOL' | 'INVALID_ARGUMENTS';
+  /** Tool name as called, or its function name once resolved */
+  tool: unknown;
+  issues: ToolIssue[];
+  /** Function names of every tool of the client */
+  validTools: string[];
+  retryable: false;
+}
+
+/**
+ * Raised when a checkout guard vetoes a checkout; nothing is sent
+ */
+export class CheckoutVetoError extends ApiException {
+  constructor(violations: Array<{ rule: string; message: string; [key: string]: unknown }>, preview?: unknown);
+  code: 'CHECKOUT_VETOED';
+  violations: Array<{ rule: string; message: string; [key: string]: unknown }>;
+  /** Basket preview the guard saw */
+  preview: any;
+  retryable: false;
+}
+
+/**
+ * Amount that disagrees with the others in a basket or checkout response
+ */
+export interface TotalsIssue {
+  field: 'subtotal' | 'total';
+  expected: number;
+  actual: number;
+  message: string;
+}
+
+/**
+ * Raised in strict mode when basket amounts do not add up
+ */
+export class TotalsMismatchError extends ApiException {
+  constructor(endpoint: string, issues: TotalsIssue[], body: unknown);
+  code: 'TOTALS_MISMATCH';
+  endpoint: string;
+  issues: TotalsIssue[];
+  retryable: false;
+}
+
+/**
+ * Raised before a model call when a token or cost budget is used up
+ */
+export class BudgetExceededError extends ApiException {
+  constructor(details: {
+    scope: 'task' | 'session';
+    limit: 'tokens' | 'cost';
+    spent: number;
+    max: number;
+    taskId?: string | null;
+  });
+  code: 'BUDGET_EXCEEDED';
+  scope: 'task' | 'session';
+  /** 'cost' is in USD */
+  limit: 'tokens' | 'cost';
+  spent: number;
+  max: number;
+  taskId: string | null;
+  retryable: false;
+}
+
+/**
+ * Per-call request options accepted by every client method
+ */
+export interface RequestOptions {
+  /** Signal that cancels the request (raises code 'ABORTED') */
+  signal?: AbortSignal;
+  /** Timeout in milliseconds, retries included (raises code 'TIMEOUT') */
+  timeoutMs?: number;
+}
+
+/**
+ * Empty success payload (`{}`)
+ */
+export type EmptyResponse = Record<string, never>;
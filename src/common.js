@@ -7,11 +7,124 @@
  * Custom error class for API exceptions
  */
 export class ApiException extends Error {
-  constructor(message, status, code, detail) {
+  constructor(message, status, code, detail, requestId) {
     super(message);
     this.name = 'ApiException';
     this.status = status;
     this.code = code;
     this.detail = detail;
+    this.requestId = requestId;
+  }
+}
+
+/**
+ * Raised when a response body does not match the schema of its endpoint
+ *
+ * `path` points at the first offending value (e.g. `$.products[2].price`);
+ * `issues` lists every mismatch found in the response.
+ */
+export class SchemaMismatchError extends ApiException {
+  constructor(endpoint, issues, body, requestId) {
+    const [first] = issues;
+    super(
+      `Response of ${endpoint} does not match its schema at ${first.path}: ${first.message}`,
+      502,
+      'SCHEMA_MISMATCH',
+      JSON.stringify(body),
+      requestId
+    );
+    this.name = 'SchemaMismatchError';
+    this.endpoint = endpoint;
+    this.path = first.path;
+    this.issues = issues;
+    this.retryable = false;
+  }
+}
+
+/**
+ * Raised by `dispatch()` when a tool call is invalid, before anything is sent
+ *
+ * The message is written for the model that made the call: it names the
+ * problem fields, the expected parameters and the valid tool names, so it
+ * can be returned as the tool result and corrected on the next turn.
+ */
+export class ToolValidationError extends ApiException {
+  constructor(message, { tool, code, issues = [], validTools = [] }) {
+    super(message, 400, code, JSON.stringify({ tool, issues, valid_tools: validTools }));
+    this.name = 'ToolValidationError';
+    this.tool = tool;
+    this.issues = issues;
+    this.validTools = validTools;
+    this.retryable = false;
+  }
+}
+
+/**
+ * Raised when a checkout guard vetoes a checkout; nothing is sent
+ *
+ * `violations` lists `{ rule, message }` for every rule the basket breaks
+ * and `preview` holds the basket totals the guard saw.
+ */
+export class CheckoutVetoError extends ApiException {
+  constructor(violations, preview) {
+    super(
+      `Checkout vetoed: ${violations.map(violation => violation.message).join('; ')}`,
+      409,
+      'CHECKOUT_VETOED',
+      JSON.stringify({ violations, total: preview?.total })
+    );
+    this.name = 'CheckoutVetoError';
+    this.violations = violations;
+    this.preview = preview;
+    this.retryable = false;
+  }
+}
+
+/**
+ * Raised when basket amounts do not add up (subtotal, discount and total)
+ *
+ * `issues` lists `{ field, expected, actual, message }` for every amount
+ * that disagrees with the others.
+ */
+export class TotalsMismatchError extends ApiException {
+  constructor(endpoint, issues, body) {
+    super(
+      `Amounts of ${endpoint} do not add up: ${issues.map(issue => issue.message).join('; ')}`,
+      502,
+      'TOTALS_MISMATCH',
+      JSON.stringify(body)
+    );
+    this.name = 'TotalsMismatchError';
+    this.endpoint = endpoint;
+    this.issues = issues;
+    this.retryable = false;
+  }
+}
+
+/**
+ * Raised before a model call when a token or cost budget is used up
+ *
+ * `scope` is 'task' or 'session', `limit` is 'tokens' or 'cost' (USD);
+ * `spent` is what the ledger recorded and `max` the configured budget.
+ */
+export class BudgetExceededError extends ApiException {
+  constructor({ scope, limit, spent, max, taskId = null }) {
+    const subject = scope === 'task' ? `Task ${taskId}` : 'Session';
+    const amounts = limit === 'cost'
+      ? `$${spent.toFixed(4)} spent of $${max.toFixed(4)}`
+      : `${spent} tokens used of ${max}`;
+    super(
+      `${subject} ${limit === 'cost' ? 'cost' : 'token'} budget exceeded: ${amounts}`,
+      402,
+      'BUDGET_EXCEEDED',
+      JSON.stringify({ scope, limit, spent, max, task_id: taskId })
+    );
+    this.name = 'BudgetExceededError';
+    this.scope = scope;
+    this.limit = limit;
+    this.spent = spent;
+    this.max = max;
+    this.taskId = taskId;
+    this.retryable = false;
   }
 }
@@ -0,0 +1,50 @@
+/**
+ * ERC3 Demo API Client
+ *
+ * @module erc3-js/demo
+ */
+
+import type { EmptyResponse, RequestOptions } from '../common.js';
+import type { Transport } from '../transport.js';
+import type { ToolCall, ToolDefinitions, ToolFormat } from '../tools.js';
+
+/**
+ * Secret of a demo task
+ */
+export interface SecretResponse {
+  value: string;
+}
+
+/**
+ * Requests accepted by `DemoClient.dispatch()`, discriminated by `tool`
+ */
+export type DemoRequest =
+  | { tool: '/secret' }
+  | { tool: '/answer'; answer: string | number };
+
+export type DemoTool = DemoRequest['tool'];
+
+/**
+ * Response payload for each demo tool
+ */
+export interface DemoResponses {
+  '/secret': SecretResponse;
+  '/answer': EmptyResponse;
+}
+
+export interface DemoClientOptions {
+  transport?: Transport;
+}
+
+export class DemoClient {
+  constructor(baseUrl: string, taskId: string, options?: DemoClientOptions);
+  baseUrl: string;
+  taskId: string;
+  transport: Transport;
+
+  getSecret(options?: RequestOptions): Promise<SecretResponse>;
+  submitAnswer(answer: string | number, options?: RequestOptions): Promise<EmptyResponse>;
+  dispatch<R extends DemoRequest>(request: R, options?: RequestOptions): Promise<DemoResponses[R['tool']]>;
+  dispatch(request: ToolCall, options?: RequestOptions): Promise<unknown>;
+  getToolDefinitions<F extends ToolFormat = 'generic'>(format?: F): ToolDefinitions[F][];
+}
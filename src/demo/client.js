@@ -8,7 +8,9 @@
  * @module erc3-js/demo
  */
 
-import { ApiException } from '../common.js';
+import { Transport } from '../transport.js';
+import { formatToolDefinitions, validateToolCall } from '../tools.js';
+import { DEMO_TOOLS } from './tools.js';
 
 /**
  * Demo API Client
@@ -41,52 +43,24 @@ export class DemoClient {
    *
    * @param {string} baseUrl - Base URL for the API
    * @param {string} taskId - Task ID for this demo session
+   * @param {Object} options - Client options
+   * @param {Transport} options.transport - HTTP transport (defaults to a new Transport)
    */
-  constructor(baseUrl, taskId) {
+  constructor(baseUrl, taskId, options = {}) {
     this.baseUrl = baseUrl;
     this.taskId = taskId;
+    this.transport = options.transport || new Transport();
   }
 
   /**
    * Makes a POST request to the demo API
    * @private
    */
-  async _request(endpoint, data = {}) {
-    const url = `${this.baseUrl}/demo/${this.taskId}${endpoint}`;
-
-    try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(data),
-      });
-
-      const result = await response.json();
-
-      // Check for API errors
-      if (result.status && result.status >= 400) {
-        throw new ApiException(
-          result.error || 'API Error',
-          result.status,
-          result.code,
-          JSON.stringify(result)
-        );
-      }
-
-      return result;
-    } catch (error) {
-      if (error instanceof ApiException) {
-        throw error;
-      }
-      throw new ApiException(
-        `Request failed: ${error.message}`,
-        500,
-        'REQUEST_FAILED',
-        error.message
-      );
-    }
+  async _request(endpoint, data = {}, options = {}) {
+    return this.transport.request(`${this.baseUrl}/demo/${this.taskId}${endpoint}`, data, {
+      ...options,
+      endpoint,
+    });
   }
 
   // ============================================================================
@@ -98,6 +72,7 @@ export class DemoClient {
    *
    * Retrieves the secret value that needs to be submitted as an answer.
    *
+   * @param {Object} options - Request options ({ signal, timeoutMs })
    * @returns {Promise<Object>} Secret object with value
    *
    * @example
@@ -106,16 +81,17 @@ export class DemoClient {
    * console.log('Secret:', result.value);
    * ```
    */
-  async getSecret() {
+  async getSecret(options = {}) {
     return this._request('/secret', {
       tool: '/secret',
-    });
+    }, options);
   }
 
   /**
    * Submits an answer for the demo task
    *
    * @param {string} answer - The answer text
+   * @param {Object} options - Request options ({ signal, timeoutMs })
    * @returns {Promise<Object>} Result (empty object on success)
    *
    * @example
@@ -125,11 +101,11 @@ export class DemoClient {
    * await demoClient.submitAnswer(secret.value);
    * ```
    */
-  async submitAnswer(answer) {
+  async submitAnswer(answer, options = {}) {
     return this._request('/answer', {
       tool: '/answer',
       answer: String(answer),
-    });
+    }, options);
   }
 
   // ============================================================================
@@ -140,10 +116,14 @@ export class DemoClient {
    * Dispatches a demo request (for tool-based workflows)
    *
    * This method is useful for LLM agents that work with tool-based APIs.
-   * It routes requests to the appropriate method based on the tool name.
+   * It routes requests to the appropriate method based on the tool path
+   * (`/answer`) or function name (`answer`).
    *
    * @param {Object} request - Request object with tool and parameters
+   * @param {Object} options - Request options ({ signal, timeoutMs })
    * @returns {Promise<Object>} Response from the appropriate endpoint
+   * @throws {ToolValidationError} When the tool is unknown or its arguments do
+   *   not match the tool schema; nothing is sent to the server
    *
    * @example
    * ```javascript
@@ -152,16 +132,33 @@ export class DemoClient {
    * await demoClient.dispatch({ tool: '/answer', answer: secret.value });
    * ```
    */
-  async dispatch(request) {
-    const tool = request.tool;
+  async dispatch(request, options = {}) {
+    const tool = validateToolCall(DEMO_TOOLS, request);
+    return tool.call(this, request, options);
+  }
 
-    switch (tool) {
-      case '/secret':
-        return this.getSecret();
-      case '/answer':
-        return this.submitAnswer(request.answer);
-      default:
-        throw new Error(`Unknown tool: ${tool}`);
-    }
+  /**
+   * Returns JSON Schema definitions of the tools accepted by `dispatch()`
+   *
+   * Tool names are the paths without the leading slash (`/secret` becomes
+   * `secret`). `dispatch()` accepts both forms in the `tool` field.
+   *
+   * @param {string} format - 'generic', 'openai' or 'anthropic' (default: 'generic')
+   * @returns {Object[]} Tool definitions in the requested format
+   *
+   * @example
+   * ```javascript
+   * // OpenAI function calling
+   * const tools = demoClient.getToolDefinitions('openai');
+   * const completion = await openai.chat.completions.create({ model, messages, tools });
+   * const call = completion.choices[0].message.tool_calls[0];
+   * await demoClient.dispatch({ tool: call.function.name, ...JSON.parse(call.function.arguments) });
+   *
+   * // Anthropic tool use
+   * const message = await anthropic.messages.create({ model, messages, tools: demoClient.getToolDefinitions('anthropic') });
+   * ```
+   */
+  getToolDefinitions(format = 'generic') {
+    return formatToolDefinitions(DEMO_TOOLS, format);
   }
 }
@@ -0,0 +1,8 @@
+/**
+ * ERC3 Demo API - Entry Point
+ *
+ * @module erc3-js/demo
+ */
+
+export * from './client.js';
+export * from './tools.js';
@@ -5,3 +5,4 @@
  */
 
 export { DemoClient } from './client.js';
+export { DEMO_TOOLS } from './tools.js';
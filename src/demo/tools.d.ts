@@ -0,0 +1,13 @@
+/**
+ * Demo API tool definitions
+ *
+ * @module erc3-js/demo/tools
+ */
+
+import type { Tool } from '../tools.js';
+import type { DemoClient } from './client.js';
+
+/**
+ * Tools accepted by `DemoClient.dispatch()`
+ */
+export const DEMO_TOOLS: Tool<DemoClient>[];
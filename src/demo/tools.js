@@ -0,0 +1,33 @@
+/**
+ * Demo API tool definitions
+ *
+ * @module erc3-js/demo/tools
+ */
+
+/**
+ * Tools accepted by `DemoClient.dispatch()`
+ *
+ * Each entry has the tool `path`, a `description` for the model, JSON
+ * Schema `parameters` and `call(client, request, options)`.
+ */
+export const DEMO_TOOLS = [
+  {
+    path: '/secret',
+    description: 'Get the secret value of the task.',
+    parameters: { type: 'object', properties: {}, additionalProperties: false },
+    call: (client, request, options) => client.getSecret(options),
+  },
+  {
+    path: '/answer',
+    description: 'Submit the answer of the task. The answer is sent as text.',
+    parameters: {
+      type: 'object',
+      properties: {
+        answer: { type: ['string', 'number'], description: 'Answer text' },
+      },
+      required: ['answer'],
+      additionalProperties: false,
+    },
+    call: (client, request, options) => client.submitAnswer(request.answer, options),
+  },
+];
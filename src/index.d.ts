@@ -0,0 +1,167 @@
+/**
+ * ERC3 JavaScript SDK
+ *
+ * @module erc3-js
+ */
+
+// Core client
+export { ERC3, getApiKey } from './client.js';
+export type {
+  ERC3Options,
+  TaskRef,
+  BenchmarkSummary,
+  BenchmarkListResponse,
+  BenchmarkSpec,
+  BenchmarkRoute,
+  BenchmarkDetails,
+  StartSessionParams,
+  StartSessionResponse,
+  TaskStatus,
+  TaskInfo,
+  SessionStatusResponse,
+  SearchSessionsCriteria,
+  SessionSummary,
+  SearchSessionsResponse,
+  SubmitSessionResponse,
+  StartTaskResponse,
+  EvalResult,
+  CompleteTaskResponse,
+  TaskLogEntry,
+  TaskView,
+  FollowTaskParams,
+  LLMUsage,
+  LogLLMParams,
+  ApiKeyResponse,
+  TaskContext,
+  RunTaskParams,
+  RunTaskError,
+  RunTaskResult,
+} from './client.js';
+
+// Session orchestration
+export { SessionRunner } from './runner.js';
+export type { SessionRunnerOptions, SessionProgress, SessionReport, SessionRunnerEvents } from './runner.js';
+export { Checkpoint, TASK_STATES } from './checkpoint.js';
+export type { CheckpointTaskState, CheckpointTask, CheckpointData, CheckpointOptions } from './checkpoint.js';
+
+// LLM agent
+export { Agent, STOP_REASONS } from './agent.js';
+export type {
+  StopReason,
+  ModelToolCall,
+  AgentMessage,
+  ModelRequest,
+  ModelReply,
+  ModelAdapter,
+  AgentOptions,
+  AgentToolClient,
+  AgentTaskContext,
+  AgentResult,
+  AgentEvents,
+} from './agent.js';
+
+// Common utilities
+export { ApiException, SchemaMismatchError, ToolValidationError, CheckoutVetoError, TotalsMismatchError, BudgetExceededError } from './common.js';
+export type { RequestOptions, EmptyResponse, SchemaIssue, ToolIssue, TotalsIssue } from './common.js';
+
+// HTTP transport
+export { Transport } from './transport.js';
+export type { FetchLike, TransportOptions, TransportRequestOptions, TransportResponse } from './transport.js';
+export { RetryPolicy, DEFAULT_RETRY_STATUSES, NON_IDEMPOTENT_ENDPOINTS } from './retry.js';
+export type { RetryPolicyOptions, RetryOption, JitterMode } from './retry.js';
+
+// Response validation
+export { ResponseValidator, RESPONSE_SCHEMAS, VALIDATION_MODES, validateSchema } from './schema.js';
+export type { Schema, ValidationMode, ValidationOption, ResponseValidatorOptions } from './schema.js';
+
+// Record and replay
+export { Cassette, MATCHERS, DEFAULT_SCRUB_FIELDS, SCRUBBED_VALUE, scrubFields } from './cassette.js';
+export type { CassetteOptions, CassetteInteraction, CassetteRequest, CassetteMatcher } from './cassette.js';
+
+// Logging
+export { Logger, LOG_LEVELS, consoleLogger, pinoLogger, methodLogger, createLogger } from './logger.js';
+export type { LogLevel, LogRecord, LogSink, LoggerOption, PinoLike, MethodLogger } from './logger.js';
+
+// LLM usage tracking
+export { UsageTracker, normalizeUsage, extractUsage } from './usage.js';
+export type { NormalizedUsage, TrackUsageParams, TrackedCall, UsageTotals, UsageTrackerOptions, UsageSink } from './usage.js';
+
+// Cost accounting
+export { CostLedger, BUDGET_LIMITS } from './ledger.js';
+export type { BudgetLimit, ModelPrice, Budget, CostLedgerOptions, LedgerEntry, UsageSummary, LedgerReport } from './ledger.js';
+
+// Tool definitions
+export { TOOL_FORMATS, toolName, findTool, formatToolDefinitions, validateToolCall } from './tools.js';
+export type {
+  ToolFormat,
+  ToolParameters,
+  Tool,
+  ToolCall,
+  GenericToolDefinition,
+  OpenAIToolDefinition,
+  AnthropicToolDefinition,
+  ToolDefinitions,
+} from './tools.js';
+
+// Store API
+export {
+  StoreClient,
+  STORE_TOOLS,
+  Catalog,
+  CouponOptimizer,
+  planBasket,
+  diffBasket,
+  createCheckoutGuard,
+  toCheckoutGuard,
+  BasketSimulator,
+  Money,
+  MONEY_UNITS,
+} from './store/index.js';
+export type {
+  Product,
+  ProductListResponse,
+  BasketItem,
+  Basket,
+  CheckoutResult,
+  BasketCounts,
+  ListProductsParams,
+  IterateProductsParams,
+  CatalogFilter,
+  CatalogQuery,
+  CatalogSortField,
+  SortOrder,
+  CouponResult,
+  CouponReport,
+  CouponRunParams,
+  BasketItems,
+  BasketTarget,
+  BasketOperation,
+  BasketOperationResult,
+  BasketDifference,
+  UnsatisfiedLine,
+  SetBasketResult,
+  CheckoutPreview,
+  TranscriptEntry,
+  CheckoutViolation,
+  CheckoutGuard,
+  CheckoutGuardContext,
+  CheckoutGuardRules,
+  CheckoutGuardOption,
+  CouponModel,
+  SimulatedBasket,
+  SimulationMismatch,
+  SimulationCheck,
+  MoneyUnit,
+  MoneyOptions,
+  StoreRequest,
+  StoreTool,
+  StoreResponses,
+  StoreClientOptions,
+} from './store/index.js';
+
+// Demo API
+export { DemoClient, DEMO_TOOLS } from './demo/index.js';
+export type { SecretResponse, DemoRequest, DemoTool, DemoResponses, DemoClientOptions } from './demo/index.js';
+
+// Default export
+export { ERC3 as default } from './client.js';
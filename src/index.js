@@ -10,14 +10,55 @@
 // Core client
 export { ERC3, getApiKey } from './client.js';
 
+// Session orchestration
+export { SessionRunner } from './runner.js';
+export { Checkpoint, TASK_STATES } from './checkpoint.js';
+
+// LLM agent
+export { Agent, STOP_REASONS } from './agent.js';
+
 // Common utilities
-export { ApiException } from './common.js';
+export { ApiException, SchemaMismatchError, ToolValidationError, CheckoutVetoError, TotalsMismatchError, BudgetExceededError } from './common.js';
+
+// HTTP transport
+export { Transport } from './transport.js';
+export { RetryPolicy, DEFAULT_RETRY_STATUSES, NON_IDEMPOTENT_ENDPOINTS } from './retry.js';
+
+// Response validation
+export { ResponseValidator, RESPONSE_SCHEMAS, VALIDATION_MODES, validateSchema } from './schema.js';
+
+// Record and replay
+export { Cassette, MATCHERS, DEFAULT_SCRUB_FIELDS, SCRUBBED_VALUE, scrubFields } from './cassette.js';
+
+// Logging
+export { Logger, LOG_LEVELS, consoleLogger, pinoLogger, methodLogger, createLogger } from './logger.js';
+
+// LLM usage tracking
+export { UsageTracker, normalizeUsage, extractUsage } from './usage.js';
+
+// Cost accounting
+export { CostLedger, BUDGET_LIMITS } from './ledger.js';
+
+// Tool definitions
+export { TOOL_FORMATS, toolName, findTool, formatToolDefinitions, validateToolCall } from './tools.js';
 
 // Store API
-export { StoreClient } from './store/index.js';
+export {
+  StoreClient,
+  STORE_TOOLS,
+  Catalog,
+  CouponOptimizer,
+  planBasket,
+  diffBasket,
+  createCheckoutGuard,
+  toCheckoutGuard,
+  BasketSimulator,
+  Money,
+  MONEY_UNITS,
+} from './store/index.js';
 
 // Demo API
-export { DemoClient } from './demo/index.js';
+export { DemoClient, DEMO_TOOLS } from './demo/index.js';
 
 // Default export
 export { ERC3 as default } from './client.js';
@@ -0,0 +1,74 @@
+/**
+ * Token and cost accounting for LLM calls
+ *
+ * @module erc3-js/ledger
+ */
+
+import type { LLMUsage } from './client.js';
+import type { NormalizedUsage } from './usage.js';
+
+export type BudgetLimit = 'taskTokens' | 'taskCost' | 'sessionTokens' | 'sessionCost';
+
+export declare const BUDGET_LIMITS: BudgetLimit[];
+
+/**
+ * Price of a model in USD per million tokens
+ */
+export interface ModelPrice {
+  prompt?: number;
+  completion?: number;
+}
+
+/**
+ * Budget limits; costs are in USD
+ */
+export type Budget = Partial<Record<BudgetLimit, number>>;
+
+export interface CostLedgerOptions {
+  /** Price per model name (or name prefix) */
+  prices?: Record<string, ModelPrice>;
+  budget?: Budget;
+  /** Session accounted for (set by SessionRunner when missing) */
+  sessionId?: string | null;
+}
+
+export interface LedgerEntry extends NormalizedUsage {
+  taskId: string;
+  model: string;
+  /** USD, or null when the model is unpriced */
+  cost: number | null;
+}
+
+export interface UsageSummary extends NormalizedUsage {
+  calls: number;
+  /** USD, over priced calls */
+  cost: number;
+  /** Calls to models without a price */
+  unpricedCalls: number;
+}
+
+export interface LedgerReport extends UsageSummary {
+  sessionId: string | null;
+  tasks: Record<string, UsageSummary>;
+  unpricedModels: string[];
+  budget: Budget;
+}
+
+export class CostLedger {
+  constructor(options?: CostLedgerOptions);
+  prices: Record<string, ModelPrice>;
+  budget: Budget;
+  sessionId: string | null;
+  tasks: Map<string, UsageSummary>;
+  totals: UsageSummary;
+  unpricedModels: Set<string>;
+
+  static from(option: CostLedger | CostLedgerOptions): CostLedger;
+
+  price(model: string): ModelPrice | null;
+  cost(model: string, usage: LLMUsage): number | null;
+  record(taskId: string, call: { model: string; usage: LLMUsage }): LedgerEntry;
+  check(taskId: string): void;
+  summary(taskId: string): UsageSummary;
+  report(): LedgerReport;
+}
@@ -0,0 +1,217 @@
+/**
+ * Token and cost accounting for LLM calls
+ *
+ * @module erc3-js/ledger
+ */
+
+import { BudgetExceededError } from './common.js';
+import { normalizeUsage } from './usage.js';
+
+/**
+ * Budget limits a ledger can enforce
+ *
+ * - `taskTokens`, `taskCost`: per task
+ * - `sessionTokens`, `sessionCost`: over every task of the ledger
+ *
+ * Costs are in USD.
+ */
+export const BUDGET_LIMITS = ['taskTokens', 'taskCost', 'sessionTokens', 'sessionCost'];
+
+/**
+ * Records tokens and estimated cost per task and per session
+ *
+ * One ledger accounts for one session: its totals are the session totals.
+ * Prices are USD per million tokens, per model. A model is priced by its
+ * exact name, or else by the longest price key it starts with
+ * (`gpt-4o-2024-08-06` uses the `gpt-4o` price). Calls to unpriced models
+ * count towards token totals only, and the models are listed in the report.
+ *
+ * Give the ledger to the client (`new ERC3({ ledger })`) to record every
+ * call logged with `logLLM` (including `trackUsage` and `Agent` turns) and
+ * check the budget before every `trackUsage` call and `Agent` turn. Calls
+ * are recorded when they are measured, before their log request is sent:
+ * calls still queued by a `UsageTracker`, or whose log request failed,
+ * count towards the budget.
+ *
+ * @example
+ * ```javascript
+ * import { ERC3, SessionRunner, CostLedger } from 'erc3-js';
+ *
+ * const ledger = new CostLedger({
+ *   prices: { 'gpt-4o': { prompt: 2.5, completion: 10 }, 'gpt-4o-mini': { prompt: 0.15, completion: 0.6 } },
+ *   budget: { taskCost: 0.05, sessionCost: 2 },
+ * });
+ * const client = new ERC3({ ledger });
+ *
+ * const report = await new SessionRunner(client).run(session, solve);
+ * console.log(report.usage.cost, report.results.map(result => result.usage?.cost));
+ * ```
+ */
+export class CostLedger {
+  /**
+   * Creates a ledger
+   *
+   * @param {Object} options - Ledger options
+   * @param {Object<string, Object>} options.prices - Price per model: `{ prompt, completion }`
+   *   in USD per million tokens
+   * @param {Object} options.budget - Limits: `taskTokens`, `taskCost`, `sessionTokens`, `sessionCost`
+   * @param {string} options.sessionId - Session accounted for (set by `SessionRunner` when missing)
+   * @throws {Error} When a budget limit is unknown or not a positive number
+   */
+  constructor(options = {}) {
+    this.prices = { ...options.prices };
+    this.budget = { ...options.budget };
+    this.sessionId = options.sessionId ?? null;
+    this.tasks = new Map();
+    this.totals = emptyTotals();
+    this.unpricedModels = new Set();
+
+    for (const [limit, max] of Object.entries(this.budget)) {
+      if (!BUDGET_LIMITS.includes(limit)) {
+        throw new Error(`Unknown budget limit: ${limit}. Use ${BUDGET_LIMITS.join(', ')}.`);
+      }
+      if (max != null && !(typeof max === 'number' && max > 0)) {
+        throw new Error(`Invalid budget ${limit}: ${max}. Use a positive number.`);
+      }
+    }
+  }
+
+  /**
+   * Creates a ledger from the `ledger` client option
+   *
+   * @param {CostLedger|Object} option - Ledger or its options
+   * @returns {CostLedger} Ledger
+   */
+  static from(option) {
+    return option instanceof CostLedger ? option : new CostLedger(option);
+  }
+
+  /**
+   * Returns the price of a model
+   *
+   * @param {string} model - Model identifier
+   * @returns {Object|null} `{ prompt, completion }` in USD per million tokens, or null when unpriced
+   *   (including a missing or non-string model)
+   */
+  price(model) {
+    if (typeof model !== 'string') {
+      return null;
+    }
+    if (this.prices[model]) {
+      return this.prices[model];
+    }
+    const key = Object.keys(this.prices)
+      .filter(prefix => model.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+    return key ? this.prices[key] : null;
+  }
+
+  /**
+   * Estimates the cost of a call
+   *
+   * @param {string} model - Model identifier
+   * @param {Object} usage - Token usage in any shape accepted by `normalizeUsage`
+   * @returns {number|null} Cost in USD, or null when the model is unpriced
+   */
+  cost(model, usage) {
+    const price = this.price(model);
+    if (!price) {
+      return null;
+    }
+    const { prompt_tokens, completion_tokens } = normalizeUsage(usage);
+    return (prompt_tokens * (price.prompt || 0) + completion_tokens * (price.completion || 0)) / 1e6;
+  }
+
+  /**
+   * Records a model call
+   *
+   * @param {string} taskId - Task ID
+   * @param {Object} call - Model call
+   * @param {string} call.model - Model identifier
+   * @param {Object} call.usage - Token usage in any shape accepted by `normalizeUsage`
+   * @returns {Object} Entry `{ taskId, model, prompt_tokens, completion_tokens, total_tokens, cost }`
+   */
+  record(taskId, { model, usage }) {
+    const entry = { taskId, model, ...normalizeUsage(usage), cost: this.cost(model, usage) };
+    if (entry.cost === null) {
+      this.unpricedModels.add(model);
+    }
+
+    if (!this.tasks.has(taskId)) {
+      this.tasks.set(taskId, emptyTotals());
+    }
+    addEntry(this.tasks.get(taskId), entry);
+    addEntry(this.totals, entry);
+    return entry;
+  }
+
+  /**
+   * Checks the budget before a model call
+   *
+   * @param {string} taskId - Task ID of the next call
+   * @throws {BudgetExceededError} When a task or session limit is used up
+   */
+  check(taskId) {
+    const task = this.tasks.get(taskId) ?? emptyTotals();
+    const limits = [
+      ['session', 'tokens', this.totals.total_tokens, this.budget.sessionTokens],
+      ['session', 'cost', this.totals.cost, this.budget.sessionCost],
+      ['task', 'tokens', task.total_tokens, this.budget.taskTokens],
+      ['task', 'cost', task.cost, this.budget.taskCost],
+    ];
+    for (const [scope, limit, spent, max] of limits) {
+      if (max != null && spent >= max) {
+        throw new BudgetExceededError({ scope, limit, spent, max, taskId });
+      }
+    }
+  }
+
+  /**
+   * Returns the totals of a task
+   *
+   * @param {string} taskId - Task ID
+   * @returns {Object} `{ calls, prompt_tokens, completion_tokens, total_tokens, cost,
+   *   unpricedCalls }` (zeros for a task without calls)
+   */
+  summary(taskId) {
+    return { ...(this.tasks.get(taskId) ?? emptyTotals()) };
+  }
+
+  /**
+   * Returns the session report
+   *
+   * @returns {Object} Session totals plus `sessionId`, `tasks` (totals per task ID),
+   *   `unpricedModels` and `budget`
+   */
+  report() {
+    return {
+      sessionId: this.sessionId,
+      ...this.totals,
+      tasks: Object.fromEntries([...this.tasks].map(([taskId, totals]) => [taskId, { ...totals }])),
+      unpricedModels: [...this.unpricedModels],
+      budget: { ...this.budget },
+    };
+  }
+}
+
+/**
+ * @private
+ */
+function emptyTotals() {
+  return { calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost: 0, unpricedCalls: 0 };
+}
+
+/**
+ * @private
+ */
+function addEntry(totals, entry) {
+  totals.calls++;
+  totals.prompt_tokens += entry.prompt_tokens;
+  totals.completion_tokens += entry.completion_tokens;
+  totals.total_tokens += entry.total_tokens;
+  if (entry.cost === null) {
+    totals.unpricedCalls++;
+  } else {
+    totals.cost += entry.cost;
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Pluggable logging for the ERC3 SDK
+ *
+ * @module erc3-js/logger
+ */
+
+export type LogLevel = 'silent' | 'error' | 'info' | 'debug';
+
+export const LOG_LEVELS: Record<LogLevel, number>;
+
+/**
+ * Structured fields attached to SDK log records
+ */
+export interface LogRecord {
+  endpoint?: string;
+  status?: number;
+  code?: string;
+  latencyMs?: number;
+  attempt?: number;
+  delayMs?: number;
+  requestId?: string;
+  [key: string]: unknown;
+}
+
+export type LogSink = (level: Exclude<LogLevel, 'silent'>, message: string, record: LogRecord) => void;
+
+export class Logger {
+  constructor(options?: { level?: LogLevel; sink?: LogSink });
+  level: LogLevel;
+  sink: LogSink;
+  isLevelEnabled(level: LogLevel): boolean;
+  error(message: string, record?: LogRecord): void;
+  info(message: string, record?: LogRecord): void;
+  debug(message: string, record?: LogRecord): void;
+}
+
+/** Logger called as `logger.info(record, message)` */
+export interface PinoLike {
+  error(record: object, message: string): void;
+  info(record: object, message: string): void;
+  debug(record: object, message: string): void;
+  child(...args: unknown[]): unknown;
+  levels: unknown;
+}
+
+/** Logger called as `logger.info(message, record)` */
+export interface MethodLogger {
+  error(message: string, record?: object): void;
+  info(message: string, record?: object): void;
+  debug(message: string, record?: object): void;
+}
+
+export type LoggerOption = Logger | PinoLike | MethodLogger | LogLevel | boolean;
+
+export function consoleLogger(level?: LogLevel, options?: { stream?: { write(chunk: string): unknown } }): Logger;
+export function pinoLogger(target: Pick<PinoLike, 'error' | 'info' | 'debug'>): Logger;
+export function methodLogger(target: MethodLogger): Logger;
+export function createLogger(option?: LoggerOption | null): Logger;
@@ -0,0 +1,195 @@
+/**
+ * Pluggable logging for the ERC3 SDK
+ *
+ * The SDK never writes to stdout on its own. Clients log structured records
+ * (endpoint, status, latency, attempt, request ID) through a `Logger`, which
+ * is silent unless a level or a logger is configured.
+ *
+ * @module erc3-js/logger
+ */
+
+/**
+ * Log levels in increasing verbosity
+ */
+export const LOG_LEVELS = {
+  silent: 0,
+  error: 1,
+  info: 2,
+  debug: 3,
+};
+
+/**
+ * Level-filtering logger that forwards records to a sink
+ *
+ * @example
+ * ```javascript
+ * import { ERC3, Logger } from 'erc3-js';
+ *
+ * const logger = new Logger({
+ *   level: 'info',
+ *   sink: (level, message, record) => myLogs.push({ level, message, ...record })
+ * });
+ * const client = new ERC3({ logger });
+ * ```
+ */
+export class Logger {
+  /**
+   * Creates a logger
+   *
+   * @param {Object} options - Logger options
+   * @param {string} options.level - 'silent', 'error', 'info' or 'debug' (default: 'info')
+   * @param {Function} options.sink - Receives (level, message, record) for enabled levels
+   */
+  constructor(options = {}) {
+    const level = options.level || 'info';
+    if (!(level in LOG_LEVELS)) {
+      throw new Error(`Unknown log level: ${level}. Use one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+    }
+    this.level = level;
+    this.sink = options.sink || (() => {});
+  }
+
+  /**
+   * Checks whether records of a level are emitted
+   *
+   * @param {string} level - Log level
+   * @returns {boolean} True when the level is enabled
+   */
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] > 0 && LOG_LEVELS[level] <= LOG_LEVELS[this.level];
+  }
+
+  /**
+   * Logs an error record
+   *
+   * @param {string} message - Log message
+   * @param {Object} record - Structured fields
+   */
+  error(message, record = {}) {
+    this._log('error', message, record);
+  }
+
+  /**
+   * Logs an info record
+   *
+   * @param {string} message - Log message
+   * @param {Object} record - Structured fields
+   */
+  info(message, record = {}) {
+    this._log('info', message, record);
+  }
+
+  /**
+   * Logs a debug record
+   *
+   * @param {string} message - Log message
+   * @param {Object} record - Structured fields
+   */
+  debug(message, record = {}) {
+    this._log('debug', message, record);
+  }
+
+  /**
+   * @private
+   */
+  _log(level, message, record) {
+    if (this.isLevelEnabled(level)) {
+      this.sink(level, message, record);
+    }
+  }
+}
+
+/**
+ * Creates a logger that writes `[erc3]` lines to stderr
+ *
+ * stderr keeps stdout clean for `--json` output piped to other tools.
+ *
+ * @param {string} level - Log level (default: 'info')
+ * @param {Object} options - Options
+ * @param {Object} options.stream - Writable stream (default: process.stderr)
+ * @returns {Logger} Logger instance
+ *
+ * @example
+ * ```javascript
+ * const client = new ERC3({ logger: consoleLogger('debug') });
+ * // [erc3] info POST /benchmarks/list endpoint=/benchmarks/list status=200 latencyMs=84 attempt=1
+ * ```
+ */
+export function consoleLogger(level = 'info', options = {}) {
+  const stream = options.stream || process.stderr;
+  return new Logger({
+    level,
+    sink: (recordLevel, message, record) => {
+      const fields = Object.entries(record)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+      stream.write(`[erc3] ${recordLevel} ${message}${fields ? ` ${fields}` : ''}\n`);
+    },
+  });
+}
+
+/**
+ * Adapts a pino-style logger (`logger.info(record, message)`)
+ *
+ * Level filtering is left to the wrapped logger.
+ *
+ * @param {Object} target - Logger with error/info/debug methods taking (record, message)
+ * @returns {Logger} Logger instance
+ *
+ * @example
+ * ```javascript
+ * import pino from 'pino';
+ *
+ * const client = new ERC3({ logger: pinoLogger(pino({ level: 'debug' })) });
+ * ```
+ */
+export function pinoLogger(target) {
+  return new Logger({
+    level: 'debug',
+    sink: (level, message, record) => target[level](record, message),
+  });
+}
+
+/**
+ * Adapts a console-style logger (`logger.info(message, record)`)
+ *
+ * Level filtering is left to the wrapped logger.
+ *
+ * @param {Object} target - Logger with error/info/debug methods taking (message, record)
+ * @returns {Logger} Logger instance
+ */
+export function methodLogger(target) {
+  return new Logger({
+    level: 'debug',
+    sink: (level, message, record) => target[level](message, record),
+  });
+}
+
+/**
+ * Normalizes the `logger` client option
+ *
+ * - `undefined`, `false` or `'silent'`: no logging
+ * - a level name: `consoleLogger(level)`
+ * - a `Logger`: used as-is
+ * - a pino-style object (has `child` and `levels`): `pinoLogger(option)`
+ * - any other object with error/info/debug methods: `methodLogger(option)`
+ *
+ * @param {Logger|Object|string|boolean} option - Logger option
+ * @returns {Logger} Logger instance
+ */
+export function createLogger(option) {
+  if (!option || option === 'silent') {
+    return new Logger({ level: 'silent' });
+  }
+  if (typeof option === 'string') {
+    return consoleLogger(option);
+  }
+  if (option instanceof Logger) {
+    return option;
+  }
+  if (typeof option.child === 'function' && option.levels) {
+    return pinoLogger(option);
+  }
+  return methodLogger(option);
+}
@@ -0,0 +1,77 @@
+/**
+ * ERC3 Mock Server - Entry Point
+ *
+ * @module erc3-js/mock
+ */
+
+export interface MockCoupon {
+  type: 'percent' | 'fixed';
+  value: number;
+  minSubtotal?: number;
+  skus?: string[];
+}
+
+export interface MockStoreSpec {
+  id: string;
+  text: string;
+  pageLimit: number;
+  products: Array<{ sku: string; name: string; price: number; available: number }>;
+  coupons: Record<string, MockCoupon>;
+  evaluate(state: unknown, spec: MockStoreSpec): { success: boolean; score: number; logs: string };
+}
+
+export interface MockDemoSpec {
+  id: string;
+  text: string;
+  expected(secret: string): string;
+}
+
+export interface MockBenchmark {
+  id: string;
+  description: string;
+  specs: Array<MockStoreSpec | MockDemoSpec>;
+  routes: string[];
+}
+
+export const BENCHMARKS: Record<'store' | 'demo', MockBenchmark>;
+export const STORE_SPECS: MockStoreSpec[];
+export const DEMO_SPECS: MockDemoSpec[];
+
+export interface MockStateOptions {
+  seed?: number;
+  accountKeys?: string[] | null;
+  now?: () => number;
+}
+
+export class MockError extends Error {
+  constructor(status: number, code: string, message: string);
+  status: number;
+  code: string;
+}
+
+export class MockState {
+  constructor(options?: MockStateOptions);
+  sessions: Map<string, unknown>;
+  tasks: Map<string, unknown>;
+  handleCore(endpoint: string, data: object): object;
+  handleStore(taskId: string, endpoint: string, data: object): object;
+  handleDemo(taskId: string, endpoint: string, data: object): object;
+}
+
+export interface MockServerOptions extends MockStateOptions {
+  latencyMs?: number;
+  state?: MockState;
+}
+
+export class MockServer {
+  constructor(options?: MockServerOptions);
+  state: MockState;
+  /** Base URL once listening */
+  url: string | null;
+  handle(path: string, data?: object): { status: number; body: object };
+  fetch(url: string | URL, init?: RequestInit): Promise<Response>;
+  listen(port?: number, host?: string): Promise<string>;
+  close(): Promise<void>;
+}
+
+export function startMockServer(options?: MockServerOptions & { port?: number; host?: string }): Promise<MockServer>;
@@ -0,0 +1,9 @@
+/**
+ * ERC3 Mock Server - Entry Point
+ *
+ * @module erc3-js/mock
+ */
+
+export { MockServer, startMockServer } from './server.js';
+export { MockState, MockError } from './state.js';
+export { BENCHMARKS, STORE_SPECS, DEMO_SPECS } from './specs.js';
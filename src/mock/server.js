@@ -0,0 +1,229 @@
+/**
+ * Mock ERC3 Server
+ *
+ * Local, in-process implementation of the ERC3 core, Store and Demo APIs
+ * for offline agent development and tests.
+ *
+ * @module erc3-js/mock
+ */
+
+import { createServer } from 'node:http';
+import { MockState, MockError } from './state.js';
+
+/**
+ * Mock ERC3 server
+ *
+ * Serves the same JSON-over-POST endpoints as the real platform:
+ * `/benchmarks/*`, `/sessions/*`, `/tasks/*`, `/get_key`,
+ * `/store/{task}/...` and `/demo/{task}/...`. Every session gets one task
+ * per benchmark spec, with paginated catalogs, inventory limits, coupon
+ * rules and answer evaluation.
+ *
+ * The server can listen on a local port, or be used without any socket
+ * through its `fetch` function.
+ *
+ * @example
+ * ```javascript
+ * import { ERC3 } from 'erc3-js';
+ * import { MockServer } from 'erc3-js/mock';
+ *
+ * // Over HTTP
+ * const server = new MockServer();
+ * const baseUrl = await server.listen();
+ * const client = new ERC3({ apiKey: 'mock-key', baseUrl });
+ *
+ * // Without a socket
+ * const mock = new MockServer();
+ * const offline = new ERC3({ apiKey: 'mock-key', baseUrl: 'http://mock', fetch: mock.fetch });
+ * ```
+ */
+export class MockServer {
+  /**
+   * Creates a mock server
+   *
+   * @param {Object} options - Server options
+   * @param {number} options.seed - Seed for IDs and secrets (default: 1)
+   * @param {string[]} options.accountKeys - Accepted account keys (default: any non-empty key)
+   * @param {number} options.latencyMs - Artificial latency per request (default: 0)
+   * @param {MockState} options.state - Existing state to serve
+   */
+  constructor(options = {}) {
+    this.state = options.state || new MockState(options);
+    this.latencyMs = options.latencyMs || 0;
+    this.server = null;
+    this.url = null;
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * Handles a request without HTTP
+   *
+   * @param {string} path - Request path (e.g. '/store/tsk-0002/basket/add')
+   * @param {Object} data - JSON request body
+   * @returns {Object} `{ status, body }`
+   */
+  handle(path, data = {}) {
+    try {
+      return { status: 200, body: this._route(path, data || {}) };
+    } catch (error) {
+      if (error instanceof MockError) {
+        return { status: error.status, body: { error: error.message, code: error.code } };
+      }
+      return { status: 500, body: { error: error.message, code: 'INTERNAL_ERROR' } };
+    }
+  }
+
+  /**
+   * Fetch-compatible entry point that never opens a socket
+   *
+   * Only the path of the URL is used, so any base URL works.
+   *
+   * @param {string|URL} url - Request URL
+   * @param {Object} init - Fetch init (method, body, signal)
+   * @returns {Promise<Response>} Response
+   */
+  async fetch(url, init = {}) {
+    init.signal?.throwIfAborted();
+    await this._delay(init.signal);
+
+    const { pathname } = new URL(String(url));
+    if ((init.method || 'GET').toUpperCase() !== 'POST') {
+      return jsonResponse(405, { error: 'Only POST is supported', code: 'METHOD_NOT_ALLOWED' });
+    }
+
+    let data;
+    try {
+      data = init.body ? JSON.parse(init.body) : {};
+    } catch {
+      return jsonResponse(400, { error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+    }
+
+    const { status, body } = this.handle(pathname, data);
+    return jsonResponse(status, body);
+  }
+
+  /**
+   * Starts listening for HTTP requests
+   *
+   * @param {number} port - Port (default: 0, a random free port)
+   * @param {string} host - Host (default: '127.0.0.1')
+   * @returns {Promise<string>} Base URL of the server
+   */
+  async listen(port = 0, host = '127.0.0.1') {
+    this.server = createServer((req, res) => this._serve(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+    const address = this.server.address();
+    this.url = `http://${host}:${address.port}`;
+    return this.url;
+  }
+
+  /**
+   * Stops the HTTP server
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.server) {
+      return;
+    }
+    const server = this.server;
+    this.server = null;
+    await new Promise((resolve, reject) => server.close(error => (error ? reject(error) : resolve())));
+  }
+
+  /**
+   * @private
+   */
+  _route(path, data) {
+    const match = path.match(/^\/(store|demo)\/([^/]+)(\/.+)$/);
+    if (!match) {
+      return this.state.handleCore(path, data);
+    }
+    const [, api, taskId, endpoint] = match;
+    const id = decodeURIComponent(taskId);
+    return api === 'store'
+      ? this.state.handleStore(id, endpoint, data)
+      : this.state.handleDemo(id, endpoint, data);
+  }
+
+  /**
+   * @private
+   */
+  _delay(signal) {
+    if (!this.latencyMs) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, this.latencyMs);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _serve(req, res) {
+    let response;
+    try {
+      const chunks = [];
+      for await (const chunk of req) {
+        chunks.push(chunk);
+      }
+      response = await this.fetch(`http://mock${req.url}`, {
+        method: req.method,
+        body: Buffer.concat(chunks).toString('utf8'),
+      });
+    } catch (error) {
+      // An unhandled rejection would crash the server and leave the client waiting
+      response = jsonResponse(500, { error: error?.message || String(error), code: 'INTERNAL_ERROR' });
+    }
+
+    try {
+      const body = await response.text();
+      res.writeHead(response.status, {
+        'Content-Type': 'application/json',
+        'X-Request-Id': req.headers['x-request-id'] || '',
+      });
+      res.end(body);
+    } catch {
+      res.destroy();
+    }
+  }
+}
+
+/**
+ * Creates a mock server and starts listening
+ *
+ * @param {Object} options - Server options (see MockServer) plus port and host
+ * @param {number} options.port - Port (default: 0, a random free port)
+ * @param {string} options.host - Host (default: '127.0.0.1')
+ * @returns {Promise<MockServer>} Listening server; its base URL is `server.url`
+ *
+ * @example
+ * ```javascript
+ * const server = await startMockServer({ port: 8080 });
+ * console.log(server.url); // http://127.0.0.1:8080
+ * await server.close();
+ * ```
+ */
+export async function startMockServer(options = {}) {
+  const server = new MockServer(options);
+  await server.listen(options.port, options.host);
+  return server;
+}
+
+/**
+ * @private
+ */
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
@@ -0,0 +1,252 @@
+/**
+ * Task specifications for the mock ERC3 server
+ *
+ * Each spec describes the initial state of a task and how the mock server
+ * evaluates it on `/tasks/complete`.
+ *
+ * @module erc3-js/mock/specs
+ */
+
+/**
+ * Rounds an amount to cents
+ *
+ * @param {number} amount - Amount in dollars
+ * @returns {number} Amount rounded to two decimals
+ */
+export function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Sums the quantity of every order line, optionally weighted per SKU
+ * @private
+ */
+function orderedUnits(orders, unitsPerSku = {}) {
+  let units = 0;
+  for (const order of orders) {
+    for (const item of order.items) {
+      units += item.quantity * (unitsPerSku[item.sku] ?? 1);
+    }
+  }
+  return units;
+}
+
+/**
+ * Builds an evaluation result
+ * @private
+ */
+function result(success, logs) {
+  return { success, score: success ? 1 : 0, logs };
+}
+
+/**
+ * Store benchmark specs
+ */
+export const STORE_SPECS = [
+  {
+    id: 'gpu_race',
+    text: 'Buy ALL available GPUs in the store. Some GPUs may sell out, buy everything you can.',
+    pageLimit: 3,
+    products: [
+      { sku: 'gpu-h100', name: 'NVIDIA H100', price: 25000, available: 2 },
+      { sku: 'gpu-a100', name: 'NVIDIA A100', price: 9500, available: 4 },
+      { sku: 'gpu-l40s', name: 'NVIDIA L40S', price: 7200, available: 3 },
+      { sku: 'gpu-4090', name: 'GeForce RTX 4090', price: 1599.99, available: 5 },
+    ],
+    coupons: {},
+    evaluate(state, spec) {
+      const bought = {};
+      for (const order of state.orders) {
+        for (const item of order.items) {
+          bought[item.sku] = (bought[item.sku] || 0) + item.quantity;
+        }
+      }
+      const missing = spec.products.filter(p => (bought[p.sku] || 0) !== p.available);
+      if (missing.length > 0) {
+        return result(false, `Not all GPUs were bought: ${missing.map(p => p.sku).join(', ')}`);
+      }
+      return result(true, 'All GPUs bought');
+    },
+  },
+  {
+    id: 'pet_store_best_coupon',
+    text: 'Buy exactly one bag of "Dog Food Premium" using the coupon that gives the biggest discount.',
+    pageLimit: 3,
+    products: [
+      { sku: 'dog-food-premium', name: 'Dog Food Premium', price: 64.99, available: 5 },
+      { sku: 'dog-food-basic', name: 'Dog Food Basic', price: 29.99, available: 10 },
+      { sku: 'cat-food', name: 'Cat Food Deluxe', price: 24.5, available: 8 },
+      { sku: 'dog-leash', name: 'Dog Leash', price: 15, available: 12 },
+    ],
+    coupons: {
+      SAVE5: { type: 'fixed', value: 5 },
+      DOGGY10: { type: 'percent', value: 10 },
+      DOGGY25: { type: 'percent', value: 25, minSubtotal: 100 },
+      PETS15: { type: 'fixed', value: 15, skus: ['dog-food-premium'] },
+    },
+    evaluate(state) {
+      if (state.orders.length !== 1) {
+        return result(false, `Expected one order, got ${state.orders.length}`);
+      }
+      const [order] = state.orders;
+      const lines = order.items.map(item => `${item.quantity}x${item.sku}`).join(',');
+      if (lines !== '1xdog-food-premium') {
+        return result(false, `Unexpected order lines: ${lines}`);
+      }
+      if (order.coupon !== 'PETS15') {
+        return result(false, `Coupon ${order.coupon} is not the best coupon`);
+      }
+      return result(true, 'Bought Dog Food Premium with the best coupon');
+    },
+  },
+  {
+    id: 'soda_pack_optimizer',
+    text: 'Buy exactly 24 cans of soda as cheaply as possible. Packs count as multiple cans.',
+    pageLimit: 2,
+    products: [
+      { sku: 'soda-can', name: 'Soda Can (1 can)', price: 1.25, available: 100 },
+      { sku: 'soda-6pack', name: 'Soda 6-Pack (6 cans)', price: 6.49, available: 10 },
+      { sku: 'soda-12pack', name: 'Soda 12-Pack (12 cans)', price: 11.99, available: 1 },
+      { sku: 'soda-24pack', name: 'Soda 24-Pack (24 cans)', price: 26.99, available: 5 },
+    ],
+    coupons: {},
+    evaluate(state) {
+      const units = orderedUnits(state.orders, {
+        'soda-can': 1,
+        'soda-6pack': 6,
+        'soda-12pack': 12,
+        'soda-24pack': 24,
+      });
+      const total = roundMoney(state.orders.reduce((sum, order) => sum + order.total, 0));
+      if (units !== 24) {
+        return result(false, `Bought ${units} cans instead of 24`);
+      }
+      if (total > 24.97) {
+        return result(false, `Paid ${total}, the cheapest combination costs 24.97`);
+      }
+      return result(true, `Bought 24 cans for ${total}`);
+    },
+  },
+  {
+    id: 'insufficient_inventory_simple',
+    text: 'Buy 5 units of "USB-C Cable". If that is impossible, do not buy anything.',
+    pageLimit: 3,
+    products: [
+      { sku: 'usb-c-cable', name: 'USB-C Cable', price: 9.99, available: 3 },
+      { sku: 'usb-a-cable', name: 'USB-A Cable', price: 7.49, available: 20 },
+      { sku: 'power-brick', name: 'Power Brick 65W', price: 39, available: 6 },
+    ],
+    coupons: {},
+    evaluate(state) {
+      if (state.orders.length > 0) {
+        return result(false, 'Checked out although the purchase was impossible');
+      }
+      return result(true, 'Correctly detected insufficient inventory');
+    },
+  },
+  {
+    id: 'product_doesnt_exist',
+    text: 'Buy one "Quantum Flux Capacitor". If the store does not sell it, do not buy anything.',
+    pageLimit: 3,
+    products: [
+      { sku: 'flux-cable', name: 'Flux Cable', price: 12, available: 4 },
+      { sku: 'capacitor-kit', name: 'Capacitor Kit', price: 18.5, available: 7 },
+      { sku: 'quantum-book', name: 'Quantum Computing Book', price: 49.9, available: 2 },
+    ],
+    coupons: {},
+    evaluate(state) {
+      if (state.orders.length > 0) {
+        return result(false, 'Checked out a product that was not requested');
+      }
+      return result(true, 'Correctly detected a missing product');
+    },
+  },
+  {
+    id: 'budget_constraint_violation',
+    text: 'Buy 2 units of "Laptop Pro 16". Your budget is $3000; do not check out if the total exceeds it.',
+    pageLimit: 3,
+    products: [
+      { sku: 'laptop-pro-16', name: 'Laptop Pro 16', price: 1899, available: 6 },
+      { sku: 'laptop-air-13', name: 'Laptop Air 13', price: 1099, available: 9 },
+      { sku: 'laptop-sleeve', name: 'Laptop Sleeve', price: 39.99, available: 30 },
+    ],
+    coupons: {
+      LAPTOP10: { type: 'percent', value: 10, skus: ['laptop-pro-16', 'laptop-air-13'] },
+    },
+    evaluate(state) {
+      if (state.orders.length > 0) {
+        return result(false, 'Checked out above the budget');
+      }
+      return result(true, 'Correctly refused to exceed the budget');
+    },
+  },
+  {
+    id: 'hidden_cheap_gpu',
+    text: 'Buy exactly one unit of the cheapest GPU in the catalog.',
+    pageLimit: 2,
+    products: [
+      { sku: 'gpu-a6000', name: 'NVIDIA RTX A6000', price: 4650, available: 2 },
+      { sku: 'gpu-4080', name: 'GeForce RTX 4080', price: 1199, available: 4 },
+      { sku: 'gpu-7900xtx', name: 'Radeon RX 7900 XTX', price: 949, available: 3 },
+      { sku: 'gpu-4070', name: 'GeForce RTX 4070', price: 549, available: 6 },
+      { sku: 'gpu-a770', name: 'Intel Arc A770', price: 289, available: 5 },
+      { sku: 'gpu-3060', name: 'GeForce RTX 3060', price: 299, available: 7 },
+      { sku: 'gpu-a380', name: 'Intel Arc A380', price: 119, available: 2 },
+    ],
+    coupons: {},
+    evaluate(state) {
+      const lines = state.orders.flatMap(order => order.items.map(item => `${item.quantity}x${item.sku}`));
+      if (lines.join(',') !== '1xgpu-a380') {
+        return result(false, `Expected 1xgpu-a380, got ${lines.join(',') || 'no order'}`);
+      }
+      return result(true, 'Found the cheapest GPU');
+    },
+  },
+];
+
+/**
+ * Demo benchmark specs
+ */
+export const DEMO_SPECS = [
+  {
+    id: 'secret_echo',
+    text: 'Retrieve the secret and submit it unchanged as the answer.',
+    expected: secret => secret,
+  },
+  {
+    id: 'secret_reverse',
+    text: 'Retrieve the secret and submit it reversed as the answer.',
+    expected: secret => [...secret].reverse().join(''),
+  },
+  {
+    id: 'secret_length',
+    text: 'Retrieve the secret and submit its length (number of characters) as the answer.',
+    expected: secret => String(secret.length),
+  },
+];
+
+/**
+ * Benchmarks served by the mock server
+ */
+export const BENCHMARKS = {
+  store: {
+    id: 'store',
+    description: 'Online store benchmark: browse a paginated catalog, manage a basket, apply coupons and check out.',
+    specs: STORE_SPECS,
+    routes: [
+      '/products/list',
+      '/basket/view',
+      '/basket/add',
+      '/basket/remove',
+      '/basket/checkout',
+      '/coupon/apply',
+      '/coupon/remove',
+    ],
+  },
+  demo: {
+    id: 'demo',
+    description: 'Demo benchmark: retrieve a secret and submit an answer derived from it.',
+    specs: DEMO_SPECS,
+    routes: ['/secret', '/answer'],
+  },
+};
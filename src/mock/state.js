@@ -0,0 +1,592 @@
+/**
+ * In-memory state and endpoint handlers for the mock ERC3 server
+ *
+ * @module erc3-js/mock/state
+ */
+
+import { BENCHMARKS, roundMoney } from './specs.js';
+
+/**
+ * Error raised by mock handlers; mapped to an HTTP error response
+ */
+export class MockError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'MockError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Seedable pseudo-random generator (mulberry32)
+ * @private
+ */
+function createRandom(seed) {
+  let value = seed >>> 0;
+  return () => {
+    value = (value + 0x6d2b79f5) >>> 0;
+    let t = value;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Requires a non-empty string field
+ * @private
+ */
+function requireString(data, field) {
+  const value = data[field];
+  if (typeof value !== 'string' || value === '') {
+    throw new MockError(400, 'INVALID_REQUEST', `Field '${field}' is required`);
+  }
+  return value;
+}
+
+/**
+ * Requires a positive integer quantity (defaults to 1)
+ * @private
+ */
+function requireQuantity(data) {
+  const quantity = data.quantity ?? 1;
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    throw new MockError(400, 'INVALID_QUANTITY', 'Quantity must be a positive integer');
+  }
+  return quantity;
+}
+
+/**
+ * Complete in-memory state of a mock ERC3 deployment
+ *
+ * Holds sessions, tasks and per-task benchmark state (store inventory,
+ * basket, orders; demo secret and answer). All handlers are synchronous
+ * and return plain JSON-serializable objects.
+ */
+export class MockState {
+  /**
+   * Creates a mock state
+   *
+   * @param {Object} options - State options
+   * @param {number} options.seed - Seed for IDs and secrets (default: 1)
+   * @param {string[]} options.accountKeys - Accepted account keys (default: any non-empty key)
+   * @param {Function} options.now - Clock in milliseconds (default: Date.now)
+   */
+  constructor(options = {}) {
+    this.random = createRandom(options.seed ?? 1);
+    this.accountKeys = options.accountKeys || null;
+    this.now = options.now || Date.now;
+    this.sessions = new Map();
+    this.tasks = new Map();
+    this.counters = {};
+  }
+
+  /**
+   * Handles a core endpoint (`/benchmarks/*`, `/sessions/*`, `/tasks/*`, `/get_key`)
+   *
+   * @param {string} endpoint - Endpoint path
+   * @param {Object} data - Request body
+   * @returns {Object} Response body
+   * @throws {MockError} On invalid requests
+   */
+  handleCore(endpoint, data) {
+    switch (endpoint) {
+      case '/get_key':
+        return { account_key: `mock-${requireString(data, 'email').replace(/[^a-z0-9]/gi, '-')}` };
+      case '/benchmarks/list':
+        return {
+          benchmarks: Object.values(BENCHMARKS).map(b => ({ id: b.id, description: b.description })),
+        };
+      case '/benchmarks/view':
+        return this._viewBenchmark(requireString(data, 'benchmark'));
+      case '/sessions/start':
+        return this._startSession(data);
+      case '/sessions/status':
+        return this._sessionStatus(this._session(data.session_id));
+      case '/sessions/search':
+        return this._searchSessions(data);
+      case '/sessions/submit':
+        return this._submitSession(this._session(data.session_id));
+      case '/tasks/start':
+        return this._startTask(this._task(data.task_id));
+      case '/tasks/complete':
+        return this._completeTask(this._task(data.task_id));
+      case '/tasks/view':
+        return this._viewTask(this._task(data.task_id), data.since);
+      case '/tasks/log':
+        return this._logLLM(this._task(data.task_id), data);
+      default:
+        throw new MockError(404, 'NOT_FOUND', `Unknown endpoint: ${endpoint}`);
+    }
+  }
+
+  /**
+   * Handles a store endpoint (`/store/{task}/...`)
+   *
+   * @param {string} taskId - Task ID from the URL
+   * @param {string} endpoint - Endpoint path relative to the task
+   * @param {Object} data - Request body
+   * @returns {Object} Response body
+   * @throws {MockError} On invalid requests
+   */
+  handleStore(taskId, endpoint, data) {
+    const task = this._runningTask(taskId, 'store');
+    const store = task.store;
+    this._log(task, 'api', `POST /store${endpoint} ${JSON.stringify(data)}`);
+
+    switch (endpoint) {
+      case '/products/list': {
+        const offset = Number.isInteger(data.offset) && data.offset > 0 ? data.offset : 0;
+        const requested = Number.isInteger(data.limit) && data.limit > 0 ? data.limit : 20;
+        const limit = Math.min(requested, task.spec.pageLimit);
+        const products = store.products.slice(offset, offset + limit).map(p => ({ ...p }));
+        const next = offset + limit;
+        return { products, next_offset: next < store.products.length ? next : -1 };
+      }
+      case '/basket/view':
+        return this._basket(task);
+      case '/basket/add': {
+        const sku = requireString(data, 'sku');
+        const quantity = requireQuantity(data);
+        const product = this._product(task, sku);
+        const inBasket = store.basket.get(sku) || 0;
+        if (inBasket + quantity > product.available) {
+          throw new MockError(
+            409,
+            'INSUFFICIENT_INVENTORY',
+            `Only ${product.available} units of ${sku} available (${inBasket} already in basket)`
+          );
+        }
+        store.basket.set(sku, inBasket + quantity);
+        return this._basketCounts(store);
+      }
+      case '/basket/remove': {
+        const sku = requireString(data, 'sku');
+        const quantity = requireQuantity(data);
+        const inBasket = store.basket.get(sku) || 0;
+        if (inBasket === 0) {
+          throw new MockError(404, 'NOT_IN_BASKET', `Product ${sku} is not in the basket`);
+        }
+        if (quantity >= inBasket) {
+          store.basket.delete(sku);
+        } else {
+          store.basket.set(sku, inBasket - quantity);
+        }
+        return this._basketCounts(store);
+      }
+      case '/coupon/apply': {
+        const code = requireString(data, 'coupon');
+        const coupon = task.spec.coupons[code];
+        if (!coupon) {
+          throw new MockError(404, 'COUPON_NOT_FOUND', `Coupon ${code} does not exist`);
+        }
+        const reason = this._couponProblem(task, coupon);
+        if (reason) {
+          throw new MockError(400, 'COUPON_NOT_APPLICABLE', `Coupon ${code} cannot be applied: ${reason}`);
+        }
+        store.coupon = code;
+        return {};
+      }
+      case '/coupon/remove':
+        store.coupon = null;
+        return {};
+      case '/basket/checkout': {
+        if (store.basket.size === 0) {
+          throw new MockError(400, 'BASKET_EMPTY', 'Cannot check out an empty basket');
+        }
+        for (const [sku, quantity] of store.basket) {
+          const product = this._product(task, sku);
+          if (quantity > product.available) {
+            throw new MockError(409, 'INSUFFICIENT_INVENTORY', `Only ${product.available} units of ${sku} available`);
+          }
+        }
+        const order = this._basket(task);
+        for (const [sku, quantity] of store.basket) {
+          this._product(task, sku).available -= quantity;
+        }
+        store.orders.push(order);
+        store.basket.clear();
+        store.coupon = null;
+        return order;
+      }
+      default:
+        throw new MockError(404, 'NOT_FOUND', `Unknown store endpoint: ${endpoint}`);
+    }
+  }
+
+  /**
+   * Handles a demo endpoint (`/demo/{task}/...`)
+   *
+   * @param {string} taskId - Task ID from the URL
+   * @param {string} endpoint - Endpoint path relative to the task
+   * @param {Object} data - Request body
+   * @returns {Object} Response body
+   * @throws {MockError} On invalid requests
+   */
+  handleDemo(taskId, endpoint, data) {
+    const task = this._runningTask(taskId, 'demo');
+    this._log(task, 'api', `POST /demo${endpoint} ${JSON.stringify(data)}`);
+
+    switch (endpoint) {
+      case '/secret':
+        return { value: task.demo.secret };
+      case '/answer':
+        task.demo.answer = requireString(data, 'answer');
+        return {};
+      default:
+        throw new MockError(404, 'NOT_FOUND', `Unknown demo endpoint: ${endpoint}`);
+    }
+  }
+
+  // ============================================================================
+  // Core helpers
+  // ============================================================================
+
+  /**
+   * @private
+   */
+  _nextId(prefix) {
+    this.counters[prefix] = (this.counters[prefix] || 0) + 1;
+    return `${prefix}-${String(this.counters[prefix]).padStart(4, '0')}`;
+  }
+
+  /**
+   * @private
+   */
+  _checkAccount(accountKey) {
+    if (typeof accountKey !== 'string' || accountKey === '') {
+      throw new MockError(401, 'UNAUTHORIZED', 'account_key is required');
+    }
+    if (this.accountKeys && !this.accountKeys.includes(accountKey)) {
+      throw new MockError(401, 'UNAUTHORIZED', 'Unknown account_key');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _benchmark(id) {
+    const benchmark = BENCHMARKS[id];
+    if (!benchmark) {
+      throw new MockError(404, 'BENCHMARK_NOT_FOUND', `Benchmark ${id} does not exist`);
+    }
+    return benchmark;
+  }
+
+  /**
+   * @private
+   */
+  _viewBenchmark(id) {
+    const benchmark = this._benchmark(id);
+    return {
+      id: benchmark.id,
+      description: benchmark.description,
+      specs: benchmark.specs.map(spec => ({ id: spec.id, task: spec.text })),
+      routes: benchmark.routes.map(path => ({ path: `/${benchmark.id}/{task_id}${path}` })),
+    };
+  }
+
+  /**
+   * @private
+   */
+  _session(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new MockError(404, 'SESSION_NOT_FOUND', `Session ${sessionId} does not exist`);
+    }
+    return session;
+  }
+
+  /**
+   * @private
+   */
+  _task(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new MockError(404, 'TASK_NOT_FOUND', `Task ${taskId} does not exist`);
+    }
+    return task;
+  }
+
+  /**
+   * @private
+   */
+  _runningTask(taskId, benchmark) {
+    const task = this._task(taskId);
+    if (task.benchmark !== benchmark) {
+      throw new MockError(400, 'WRONG_BENCHMARK', `Task ${taskId} belongs to the ${task.benchmark} benchmark`);
+    }
+    if (task.status === 'new') {
+      throw new MockError(400, 'TASK_NOT_STARTED', `Task ${taskId} has not been started`);
+    }
+    if (task.status === 'completed') {
+      throw new MockError(400, 'TASK_COMPLETED', `Task ${taskId} is already completed`);
+    }
+    return task;
+  }
+
+  /**
+   * @private
+   */
+  _log(task, type, text) {
+    task.logs.push({ time: this.now(), type, text });
+  }
+
+  /**
+   * @private
+   */
+  _taskInfo(task) {
+    return {
+      task_id: task.task_id,
+      num: task.num,
+      spec_id: task.spec.id,
+      benchmark: task.benchmark,
+      task_text: task.spec.text,
+      status: task.status,
+      score: task.eval ? task.eval.score : null,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _startSession(data) {
+    this._checkAccount(data.account_key);
+    const benchmark = this._benchmark(requireString(data, 'benchmark'));
+    const session = {
+      session_id: this._nextId('ssn'),
+      account_key: data.account_key,
+      benchmark: benchmark.id,
+      workspace: data.workspace || 'default',
+      name: data.name || 'mock session',
+      architecture: data.architecture || 'x86_64',
+      status: 'running',
+      created_at: this.now(),
+      task_ids: [],
+    };
+
+    benchmark.specs.forEach((spec, index) => {
+      const task = {
+        task_id: this._nextId('tsk'),
+        session_id: session.session_id,
+        num: index,
+        benchmark: benchmark.id,
+        spec,
+        status: 'new',
+        logs: [],
+        eval: null,
+      };
+      this.tasks.set(task.task_id, task);
+      session.task_ids.push(task.task_id);
+    });
+
+    this.sessions.set(session.session_id, session);
+    return { session_id: session.session_id, task_count: session.task_ids.length };
+  }
+
+  /**
+   * @private
+   */
+  _sessionStatus(session) {
+    return {
+      session_id: session.session_id,
+      benchmark: session.benchmark,
+      workspace: session.workspace,
+      name: session.name,
+      status: session.status,
+      tasks: session.task_ids.map(id => this._taskInfo(this.tasks.get(id))),
+    };
+  }
+
+  /**
+   * @private
+   */
+  _searchSessions(data) {
+    this._checkAccount(data.account_key);
+    const sessions = [...this.sessions.values()]
+      .filter(s => s.account_key === data.account_key)
+      .filter(s => !data.workspace || s.workspace === data.workspace)
+      .filter(s => !data.benchmark || s.benchmark === data.benchmark)
+      .map(s => ({
+        session_id: s.session_id,
+        benchmark: s.benchmark,
+        workspace: s.workspace,
+        name: s.name,
+        status: s.status,
+        task_count: s.task_ids.length,
+      }));
+    return { sessions };
+  }
+
+  /**
+   * @private
+   */
+  _submitSession(session) {
+    if (session.status === 'submitted') {
+      throw new MockError(400, 'SESSION_SUBMITTED', `Session ${session.session_id} is already submitted`);
+    }
+    const tasks = session.task_ids.map(id => this.tasks.get(id));
+    const score = tasks.reduce((sum, task) => sum + (task.eval?.score || 0), 0);
+    session.status = 'submitted';
+    return {
+      session_id: session.session_id,
+      status: session.status,
+      score: roundMoney(score / tasks.length),
+      completed: tasks.filter(task => task.status === 'completed').length,
+      task_count: tasks.length,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _startTask(task) {
+    if (task.status !== 'new') {
+      throw new MockError(400, 'TASK_ALREADY_STARTED', `Task ${task.task_id} is already ${task.status}`);
+    }
+    task.status = 'running';
+    if (task.benchmark === 'store') {
+      task.store = {
+        products: task.spec.products.map(p => ({ ...p })),
+        basket: new Map(),
+        coupon: null,
+        orders: [],
+      };
+    } else {
+      const secret = Math.floor(this.random() * 36 ** 8).toString(36).padStart(8, '0');
+      task.demo = { secret, answer: null };
+    }
+    this._log(task, 'system', 'Task started');
+    return { task_id: task.task_id, status: task.status, task_text: task.spec.text };
+  }
+
+  /**
+   * @private
+   */
+  _completeTask(task) {
+    if (task.status === 'new') {
+      throw new MockError(400, 'TASK_NOT_STARTED', `Task ${task.task_id} has not been started`);
+    }
+    if (task.status === 'completed') {
+      throw new MockError(400, 'TASK_COMPLETED', `Task ${task.task_id} is already completed`);
+    }
+
+    if (task.benchmark === 'store') {
+      task.eval = task.spec.evaluate(task.store, task.spec);
+    } else {
+      const expected = task.spec.expected(task.demo.secret);
+      const success = task.demo.answer === expected;
+      task.eval = {
+        success,
+        score: success ? 1 : 0,
+        logs: success ? 'Correct answer' : `Expected ${expected}, got ${task.demo.answer}`,
+      };
+    }
+
+    task.status = 'completed';
+    this._log(task, 'system', `Task completed with score ${task.eval.score}`);
+    return { task_id: task.task_id, status: task.status, eval: task.eval };
+  }
+
+  /**
+   * @private
+   */
+  _viewTask(task, since) {
+    const logs = typeof since === 'number' ? task.logs.filter(entry => entry.time >= since) : task.logs;
+    return { ...this._taskInfo(task), logs };
+  }
+
+  /**
+   * @private
+   */
+  _logLLM(task, data) {
+    const model = requireString(data, 'model');
+    const usage = data.usage || {};
+    this._log(
+      task,
+      'llm',
+      `${model} prompt=${usage.prompt_tokens || 0} completion=${usage.completion_tokens || 0} ` +
+        `total=${usage.total_tokens || 0} duration=${data.duration_sec || 0}s`
+    );
+    return {};
+  }
+
+  // ============================================================================
+  // Store helpers
+  // ============================================================================
+
+  /**
+   * @private
+   */
+  _product(task, sku) {
+    const product = task.store.products.find(p => p.sku === sku);
+    if (!product) {
+      throw new MockError(404, 'PRODUCT_NOT_FOUND', `Product ${sku} does not exist`);
+    }
+    return product;
+  }
+
+  /**
+   * @private
+   */
+  _basketCounts(store) {
+    let itemCount = 0;
+    for (const quantity of store.basket.values()) {
+      itemCount += quantity;
+    }
+    return { line_count: store.basket.size, item_count: itemCount };
+  }
+
+  /**
+   * @private
+   */
+  _basket(task) {
+    const store = task.store;
+    const items = [...store.basket].map(([sku, quantity]) => {
+      const product = this._product(task, sku);
+      return { sku, name: product.name, quantity, price: product.price };
+    });
+    const subtotal = roundMoney(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+    const coupon = store.coupon ? task.spec.coupons[store.coupon] : null;
+    const discount = coupon && !this._couponProblem(task, coupon) ? this._discount(items, subtotal, coupon) : 0;
+    return {
+      items,
+      subtotal,
+      discount,
+      total: roundMoney(subtotal - discount),
+      coupon: store.coupon,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _couponProblem(task, coupon) {
+    const basket = task.store.basket;
+    if (coupon.skus && !coupon.skus.some(sku => basket.has(sku))) {
+      return `requires one of ${coupon.skus.join(', ')} in the basket`;
+    }
+    if (coupon.minSubtotal) {
+      let subtotal = 0;
+      for (const [sku, quantity] of basket) {
+        subtotal += this._product(task, sku).price * quantity;
+      }
+      if (subtotal < coupon.minSubtotal) {
+        return `requires a subtotal of at least ${coupon.minSubtotal}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _discount(items, subtotal, coupon) {
+    const eligible = coupon.skus
+      ? roundMoney(items.filter(i => coupon.skus.includes(i.sku)).reduce((sum, i) => sum + i.price * i.quantity, 0))
+      : subtotal;
+    const discount = coupon.type === 'percent' ? eligible * coupon.value / 100 : coupon.value;
+    return roundMoney(Math.min(discount, eligible));
+  }
+}
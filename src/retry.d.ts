@@ -0,0 +1,47 @@
+/**
+ * Retry policy for transient ERC3 request failures
+ *
+ * @module erc3-js/retry
+ */
+
+import type { ApiException } from './common.js';
+
+export const DEFAULT_RETRY_STATUSES: number[];
+export const NON_IDEMPOTENT_ENDPOINTS: string[];
+
+export type JitterMode = 'full' | 'equal' | 'none';
+
+export interface RetryPolicyOptions {
+  maxAttempts?: number;
+  baseDelayMs?: number;
+  maxDelayMs?: number;
+  factor?: number;
+  jitter?: JitterMode;
+  retryOnStatus?: number[];
+  respectRetryAfter?: boolean;
+  maxRetryAfterMs?: number;
+  /** Per-endpoint overrides: true = safe to replay */
+  idempotency?: Record<string, boolean>;
+  random?: () => number;
+}
+
+export type RetryOption = RetryPolicy | RetryPolicyOptions | boolean;
+
+export class RetryPolicy {
+  constructor(options?: RetryPolicyOptions);
+  maxAttempts: number;
+  baseDelayMs: number;
+  maxDelayMs: number;
+  factor: number;
+  jitter: JitterMode;
+  retryOnStatus: number[];
+  respectRetryAfter: boolean;
+  maxRetryAfterMs: number;
+  idempotency: Record<string, boolean>;
+  static from(option?: RetryOption | null): RetryPolicy;
+  isIdempotent(endpoint?: string): boolean;
+  nextDelay(error: ApiException, context: { attempt: number; endpoint?: string }): number | null;
+  backoff(attempt: number): number;
+}
+
+export function parseRetryAfter(value: string | null | undefined, now?: number): number | null;
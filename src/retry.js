@@ -0,0 +1,204 @@
+/**
+ * Retry policy for transient ERC3 request failures
+ *
+ * @module erc3-js/retry
+ */
+
+/**
+ * HTTP status codes that are retried by default
+ */
+export const DEFAULT_RETRY_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Endpoints that change server state and must not be replayed blindly.
+ *
+ * Endpoints are matched against the path relative to the client, so
+ * `/basket/checkout` covers `/store/{task}/basket/checkout`.
+ */
+export const NON_IDEMPOTENT_ENDPOINTS = [
+  '/sessions/start',
+  '/sessions/submit',
+  '/tasks/start',
+  '/tasks/complete',
+  '/tasks/log',
+  '/basket/add',
+  '/basket/remove',
+  '/basket/checkout',
+  '/answer',
+];
+
+/**
+ * Network error codes that guarantee the request never reached the server
+ * @private
+ */
+const UNSENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Retry policy with exponential backoff and jitter
+ *
+ * Idempotent endpoints are retried on network failures and on the
+ * configured status codes. Non-idempotent endpoints (checkout, task
+ * completion, basket changes...) are only retried when the failure proves
+ * the server did not process the request: HTTP 429 or a connection that
+ * could not be established.
+ *
+ * @example
+ * ```javascript
+ * import { ERC3 } from 'erc3-js';
+ *
+ * const client = new ERC3({
+ *   retry: {
+ *     maxAttempts: 5,
+ *     baseDelayMs: 500,
+ *     jitter: 'full',
+ *     idempotency: { '/basket/add': false, '/answer': true }
+ *   }
+ * });
+ * ```
+ */
+export class RetryPolicy {
+  /**
+   * Creates a retry policy
+   *
+   * @param {Object} options - Policy options
+   * @param {number} options.maxAttempts - Total attempts including the first one (default: 3)
+   * @param {number} options.baseDelayMs - Delay before the first retry (default: 250)
+   * @param {number} options.maxDelayMs - Upper bound for backoff delays (default: 10000)
+   * @param {number} options.factor - Backoff multiplier (default: 2)
+   * @param {string} options.jitter - 'full', 'equal' or 'none' (default: 'full')
+   * @param {number[]} options.retryOnStatus - Retryable HTTP status codes
+   * @param {boolean} options.respectRetryAfter - Honor Retry-After headers (default: true)
+   * @param {number} options.maxRetryAfterMs - Give up when Retry-After asks for longer (default: 60000)
+   * @param {Object<string, boolean>} options.idempotency - Per-endpoint overrides (true = safe to replay)
+   * @param {Function} options.random - Random source in [0, 1) (default: Math.random)
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts ?? 3;
+    this.baseDelayMs = options.baseDelayMs ?? 250;
+    this.maxDelayMs = options.maxDelayMs ?? 10000;
+    this.factor = options.factor ?? 2;
+    this.jitter = options.jitter || 'full';
+    this.retryOnStatus = options.retryOnStatus || DEFAULT_RETRY_STATUSES;
+    this.respectRetryAfter = options.respectRetryAfter ?? true;
+    this.maxRetryAfterMs = options.maxRetryAfterMs ?? 60000;
+    this.random = options.random || Math.random;
+
+    this.idempotency = {};
+    for (const endpoint of NON_IDEMPOTENT_ENDPOINTS) {
+      this.idempotency[endpoint] = false;
+    }
+    Object.assign(this.idempotency, options.idempotency);
+  }
+
+  /**
+   * Creates a policy from the `retry` client option
+   *
+   * @param {RetryPolicy|Object|boolean|undefined} option - Policy, options, true for defaults, or falsy to disable
+   * @returns {RetryPolicy} Retry policy
+   */
+  static from(option) {
+    if (option instanceof RetryPolicy) {
+      return option;
+    }
+    if (option === true) {
+      return new RetryPolicy();
+    }
+    if (!option) {
+      return new RetryPolicy({ maxAttempts: 1 });
+    }
+    return new RetryPolicy(option);
+  }
+
+  /**
+   * Checks whether an endpoint can be replayed safely
+   *
+   * @param {string} endpoint - Endpoint path (e.g. '/basket/checkout')
+   * @returns {boolean} True when the endpoint is idempotent
+   */
+  isIdempotent(endpoint) {
+    if (!endpoint) {
+      return true;
+    }
+    const match = Object.keys(this.idempotency).find(key => endpoint === key || endpoint.endsWith(key));
+    return match === undefined ? true : this.idempotency[match];
+  }
+
+  /**
+   * Decides whether a failed attempt should be retried
+   *
+   * @param {ApiException} error - Failure of the last attempt (never retried when `error.retryable === false`)
+   * @param {Object} context - Attempt context
+   * @param {number} context.attempt - Number of the failed attempt (1-based)
+   * @param {string} context.endpoint - Endpoint path
+   * @returns {number|null} Delay in milliseconds before the next attempt, or null to give up
+   */
+  nextDelay(error, { attempt, endpoint }) {
+    if (attempt >= this.maxAttempts || error?.retryable === false) {
+      return null;
+    }
+
+    const networkFailure = error?.code === 'REQUEST_FAILED';
+    if (networkFailure) {
+      if (!this.isIdempotent(endpoint) && !UNSENT_ERROR_CODES.includes(error.cause?.code)) {
+        return null;
+      }
+    } else {
+      if (!this.retryOnStatus.includes(error?.status)) {
+        return null;
+      }
+      if (!this.isIdempotent(endpoint) && error.status !== 429) {
+        return null;
+      }
+    }
+
+    const delay = this.backoff(attempt);
+    if (this.respectRetryAfter && error?.retryAfterMs != null) {
+      if (error.retryAfterMs > this.maxRetryAfterMs) {
+        return null;
+      }
+      return Math.max(delay, error.retryAfterMs);
+    }
+    return delay;
+  }
+
+  /**
+   * Computes the backoff delay after a failed attempt
+   *
+   * @param {number} attempt - Number of the failed attempt (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  backoff(attempt) {
+    const delay = Math.min(this.maxDelayMs, this.baseDelayMs * this.factor ** (attempt - 1));
+
+    switch (this.jitter) {
+      case 'none':
+        return delay;
+      case 'equal':
+        return Math.round(delay / 2 + this.random() * (delay / 2));
+      default:
+        return Math.round(this.random() * delay);
+    }
+  }
+}
+
+/**
+ * Parses a Retry-After header value into milliseconds
+ *
+ * @param {string|null} value - Header value (seconds or HTTP date)
+ * @param {number} now - Current time in milliseconds (default: Date.now())
+ * @returns {number|null} Delay in milliseconds, or null when absent or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value == null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, date - now);
+}
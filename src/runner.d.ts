@@ -0,0 +1,91 @@
+/**
+ * Session orchestration for the ERC3 SDK
+ *
+ * @module erc3-js/runner
+ */
+
+import { EventEmitter } from 'node:events';
+import type { BudgetExceededError, RequestOptions } from './common.js';
+import type { LedgerReport } from './ledger.js';
+import type {
+  ERC3,
+  RunTaskResult,
+  StartSessionParams,
+  SubmitSessionResponse,
+  TaskContext,
+  TaskInfo,
+} from './client.js';
+import type { StoreClientOptions } from './store/client.js';
+import type { Checkpoint } from './checkpoint.js';
+
+export interface SessionRunnerOptions {
+  /** Maximum number of tasks running at once (default: 1) */
+  concurrency?: number;
+  /** Submit the session when every task has run (default: false) */
+  submit?: boolean;
+  /** Options for `getStoreClient` */
+  store?: Omit<StoreClientOptions, 'transport'>;
+  /** Checkpoint, or path of its file or directory */
+  checkpoint?: Checkpoint | string;
+}
+
+export interface SessionProgress {
+  total: number;
+  done: number;
+  running: number;
+  succeeded: number;
+  failed: number;
+  skipped: number;
+}
+
+export interface SessionReport<T = unknown> {
+  sessionId: string;
+  benchmark: string | null;
+  total: number;
+  succeeded: number;
+  failed: number;
+  /** Tasks that were already completed */
+  skipped: TaskInfo[];
+  /** Average score over all tasks */
+  score: number;
+  /** One result per task that ran, in session order */
+  results: Array<RunTaskResult<T>>;
+  submission: SubmitSessionResponse | null;
+  aborted: boolean;
+  /** Error that stopped the run when a session budget was used up */
+  budgetExceeded: BudgetExceededError | null;
+  /** Ledger report (null when the client has no ledger) */
+  usage: LedgerReport | null;
+  durationMs: number;
+}
+
+export interface SessionRunnerEvents {
+  start: [{ sessionId: string; benchmark?: string; total: number; pending: number; skipped: number }];
+  taskStart: [{ task: TaskInfo; index: number }];
+  taskSkip: [{ task: TaskInfo; index: number }];
+  taskEnd: [{ task: TaskInfo; index: number; result: RunTaskResult }];
+  progress: [SessionProgress];
+  submit: [{ sessionId: string; submission: SubmitSessionResponse }];
+  end: [SessionReport];
+}
+
+export class SessionRunner extends EventEmitter<SessionRunnerEvents> {
+  constructor(client: ERC3, options?: SessionRunnerOptions);
+  client: ERC3;
+  concurrency: number;
+  submit: boolean;
+  store?: Omit<StoreClientOptions, 'transport'>;
+  checkpoint: Checkpoint | null;
+
+  run<T>(
+    session: string | { session_id: string } | StartSessionParams,
+    work: (ctx: TaskContext) => T | Promise<T>,
+    options?: RequestOptions
+  ): Promise<SessionReport<T>>;
+
+  resumeSession<T>(
+    checkpoint: Checkpoint | string,
+    work: (ctx: TaskContext) => T | Promise<T>,
+    options?: RequestOptions
+  ): Promise<SessionReport<T>>;
+}
@@ -0,0 +1,232 @@
+/**
+ * Session orchestration for the ERC3 SDK
+ *
+ * @module erc3-js/runner
+ */
+
+import { EventEmitter } from 'node:events';
+import { Checkpoint } from './checkpoint.js';
+
+/**
+ * Runs every task of a session with a concurrency limit
+ *
+ * Each task goes through `client.runTask()`, so it is started, handed to
+ * the work function and completed exactly once. Tasks whose status is
+ * already 'completed' are skipped. The runner is an `EventEmitter`:
+ *
+ * - `start`: `{ sessionId, benchmark, total, pending, skipped }`
+ * - `taskStart`: `{ task, index }`
+ * - `taskSkip`: `{ task, index }`
+ * - `taskEnd`: `{ task, index, result }`
+ * - `progress`: `{ total, done, running, succeeded, failed, skipped }`
+ * - `submit`: `{ sessionId, submission }`
+ * - `end`: the session report
+ *
+ * With a `checkpoint`, task states, LLM call counts and evaluations are
+ * saved as the run goes, and `resumeSession()` continues a crashed run.
+ *
+ * When the client has a `ledger`, it accounts for the session: no task is
+ * started once a session budget is used up, and the report holds the
+ * ledger report as `usage`.
+ *
+ * @example
+ * ```javascript
+ * import { ERC3, SessionRunner } from 'erc3-js';
+ *
+ * const client = new ERC3();
+ * const runner = new SessionRunner(client, { concurrency: 4, submit: true });
+ *
+ * runner.on('progress', ({ done, total }) => console.log(`${done}/${total}`));
+ * runner.on('taskEnd', ({ result }) => console.log(result.specId, result.score, result.error?.message));
+ *
+ * const report = await runner.run(
+ *   { benchmark: 'store', workspace: 'my-workspace', name: 'Run 1' },
+ *   async ({ store, taskText }) => solve(store, taskText)
+ * );
+ * console.log('Score:', report.score);
+ * ```
+ */
+export class SessionRunner extends EventEmitter {
+  /**
+   * Creates a session runner
+   *
+   * @param {ERC3} client - ERC3 client
+   * @param {Object} options - Runner options
+   * @param {number} options.concurrency - Maximum number of tasks running at once (default: 1)
+   * @param {boolean} options.submit - Submit the session when every task has run (default: false)
+   * @param {Object} options.store - Options for `getStoreClient` (e.g. `{ checkoutGuard, transcript }`)
+   * @param {Checkpoint|string} options.checkpoint - Checkpoint, or path of its file or directory
+   * @throws {Error} When the concurrency is not a positive integer
+   */
+  constructor(client, options = {}) {
+    super();
+    this.client = client;
+    this.concurrency = options.concurrency ?? 1;
+    this.submit = options.submit ?? false;
+    this.store = options.store;
+    this.checkpoint = options.checkpoint ? Checkpoint.from(options.checkpoint) : null;
+
+    if (!Number.isInteger(this.concurrency) || this.concurrency < 1) {
+      throw new Error(`Invalid concurrency: ${this.concurrency}. Use an integer >= 1.`);
+    }
+  }
+
+  /**
+   * Runs the tasks of a session
+   *
+   * When the signal fires, no new task is started; running tasks receive
+   * the signal through their context and are still completed. An aborted
+   * run is not submitted, and neither is a run stopped by a session budget
+   * or a session the checkpoint already records as submitted.
+   *
+   * @param {string|Object} session - Session ID, session object (`{ session_id }`),
+   *   or `startSession` parameters (`{ benchmark, workspace, name }`) to start a new one
+   * @param {Function} work - Async function receiving the task context (see `ERC3.runTask`)
+   * @param {Object} options - Request options ({ signal, timeoutMs })
+   * @returns {Promise<Object>} Report `{ sessionId, benchmark, total, succeeded, failed,
+   *   skipped, score, results, submission, aborted, budgetExceeded, usage, durationMs }`. `results` holds one
+   *   `runTask` result per task that ran, in session order; `skipped` lists the tasks
+   *   that were already completed; `score` is the average score over all tasks;
+   *   `budgetExceeded` is the `BudgetExceededError` that stopped the run, if any.
+   * @throws {ApiException} When the session cannot be started, read or submitted
+   */
+  async run(session, work, options = {}) {
+    const startedAt = Date.now();
+    const sessionId = await this._sessionId(session, options);
+    const status = await this.client.sessionStatus(sessionId, options);
+    const tasks = status.tasks || [];
+    const ledger = this.client.ledger;
+    if (ledger) {
+      ledger.sessionId ??= sessionId;
+    }
+    const checkpoint = this.checkpoint;
+    if (checkpoint) {
+      checkpoint.setSession(sessionId, status.benchmark);
+      checkpoint.reconcile(tasks);
+    }
+
+    const entries = tasks.map((task, index) => ({ task, index }));
+    const pending = entries.filter(({ task }) => task.status !== 'completed');
+    const skipped = entries.filter(({ task }) => task.status === 'completed');
+
+    const progress = { total: tasks.length, done: skipped.length, running: 0, succeeded: 0, failed: 0, skipped: skipped.length };
+    this.emit('start', { sessionId, benchmark: status.benchmark, total: tasks.length, pending: pending.length, skipped: skipped.length });
+    for (const entry of skipped) {
+      this.emit('taskSkip', entry);
+    }
+    this.emit('progress', { ...progress });
+
+    const results = new Array(tasks.length);
+    const queue = [...pending];
+    let budgetExceeded = null;
+    const worker = async () => {
+      while (queue.length > 0 && !options.signal?.aborted && !budgetExceeded) {
+        try {
+          ledger?.check(queue[0].task.task_id);
+        } catch (error) {
+          // Task budgets are enforced within the task; a session budget stops the run
+          if (error.scope === 'session') {
+            budgetExceeded = error;
+            break;
+          }
+        }
+        const { task, index } = queue.shift();
+        progress.running++;
+        this.emit('taskStart', { task, index });
+        this.emit('progress', { ...progress });
+
+        const result = await this.client.runTask(task, work, {
+          store: this.store,
+          onStart: started => checkpoint?.markStarted(started),
+          onLog: () => checkpoint?.markLogged(task.task_id),
+        }, options);
+        checkpoint?.markFinished(result);
+        results[index] = result;
+        progress.running--;
+        progress.done++;
+        progress[result.ok ? 'succeeded' : 'failed']++;
+        this.emit('taskEnd', { task, index, result });
+        this.emit('progress', { ...progress });
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, queue.length) }, worker));
+
+    const aborted = Boolean(options.signal?.aborted);
+    let submission = checkpoint?.submission ?? null;
+    if (this.submit && !aborted && !budgetExceeded && !submission) {
+      submission = await this.client.submitSession(sessionId, options);
+      checkpoint?.markSubmitted(submission);
+      this.emit('submit', { sessionId, submission });
+    }
+
+    const ran = results.filter(Boolean);
+    const scores = [
+      ...ran.map(result => result.score || 0),
+      ...skipped.map(({ task }) => task.score || 0),
+    ];
+    const report = {
+      sessionId,
+      benchmark: status.benchmark ?? null,
+      total: tasks.length,
+      succeeded: progress.succeeded,
+      failed: progress.failed,
+      skipped: skipped.map(({ task }) => task),
+      score: tasks.length ? scores.reduce((sum, score) => sum + score, 0) / tasks.length : 0,
+      results: ran,
+      submission,
+      aborted,
+      budgetExceeded,
+      usage: ledger ? ledger.report() : null,
+      durationMs: Date.now() - startedAt,
+    };
+    this.emit('end', report);
+    return report;
+  }
+
+  /**
+   * Continues the session recorded in a checkpoint
+   *
+   * The checkpoint is reconciled with `sessionStatus`: tasks completed on
+   * the server are skipped, tasks that were started but not completed
+   * (the run crashed during their work) are handed to `work` again without
+   * being restarted, and tasks never started run as usual. The checkpoint
+   * keeps being updated.
+   *
+   * @param {Checkpoint|string} checkpoint - Checkpoint, or path of its file or
+   *   directory (the most recently updated checkpoint in it)
+   * @param {Function} work - Async function receiving the task context (see `ERC3.runTask`)
+   * @param {Object} options - Request options ({ signal, timeoutMs })
+   * @returns {Promise<Object>} Session report (see `run`)
+   * @throws {Error} When the checkpoint is not found or records no session
+   * @throws {ApiException} When the session cannot be read or submitted
+   *
+   * @example
+   * ```javascript
+   * const runner = new SessionRunner(client, { concurrency: 4, submit: true });
+   * const report = await runner.resumeSession('runs/', solve);
+   * console.log(`Resumed: ${report.results.length} ran, ${report.skipped.length} already done`);
+   * ```
+   */
+  async resumeSession(checkpoint, work, options = {}) {
+    this.checkpoint = typeof checkpoint === 'string' ? Checkpoint.load(checkpoint) : checkpoint;
+    if (!this.checkpoint.sessionId) {
+      throw new Error('Checkpoint records no session to resume');
+    }
+    return this.run(this.checkpoint.sessionId, work, options);
+  }
+
+  /**
+   * Resolves the session to run, starting a new one when given start parameters
+   * @private
+   */
+  async _sessionId(session, options) {
+    if (typeof session === 'string') {
+      return session;
+    }
+    if (session?.session_id) {
+      return session.session_id;
+    }
+    const started = await this.client.startSession(session, options);
+    return started.session_id;
+  }
+}
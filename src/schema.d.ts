@@ -0,0 +1,48 @@
+/**
+ * Response schemas and runtime validation
+ *
+ * @module erc3-js/schema
+ */
+
+import type { SchemaIssue } from './common.js';
+import type { Logger, LoggerOption } from './logger.js';
+
+/**
+ * JSON Schema subset used by the bundled response schemas
+ */
+export interface Schema {
+  type?: string | string[];
+  properties?: Record<string, Schema>;
+  required?: string[];
+  items?: Schema;
+  enum?: unknown[];
+  minimum?: number;
+  additionalProperties?: false;
+  description?: string;
+}
+
+export type ValidationMode = 'strict' | 'warn' | 'off';
+
+export interface ResponseValidatorOptions {
+  mode?: ValidationMode;
+  /** Schemas added to or replacing the bundled ones, keyed by endpoint */
+  schemas?: Record<string, Schema>;
+  logger?: LoggerOption;
+}
+
+export type ValidationOption = ResponseValidator | ResponseValidatorOptions | ValidationMode;
+
+export const VALIDATION_MODES: ValidationMode[];
+export const RESPONSE_SCHEMAS: Record<string, Schema>;
+
+export function validateSchema(schema: Schema, value: unknown, path?: string): SchemaIssue[];
+
+export class ResponseValidator {
+  constructor(options?: ResponseValidatorOptions);
+  static from(option?: ValidationOption, logger?: Logger): ResponseValidator;
+  mode: ValidationMode;
+  schemas: Record<string, Schema>;
+  logger: Logger;
+  schemaFor(endpoint: string): Schema | undefined;
+  check(endpoint: string, body: unknown, requestId?: string): SchemaIssue[];
+}
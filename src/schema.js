@@ -0,0 +1,381 @@
+/**
+ * Response schemas and runtime validation
+ *
+ * Every ERC3 endpoint has a bundled schema describing the response body.
+ * Schemas use a small subset of JSON Schema: `type` (a name or a list of
+ * names), `properties`, `required`, `additionalProperties: false`, `items`,
+ * `enum` and `minimum`. Response schemas never set `additionalProperties`,
+ * so additive server changes do not break validation.
+ *
+ * @module erc3-js/schema
+ */
+
+import { SchemaMismatchError } from './common.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Validation modes
+ *
+ * - `strict`: throw `SchemaMismatchError` on mismatch
+ * - `warn`: log the mismatch at error level and return the body unchanged
+ * - `off`: skip validation
+ */
+export const VALIDATION_MODES = ['strict', 'warn', 'off'];
+
+const string = { type: 'string' };
+const number = { type: 'number' };
+const integer = { type: 'integer' };
+const boolean = { type: 'boolean' };
+const empty = { type: 'object' };
+
+const taskInfo = {
+  type: 'object',
+  required: ['task_id', 'status'],
+  properties: {
+    task_id: string,
+    num: integer,
+    spec_id: string,
+    benchmark: string,
+    task_text: string,
+    status: string,
+    score: { type: ['number', 'null'] },
+  },
+};
+
+const basket = {
+  type: 'object',
+  required: ['items', 'subtotal', 'discount', 'total'],
+  properties: {
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['sku', 'quantity', 'price'],
+        properties: { sku: string, name: string, quantity: integer, price: number },
+      },
+    },
+    subtotal: number,
+    discount: number,
+    total: number,
+    coupon: { type: ['string', 'null'] },
+  },
+};
+
+const basketCounts = {
+  type: 'object',
+  required: ['line_count', 'item_count'],
+  properties: { line_count: integer, item_count: integer },
+};
+
+/**
+ * Bundled response schemas, keyed by endpoint path
+ *
+ * Store and Demo endpoints are relative to `/store/{task}` and
+ * `/demo/{task}`.
+ */
+export const RESPONSE_SCHEMAS = {
+  // Core API
+  '/get_key': {
+    type: 'object',
+    required: ['account_key'],
+    properties: { account_key: string },
+  },
+  '/benchmarks/list': {
+    type: 'object',
+    required: ['benchmarks'],
+    properties: {
+      benchmarks: {
+        type: 'array',
+        items: { type: 'object', required: ['id'], properties: { id: string, description: string } },
+      },
+    },
+  },
+  '/benchmarks/view': {
+    type: 'object',
+    required: ['id', 'specs', 'routes'],
+    properties: {
+      id: string,
+      description: string,
+      specs: { type: 'array', items: { type: 'object', required: ['id'], properties: { id: string } } },
+      routes: { type: 'array', items: { type: 'object', required: ['path'], properties: { path: string } } },
+    },
+  },
+  '/sessions/start': {
+    type: 'object',
+    required: ['session_id', 'task_count'],
+    properties: { session_id: string, task_count: integer },
+  },
+  '/sessions/status': {
+    type: 'object',
+    required: ['session_id', 'status', 'tasks'],
+    properties: { session_id: string, status: string, tasks: { type: 'array', items: taskInfo } },
+  },
+  '/sessions/search': {
+    type: 'object',
+    required: ['sessions'],
+    properties: {
+      sessions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['session_id'],
+          properties: { session_id: string, status: string, task_count: integer },
+        },
+      },
+    },
+  },
+  '/sessions/submit': {
+    type: 'object',
+    properties: { session_id: string, status: string, score: number },
+  },
+  '/tasks/start': {
+    type: 'object',
+    properties: { task_id: string, status: string, task_text: string },
+  },
+  '/tasks/complete': {
+    type: 'object',
+    required: ['eval'],
+    properties: {
+      task_id: string,
+      status: string,
+      eval: {
+        type: 'object',
+        required: ['score'],
+        properties: { score: number, success: boolean, logs: string },
+      },
+    },
+  },
+  '/tasks/view': {
+    ...taskInfo,
+    required: [...taskInfo.required, 'logs'],
+    properties: {
+      ...taskInfo.properties,
+      logs: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['time', 'type', 'text'],
+          properties: { time: number, type: string, text: string },
+        },
+      },
+    },
+  },
+  '/tasks/log': empty,
+
+  // Store API
+  '/products/list': {
+    type: 'object',
+    required: ['products'],
+    properties: {
+      products: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['sku', 'name', 'price', 'available'],
+          properties: { sku: string, name: string, price: number, available: integer },
+        },
+      },
+      next_offset: { type: ['integer', 'null'] },
+    },
+  },
+  '/basket/view': basket,
+  '/basket/add': basketCounts,
+  '/basket/remove': basketCounts,
+  '/basket/checkout': basket,
+  '/coupon/apply': empty,
+  '/coupon/remove': empty,
+
+  // Demo API
+  '/secret': {
+    type: 'object',
+    required: ['value'],
+    properties: { value: string },
+  },
+  '/answer': empty,
+};
+
+/**
+ * Validates a value against a schema
+ *
+ * @param {Object} schema - Schema (JSON Schema subset)
+ * @param {*} value - Value to validate
+ * @param {string} path - JSON path of the value (default: '$')
+ * @returns {Object[]} Mismatches as `{ path, message }`, empty when the value is valid
+ *
+ * @example
+ * ```javascript
+ * validateSchema(RESPONSE_SCHEMAS['/basket/view'], { items: [], subtotal: '0' });
+ * // [{ path: '$.subtotal', message: 'expected number, got string' }, ...]
+ * ```
+ */
+export function validateSchema(schema, value, path = '$') {
+  const issues = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(type, value))) {
+      issues.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return issues;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    issues.push({ path, message: `expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}` });
+  }
+
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    issues.push({ path, message: `must be >= ${schema.minimum}, got ${value}` });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => issues.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        issues.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        issues.push(...validateSchema(propertySchema, value[key], `${path}.${key}`));
+      }
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!schema.properties?.[key]) {
+          issues.push({ path: `${path}.${key}`, message: 'is not allowed' });
+        }
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Validates responses against the schema of their endpoint
+ *
+ * Endpoints without a schema are not validated.
+ *
+ * @example
+ * ```javascript
+ * const validator = new ResponseValidator({ mode: 'strict' });
+ * validator.check('/basket/view', body); // throws SchemaMismatchError on mismatch
+ * ```
+ */
+export class ResponseValidator {
+  /**
+   * Creates a response validator
+   *
+   * @param {Object} options - Validator options
+   * @param {string} options.mode - 'strict', 'warn' or 'off' (default: 'off')
+   * @param {Object<string, Object>} options.schemas - Schemas added to or replacing the bundled ones, keyed by endpoint
+   * @param {Logger|Object|string} options.logger - Logger used in warn mode (default: silent)
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || 'off';
+    this.schemas = { ...RESPONSE_SCHEMAS, ...options.schemas };
+    this.logger = createLogger(options.logger);
+
+    if (!VALIDATION_MODES.includes(this.mode)) {
+      throw new Error(`Unknown validation mode: ${this.mode}. Use ${VALIDATION_MODES.join(', ')}.`);
+    }
+  }
+
+  /**
+   * Creates a validator from the `validation` client option
+   *
+   * @param {ResponseValidator|Object|string|undefined} option - Validator, its options or a mode name
+   * @param {Logger} logger - Logger used when the option does not set one
+   * @returns {ResponseValidator} Response validator
+   */
+  static from(option, logger) {
+    if (option instanceof ResponseValidator) {
+      return option;
+    }
+    if (typeof option === 'string') {
+      return new ResponseValidator({ mode: option, logger });
+    }
+    return new ResponseValidator({ logger, ...option });
+  }
+
+  /**
+   * Returns the schema of an endpoint
+   *
+   * @param {string} endpoint - Endpoint path (e.g. '/basket/view' or '/store/tsk-1/basket/view')
+   * @returns {Object|undefined} Schema, or undefined when the endpoint has none
+   */
+  schemaFor(endpoint) {
+    if (this.schemas[endpoint]) {
+      return this.schemas[endpoint];
+    }
+    const match = Object.keys(this.schemas).find(key => endpoint?.endsWith(key));
+    return match && this.schemas[match];
+  }
+
+  /**
+   * Validates a response body
+   *
+   * @param {string} endpoint - Endpoint path
+   * @param {Object} body - Parsed response body
+   * @param {string} requestId - Request ID attached to the error
+   * @returns {Object[]} Mismatches found (empty when valid or not validated)
+   * @throws {SchemaMismatchError} In strict mode, when the body does not match
+   */
+  check(endpoint, body, requestId) {
+    const schema = this.mode === 'off' ? undefined : this.schemaFor(endpoint);
+    if (!schema) {
+      return [];
+    }
+
+    const issues = validateSchema(schema, body);
+    if (issues.length === 0) {
+      return issues;
+    }
+    if (this.mode === 'strict') {
+      throw new SchemaMismatchError(endpoint, issues, body, requestId);
+    }
+    this.logger.error(`Schema mismatch for ${endpoint}`, {
+      endpoint,
+      path: issues[0].path,
+      issues: issues.map(issue => `${issue.path} ${issue.message}`).join('; '),
+      requestId,
+    });
+    return issues;
+  }
+}
+
+/**
+ * @private
+ */
+function matchesType(type, value) {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * @private
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
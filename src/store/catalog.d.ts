@@ -0,0 +1,37 @@
+/**
+ * Local product catalog
+ *
+ * @module erc3-js/store/catalog
+ */
+
+import type { Product } from './client.js';
+
+export interface CatalogFilter {
+  minPrice?: number;
+  maxPrice?: number;
+  /** Only products with available units */
+  inStock?: boolean;
+  minAvailable?: number;
+}
+
+export type CatalogSortField = 'price' | 'available' | 'name' | 'sku';
+export type SortOrder = 'asc' | 'desc';
+
+export interface CatalogQuery extends CatalogFilter {
+  search?: string;
+  sortBy?: CatalogSortField;
+  order?: SortOrder;
+  limit?: number;
+}
+
+export class Catalog {
+  constructor(products?: Product[], options?: { fetchedAt?: number });
+  products: Product[];
+  fetchedAt: number;
+  readonly size: number;
+  findBySku(sku: string): Product | undefined;
+  search(query: string, options?: { limit?: number; threshold?: number }): Product[];
+  filter(criteria?: CatalogFilter): Product[];
+  sort(field?: CatalogSortField, order?: SortOrder, products?: Product[]): Product[];
+  query(params?: CatalogQuery): Product[];
+}
@@ -0,0 +1,223 @@
+/**
+ * Local product catalog
+ *
+ * In-memory snapshot of a store catalog with lookup, search, filtering and
+ * sorting, so agents can answer catalog questions without extra API calls.
+ *
+ * @module erc3-js/store/catalog
+ */
+
+/**
+ * Product catalog snapshot
+ *
+ * Usually obtained from `StoreClient.getCatalog()`, which crawls every page
+ * once and caches the result.
+ *
+ * @example
+ * ```javascript
+ * const catalog = await storeClient.getCatalog();
+ *
+ * catalog.findBySku('gpu-h100');
+ * catalog.search('dog food premium');
+ * catalog.filter({ maxPrice: 50, inStock: true });
+ * catalog.query({ search: 'gpu', inStock: true, sortBy: 'price', limit: 1 });
+ * ```
+ */
+export class Catalog {
+  /**
+   * Creates a catalog
+   *
+   * @param {Object[]} products - Products as returned by `listProducts`
+   * @param {Object} options - Catalog options
+   * @param {number} options.fetchedAt - Time the products were fetched (default: Date.now())
+   */
+  constructor(products = [], options = {}) {
+    this.products = products;
+    this.fetchedAt = options.fetchedAt ?? Date.now();
+    this.bySku = new Map(products.map(product => [product.sku, product]));
+  }
+
+  /**
+   * Number of products
+   *
+   * @returns {number} Product count
+   */
+  get size() {
+    return this.products.length;
+  }
+
+  /**
+   * Finds a product by SKU
+   *
+   * @param {string} sku - Product SKU
+   * @returns {Object|undefined} Product, or undefined when the SKU is not in the catalog
+   */
+  findBySku(sku) {
+    return this.bySku.get(sku);
+  }
+
+  /**
+   * Searches products by name or SKU, tolerating typos and word order
+   *
+   * Exact and substring matches rank first, then products whose name
+   * contains most of the query words. Query words may be prefixes
+   * ('prem') or have one typo ('premim'); words with digits must match.
+   *
+   * @param {string} query - Search text (e.g. 'premium dog food')
+   * @param {Object} options - Search options
+   * @param {number} options.limit - Maximum number of results (default: no limit)
+   * @param {number} options.threshold - Minimum score between 0 and 1 (default: 0.5)
+   * @returns {Object[]} Matching products, best match first
+   *
+   * @example
+   * ```javascript
+   * catalog.search('geforce 4090');   // [{ sku: 'gpu-4090', name: 'GeForce RTX 4090', ... }]
+   * catalog.search('premim dog food', { limit: 1 });
+   * ```
+   */
+  search(query, { limit = Infinity, threshold = 0.5 } = {}) {
+    return this.products
+      .map(product => ({ product, score: matchScore(query, product) }))
+      .filter(match => match.score >= threshold)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(match => match.product);
+  }
+
+  /**
+   * Filters products by price and availability
+   *
+   * @param {Object} criteria - Filter criteria
+   * @param {number} criteria.minPrice - Minimum unit price
+   * @param {number} criteria.maxPrice - Maximum unit price
+   * @param {boolean} criteria.inStock - Only products with available units
+   * @param {number} criteria.minAvailable - Minimum available units
+   * @returns {Object[]} Matching products, in catalog order
+   */
+  filter({ minPrice, maxPrice, inStock, minAvailable } = {}) {
+    return this.products.filter(product =>
+      (minPrice === undefined || product.price >= minPrice) &&
+      (maxPrice === undefined || product.price <= maxPrice) &&
+      (!inStock || product.available > 0) &&
+      (minAvailable === undefined || product.available >= minAvailable)
+    );
+  }
+
+  /**
+   * Sorts products
+   *
+   * @param {string} field - 'price', 'available', 'name' or 'sku' (default: 'price')
+   * @param {string} order - 'asc' or 'desc' (default: 'asc')
+   * @param {Object[]} products - Products to sort (default: the whole catalog)
+   * @returns {Object[]} Sorted copy
+   */
+  sort(field = 'price', order = 'asc', products = this.products) {
+    const direction = order === 'desc' ? -1 : 1;
+    return [...products].sort((a, b) => {
+      const left = a[field];
+      const right = b[field];
+      const result = typeof left === 'string' ? left.localeCompare(right) : left - right;
+      return result * direction;
+    });
+  }
+
+  /**
+   * Combines search, filters, sorting and a limit
+   *
+   * Results are ranked by search score when `search` is set and `sortBy`
+   * is not.
+   *
+   * @param {Object} params - Query
+   * @param {string} params.search - Search text
+   * @param {number} params.minPrice - Minimum unit price
+   * @param {number} params.maxPrice - Maximum unit price
+   * @param {boolean} params.inStock - Only products with available units
+   * @param {number} params.minAvailable - Minimum available units
+   * @param {string} params.sortBy - Sort field
+   * @param {string} params.order - 'asc' or 'desc' (default: 'asc')
+   * @param {number} params.limit - Maximum number of results
+   * @returns {Object[]} Matching products
+   *
+   * @example
+   * ```javascript
+   * // Cheapest GPU in stock
+   * const [cheapest] = catalog.query({ search: 'gpu', inStock: true, sortBy: 'price', limit: 1 });
+   * ```
+   */
+  query({ search, sortBy, order, limit = Infinity, ...criteria } = {}) {
+    const filtered = new Set(this.filter(criteria));
+    let products = search === undefined
+      ? this.products.filter(product => filtered.has(product))
+      : this.search(search).filter(product => filtered.has(product));
+    if (sortBy) {
+      products = this.sort(sortBy, order, products);
+    }
+    return products.slice(0, limit);
+  }
+}
+
+/**
+ * Scores how well a product matches a search query, between 0 and 1
+ * @private
+ */
+function matchScore(query, product) {
+  const needle = normalize(query);
+  if (!needle) {
+    return 0;
+  }
+  const name = normalize(product.name || '');
+  const sku = normalize(product.sku || '');
+  if (needle === name || needle === sku) {
+    return 1;
+  }
+  if (name.includes(needle) || sku.includes(needle)) {
+    return 0.9;
+  }
+
+  const words = new Set([...name.split(' '), ...sku.split(' ')]);
+  const queryWords = needle.split(' ');
+  const found = queryWords.filter(word => [...words].some(candidate => wordMatches(word, candidate)));
+  return 0.8 * (found.length / queryWords.length);
+}
+
+/**
+ * @private
+ */
+function wordMatches(word, candidate) {
+  if ((word.length >= 2 && candidate.startsWith(word)) || (candidate.length >= 3 && word.startsWith(candidate))) {
+    return true;
+  }
+  // Model numbers must match exactly: '4080' is not a typo of '4090'
+  if (word.length < 4 || /\d/.test(word) || Math.abs(word.length - candidate.length) > 1) {
+    return false;
+  }
+  return editDistance(word, candidate) <= 1;
+}
+
+/**
+ * @private
+ */
+function normalize(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Levenshtein distance with adjacent transpositions
+ * @private
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) {
+    d[0][j] = j;
+  }
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
@@ -0,0 +1,189 @@
+/**
+ * ERC3 Store API Client
+ *
+ * @module erc3-js/store
+ */
+
+import type { EmptyResponse, RequestOptions } from '../common.js';
+import type { Transport } from '../transport.js';
+import type { Catalog } from './catalog.js';
+import type { CouponReport, CouponRunParams } from './coupons.js';
+import type { BasketTarget, SetBasketResult } from './planner.js';
+import type { CheckoutGuard, CheckoutGuardOption, CheckoutViolation } from './guard.js';
+import type { BasketSimulator } from './simulator.js';
+import type { Money, MoneyOptions, MoneyUnit } from './money.js';
+import type { ValidationMode } from '../schema.js';
+import type { ToolCall, ToolDefinitions, ToolFormat } from '../tools.js';
+
+/**
+ * Catalog product
+ */
+export interface Product {
+  sku: string;
+  name: string;
+  /** Unit price in dollars */
+  price: number;
+  /** Units in stock */
+  available: number;
+}
+
+/**
+ * Page of the product catalog
+ */
+export interface ProductListResponse {
+  products: Product[];
+  /** Offset of the next page; -1 (or missing) on the last page */
+  next_offset?: number | null;
+}
+
+/**
+ * Basket line
+ */
+export interface BasketItem {
+  sku: string;
+  name?: string;
+  quantity: number;
+  /** Unit price in dollars */
+  price: number;
+}
+
+/**
+ * Basket contents and totals (amounts in dollars)
+ */
+export interface Basket {
+  items: BasketItem[];
+  subtotal: number;
+  discount: number;
+  total: number;
+  coupon: string | null;
+}
+
+/**
+ * Final order returned by checkout (amounts in dollars)
+ */
+export interface CheckoutResult extends Basket {}
+
+/**
+ * Basket size after an add or remove
+ */
+export interface BasketCounts {
+  /** Number of distinct SKUs */
+  line_count: number;
+  /** Total number of units */
+  item_count: number;
+}
+
+export interface ListProductsParams {
+  offset?: number;
+  limit?: number;
+}
+
+export interface IterateProductsParams extends ListProductsParams {
+  /** Maximum number of pages to fetch (default: no limit) */
+  maxPages?: number;
+  /** Pages fetched in parallel once the page size is known (default: 1) */
+  concurrency?: number;
+}
+
+/**
+ * Requests accepted by `StoreClient.dispatch()`, discriminated by `tool`
+ */
+export type StoreRequest =
+  | { tool: '/products/list'; offset?: number; limit?: number }
+  | { tool: '/basket/view' }
+  | { tool: '/basket/add'; sku: string; quantity?: number }
+  | { tool: '/basket/remove'; sku: string; quantity?: number }
+  | { tool: '/basket/checkout' }
+  | { tool: '/coupon/apply'; coupon: string }
+  | { tool: '/coupon/remove' };
+
+export type StoreTool = StoreRequest['tool'];
+
+/**
+ * Response payload for each store tool
+ */
+export interface StoreResponses {
+  '/products/list': ProductListResponse;
+  '/basket/view': Basket;
+  '/basket/add': BasketCounts;
+  '/basket/remove': BasketCounts;
+  '/basket/checkout': CheckoutResult;
+  '/coupon/apply': EmptyResponse;
+  '/coupon/remove': EmptyResponse;
+}
+
+/**
+ * Basket totals before checkout, with the checkout guard verdict
+ */
+export interface CheckoutPreview extends Basket, BasketCounts {
+  /** Rules broken by the basket (empty without a guard) */
+  violations: CheckoutViolation[];
+  allowed: boolean;
+}
+
+/**
+ * Basket change recorded by a client created with `transcript: true`
+ */
+export type TranscriptEntry = (
+  | { op: 'add' | 'remove'; sku: string; quantity: number }
+  | { op: 'applyCoupon'; coupon: string; previousCoupon: string | null }
+  | { op: 'removeCoupon'; previousCoupon: string | null }
+  | { op: 'checkout' }
+) & {
+  /** Basket counts after the change (null when not known) */
+  line_count: number | null;
+  item_count: number | null;
+  /** Time of the change (ms since epoch) */
+  at: number;
+};
+
+export interface StoreClientOptions {
+  transport?: Transport;
+  /** Guard run before every checkout */
+  checkoutGuard?: CheckoutGuardOption | null;
+  /** Record basket changes and enable `undo()` */
+  transcript?: boolean;
+  /** Money helper, its options or the unit of API amounts (default: dollars, USD) */
+  money?: Money | MoneyOptions | MoneyUnit;
+  /** Check that basket and checkout amounts add up (default: 'off') */
+  checkTotals?: ValidationMode;
+}
+
+export class StoreClient {
+  constructor(baseUrl: string, taskId: string, options?: StoreClientOptions);
+  baseUrl: string;
+  taskId: string;
+  transport: Transport;
+  /** Cached catalog, or null until `getCatalog()` has run or after invalidation */
+  catalog: Catalog | null;
+  checkoutGuard: CheckoutGuard | null;
+  /** Total of the checkouts made by this client */
+  spent: number;
+  money: Money;
+  checkTotals: ValidationMode;
+  /** Simulator checking every basket, or null until `getSimulator()` has run */
+  simulator: BasketSimulator | null;
+  /** Basket changes, oldest first, or null when the transcript is disabled */
+  transcript: TranscriptEntry[] | null;
+
+  listProducts(params?: ListProductsParams, options?: RequestOptions): Promise<ProductListResponse>;
+  iterateProducts(params?: IterateProductsParams, options?: RequestOptions): AsyncGenerator<Product, void, undefined>;
+  fetchAllProducts(params?: IterateProductsParams, options?: RequestOptions): Promise<Product[]>;
+  getCatalog(params?: IterateProductsParams & { refresh?: boolean }, options?: RequestOptions): Promise<Catalog>;
+  getSimulator(params?: IterateProductsParams & { refresh?: boolean }, options?: RequestOptions): Promise<BasketSimulator>;
+  invalidateCatalog(): void;
+  viewBasket(options?: RequestOptions): Promise<Basket>;
+  addToBasket(sku: string, quantity?: number, options?: RequestOptions): Promise<BasketCounts>;
+  removeFromBasket(sku: string, quantity?: number, options?: RequestOptions): Promise<BasketCounts>;
+  checkout(options?: RequestOptions): Promise<CheckoutResult>;
+  undo(n?: number, options?: RequestOptions): Promise<TranscriptEntry[]>;
+  previewCheckout(options?: RequestOptions): Promise<CheckoutPreview>;
+  setCheckoutGuard(guard: CheckoutGuardOption | null): void;
+  applyCoupon(coupon: string, options?: RequestOptions): Promise<EmptyResponse>;
+  removeCoupon(options?: RequestOptions): Promise<EmptyResponse>;
+  optimizeCoupons(codes: string[], params?: CouponRunParams, options?: RequestOptions): Promise<CouponReport>;
+  setBasket(target?: BasketTarget, options?: RequestOptions): Promise<SetBasketResult>;
+  dispatch<R extends StoreRequest>(request: R, options?: RequestOptions): Promise<StoreResponses[R['tool']]>;
+  dispatch(request: ToolCall, options?: RequestOptions): Promise<unknown>;
+  getToolDefinitions<F extends ToolFormat = 'generic'>(format?: F): ToolDefinitions[F][];
+}
@@ -7,7 +7,17 @@
  * @module erc3-js/store
  */
 
-import { ApiException } from '../common.js';
+import { Transport } from '../transport.js';
+import { ApiException, CheckoutVetoError, TotalsMismatchError } from '../common.js';
+import { VALIDATION_MODES } from '../schema.js';
+import { formatToolDefinitions, validateToolCall } from '../tools.js';
+import { STORE_TOOLS } from './tools.js';
+import { Catalog } from './catalog.js';
+import { CouponOptimizer } from './coupons.js';
+import { planBasket, diffBasket } from './planner.js';
+import { toCheckoutGuard } from './guard.js';
+import { BasketSimulator } from './simulator.js';
+import { Money } from './money.js';
 
 /**
  * Store API Client
@@ -18,6 +28,7 @@ import { ApiException } from '../common.js';
  *
  * Features:
  * - Product catalog browsing with pagination
+ * - Cached catalog with local search and filtering
  * - Shopping basket management
  * - Coupon application
  * - Checkout process
@@ -45,52 +56,46 @@ export class StoreClient {
    *
    * @param {string} baseUrl - Base URL for the API
    * @param {string} taskId - Task ID for this store session
+   * @param {Object} options - Client options
+   * @param {Transport} options.transport - HTTP transport (defaults to a new Transport)
+   * @param {Function|Object} options.checkoutGuard - Guard run before every checkout: a guard
+   *   function or `createCheckoutGuard` rules (default: none)
+   * @param {boolean} options.transcript - Record basket changes and enable `undo()` (default: false)
+   * @param {Money|Object|string} options.money - Money helper, its options or the unit of API
+   *   amounts (default: dollars, USD)
+   * @param {string} options.checkTotals - Check that basket and checkout amounts add up:
+   *   'strict' (throw `TotalsMismatchError`), 'warn' (log) or 'off' (default: 'off')
+   * @throws {Error} When the money unit or the checkTotals mode is unknown
    */
-  constructor(baseUrl, taskId) {
+  constructor(baseUrl, taskId, options = {}) {
     this.baseUrl = baseUrl;
     this.taskId = taskId;
+    this.transport = options.transport || new Transport();
+    this.checkoutGuard = toCheckoutGuard(options.checkoutGuard);
+    this.money = Money.from(options.money);
+    this.checkTotals = options.checkTotals || 'off';
+    this.spent = 0;
+    this.catalog = null;
+    this._catalogLoad = null;
+    this.simulator = null;
+    this.transcript = options.transcript ? [] : null;
+    this._basketState = { line_count: null, item_count: null, coupon: undefined };
+    this._undoing = false;
+
+    if (!VALIDATION_MODES.includes(this.checkTotals)) {
+      throw new Error(`Unknown checkTotals mode: ${this.checkTotals}. Use ${VALIDATION_MODES.join(', ')}.`);
+    }
   }
 
   /**
    * Makes a POST request to the store API
    * @private
    */
-  async _request(endpoint, data = {}) {
-    const url = `${this.baseUrl}/store/${this.taskId}${endpoint}`;
-
-    try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(data),
-      });
-
-      const result = await response.json();
-
-      // Check for API errors
-      if (result.status && result.status >= 400) {
-        throw new ApiException(
-          result.error || 'API Error',
-          result.status,
-          result.code,
-          JSON.stringify(result)
-        );
-      }
-
-      return result;
-    } catch (error) {
-      if (error instanceof ApiException) {
-        throw error;
-      }
-      throw new ApiException(
-        `Request failed: ${error.message}`,
-        500,
-        'REQUEST_FAILED',
-        error.message
-      );
-    }
+  async _request(endpoint, data = {}, options = {}) {
+    return this.transport.request(`${this.baseUrl}/store/${this.taskId}${endpoint}`, data, {
+      ...options,
+      endpoint,
+    });
   }
 
   // ============================================================================
@@ -103,9 +108,10 @@ export class StoreClient {
    * Returns a paginated list of products. Use the `next_offset` field
    * to fetch subsequent pages.
    *
-   * @param {Object} options - List options
-   * @param {number} options.offset - Offset for pagination (default: 0)
-   * @param {number} options.limit - Number of items per page (default: 20)
+   * @param {Object} params - List options
+   * @param {number} params.offset - Offset for pagination (default: 0)
+   * @param {number} params.limit - Number of items per page (default: 20)
+   * @param {Object} options - Request options ({ signal, timeoutMs })
    * @returns {Promise<Object>} Products list with next_offset
    *
    * @example
@@ -120,12 +126,219 @@ export class StoreClient {
    * }
    * ```
    */
-  async listProducts({ offset = 0, limit = 20 } = {}) {
+  async listProducts({ offset = 0, limit = 20 } = {}, options = {}) {
     return this._request('/products/list', {
       tool: '/products/list',
       offset,
       limit,
-    });
+    }, options);
+  }
+
+  /**
+   * Iterates over every product of the catalog, page by page
+   *
+   * Follows `next_offset` until the last page. The server may return fewer
+   * products than `limit`; the page size it actually uses is learned from
+   * the first page. Iteration stops when `next_offset` is missing, null or
+   * -1, when a page is empty, or when the server sends an offset that was
+   * already fetched. Products seen on an earlier page are not yielded again.
+   *
+   * With `concurrency > 1`, the following pages are requested in parallel
+   * batches once the page size is known. Pages are still yielded in catalog
+   * order.
+   *
+   * @param {Object} params - Iteration options
+   * @param {number} params.offset - Offset of the first page (default: 0)
+   * @param {number} params.limit - Requested page size (default: 20)
+   * @param {number} params.maxPages - Maximum number of pages to fetch (default: no limit)
+   * @param {number} params.concurrency - Pages fetched in parallel (default: 1)
+   * @param {Object} options - Request options ({ signal, timeoutMs }), applied to each page
+   * @returns {AsyncGenerator<Object>} Products
+   *
+   * @example
+   * ```javascript
+   * for await (const product of storeClient.iterateProducts()) {
+   *   if (product.name.includes('GPU')) {
+   *     console.log(product.sku, product.price);
+   *   }
+   * }
+   * ```
+   */
+  async *iterateProducts({ offset = 0, limit = 20, maxPages = Infinity, concurrency = 1 } = {}, options = {}) {
+    const seenOffsets = new Set();
+    const seenSkus = new Set();
+    let next = offset;
+    let step = null;
+    let pages = 0;
+
+    while (isNextOffset(next) && pages < maxPages) {
+      // The page size is unknown until the first page came back
+      const batchSize = step ? Math.max(1, Math.min(concurrency, maxPages - pages)) : 1;
+      const offsets = [];
+      for (let i = 0; i < batchSize; i++) {
+        const pageOffset = next + i * (step || 0);
+        if (seenOffsets.has(pageOffset)) {
+          break;
+        }
+        offsets.push(pageOffset);
+      }
+      if (offsets.length === 0) {
+        this.transport.logger.error('Product pagination stopped at a repeated offset', { offset: next });
+        return;
+      }
+
+      const results = await Promise.all(offsets.map(pageOffset => this.listProducts({ offset: pageOffset, limit }, options)));
+
+      next = null;
+      for (let i = 0; i < results.length; i++) {
+        const page = results[i];
+        const products = page.products || [];
+        seenOffsets.add(offsets[i]);
+        pages++;
+
+        for (const product of products) {
+          if (!seenSkus.has(product.sku)) {
+            seenSkus.add(product.sku);
+            yield product;
+          }
+        }
+
+        if (products.length === 0 || !isNextOffset(page.next_offset)) {
+          return;
+        }
+        if (seenOffsets.has(page.next_offset) || page.next_offset <= offsets[i]) {
+          this.transport.logger.error('Product pagination stopped at a repeated offset', {
+            offset: offsets[i],
+            nextOffset: page.next_offset,
+          });
+          return;
+        }
+
+        step = page.next_offset - offsets[i];
+        next = page.next_offset;
+        // Prefetched pages are only valid while the server keeps the same page size
+        if (offsets[i + 1] !== next) {
+          break;
+        }
+      }
+    }
+  }
+
+  /**
+   * Fetches the whole catalog
+   *
+   * @param {Object} params - Iteration options (see `iterateProducts`)
+   * @param {Object} options - Request options ({ signal, timeoutMs }), applied to each page
+   * @returns {Promise<Object[]>} All products, in catalog order
+   *
+   * @example
+   * ```javascript
+   * const products = await storeClient.fetchAllProducts({ concurrency: 3 });
+   * const cheapest = products.reduce((a, b) => (b.price < a.price ? b : a));
+   * ```
+   */
+  async fetchAllProducts(params = {}, options = {}) {
+    const products = [];
+    for await (const product of this.iterateProducts(params, options)) {
+      products.push(product);
+    }
+    return products;
+  }
+
+  // ============================================================================
+  // Catalog Cache
+  // ============================================================================
+
+  /**
+   * Returns the cached catalog, crawling every page on first use
+   *
+   * The catalog is cached on this client, which is bound to one task.
+   * `addToBasket`, `removeFromBasket` and `checkout` (direct or through
+   * `dispatch`) drop the cache because they may change `available`; the
+   * next call crawls the catalog again. Concurrent calls share one crawl.
+   *
+   * @param {Object} params - Crawl options (see `iterateProducts`)
+   * @param {boolean} params.refresh - Ignore the cache and crawl again (default: false)
+   * @param {Object} options - Request options ({ signal, timeoutMs }), applied to each page
+   * @returns {Promise<Catalog>} Catalog with findBySku, search, filter, sort and query helpers
+   *
+   * @example
+   * ```javascript
+   * const catalog = await storeClient.getCatalog();
+   * const product = catalog.findBySku('dog-food-premium');
+   * const matches = catalog.search('premium dog food');
+   * const affordable = catalog.filter({ maxPrice: 50, inStock: true });
+   * ```
+   */
+  async getCatalog({ refresh = false, ...params } = {}, options = {}) {
+    if (this.catalog && !refresh) {
+      return this.catalog;
+    }
+    if (!this._catalogLoad || refresh) {
+      const load = this.fetchAllProducts(params, options).then(
+        products => {
+          const catalog = new Catalog(products);
+          if (this._catalogLoad === load) {
+            this.catalog = catalog;
+            this._catalogLoad = null;
+          }
+          return catalog;
+        },
+        error => {
+          if (this._catalogLoad === load) {
+            this._catalogLoad = null;
+          }
+          throw error;
+        }
+      );
+      this._catalogLoad = load;
+    }
+    return this._catalogLoad;
+  }
+
+  /**
+   * Drops the cached catalog
+   *
+   * Called automatically after basket changes and checkout. Call it when
+   * the catalog may have changed for another reason.
+   */
+  invalidateCatalog() {
+    this.catalog = null;
+    this._catalogLoad = null;
+  }
+
+  // ============================================================================
+  // Basket Simulation
+  // ============================================================================
+
+  /**
+   * Returns the basket simulator of this client, creating it from the catalog on first use
+   *
+   * Once the simulator exists, every basket returned by `viewBasket` and
+   * `checkout` (direct or through `dispatch`) goes through
+   * `simulator.verify()`: coupon effects are learned as the agent works,
+   * and baskets the simulator priced differently are logged as errors.
+   *
+   * @param {Object} params - Catalog options (see `getCatalog`)
+   * @param {Object} options - Request options ({ signal, timeoutMs })
+   * @returns {Promise<BasketSimulator>} Simulator with simulate, verify and couponModel
+   *
+   * @example
+   * ```javascript
+   * const simulator = await storeClient.getSimulator();
+   *
+   * await storeClient.applyCoupon('DOGGY10');
+   * await storeClient.viewBasket(); // learns the DOGGY10 discount
+   *
+   * const plan = simulator.simulate({ items: { 'dog-food-premium': 2 }, coupon: 'DOGGY10' });
+   * ```
+   */
+  async getSimulator(params = {}, options = {}) {
+    if (!this.simulator) {
+      const catalog = await this.getCatalog(params, options);
+      this.simulator ??= new BasketSimulator(catalog, { logger: this.transport.logger, money: this.money });
+    }
+    return this.simulator;
   }
 
   // ============================================================================
@@ -138,21 +351,35 @@ export class StoreClient {
    * Returns the current state of the shopping basket including items,
    * prices, discounts, and totals.
    *
- * Note: Prices are returned in dollars (no division needed for display)
+   * Note: Amounts are in dollars (no division needed for display). Use
+   * `storeClient.money` to add or format them exactly.
    *
+   * @param {Object} options - Request options ({ signal, timeoutMs })
    * @returns {Promise<Object>} Basket contents with items, subtotal, discount, total
+   * @throws {TotalsMismatchError} When `checkTotals` is 'strict' and the amounts do not add up
    *
    * @example
    * ```javascript
    * const basket = await storeClient.viewBasket();
    * console.log('Items:', basket.items);
-   * console.log('Total:', basket.total / 100); // Convert cents to dollars
+   * console.log('Total:', storeClient.money.format(basket.total)); // '$116.98'
    * ```
    */
-  async viewBasket() {
-    return this._request('/basket/view', {
+  async viewBasket(options = {}) {
+    const basket = await this._request('/basket/view', {
       tool: '/basket/view',
-    });
+    }, options);
+    this._checkTotals('/basket/view', basket);
+    this.simulator?.verify(basket);
+    if (this.transcript) {
+      const items = basket.items || [];
+      this._basketState = {
+        line_count: items.length,
+        item_count: items.reduce((sum, item) => sum + item.quantity, 0),
+        coupon: basket.coupon ?? null,
+      };
+    }
+    return basket;
   }
 
   /**
@@ -160,6 +387,7 @@ export class StoreClient {
    *
    * @param {string} sku - Product SKU
    * @param {number} quantity - Quantity to add (default: 1)
+   * @param {Object} options - Request options ({ signal, timeoutMs })
    * @returns {Promise<Object>} Updated basket info with line_count and item_count
    *
    * @example
@@ -171,12 +399,15 @@ export class StoreClient {
    * await storeClient.addToBasket('SKU-002');
    * ```
    */
-  async addToBasket(sku, quantity = 1) {
-    return this._request('/basket/add', {
+  async addToBasket(sku, quantity = 1, options = {}) {
+    const result = await this._request('/basket/add', {
       tool: '/basket/add',
       sku,
       quantity,
-    });
+    }, options);
+    this.invalidateCatalog();
+    this._record({ op: 'add', sku, quantity }, result);
+    return result;
   }
 
   /**
@@ -184,6 +415,7 @@ export class StoreClient {
    *
    * @param {string} sku - Product SKU
    * @param {number} quantity - Quantity to remove (default: 1)
+   * @param {Object} options - Request options ({ signal, timeoutMs })
    * @returns {Promise<Object>} Updated basket info with line_count and item_count
    *
    * @example
@@ -197,12 +429,51 @@ export class StoreClient {
    * await storeClient.removeFromBasket('SKU-001', item.quantity);
    * ```
    */
-  async removeFromBasket(sku, quantity = 1) {
-    return this._request('/basket/remove', {
+  async removeFromBasket(sku, quantity = 1, options = {}) {
+    const before = await this._stateBeforeChange(options);
+    const result = await this._request('/basket/remove', {
       tool: '/basket/remove',
       sku,
       quantity,
-    });
+    }, options);
+    this.invalidateCatalog();
+    // Removing more than the basket holds drops the line; record what was actually removed
+    const removed = before && typeof result.item_count === 'number' ? before.item_count - result.item_count : quantity;
+    this._record({ op: 'remove', sku, quantity: removed }, result);
+    return result;
+  }
+
+  /**
+   * Previews the checkout without buying anything
+   *
+   * Views the basket and runs the checkout guard on it, if one is set.
+   *
+   * @param {Object} options - Request options ({ signal, timeoutMs })
+   * @returns {Promise<Object>} Basket (items, subtotal, discount, total, coupon)
+   *   plus `item_count`, `line_count`, `violations` (broken guard rules, empty
+   *   without a guard) and `allowed`
+   *
+   * @example
+   * ```javascript
+   * const preview = await storeClient.previewCheckout();
+   * if (preview.allowed) {
+   *   await storeClient.checkout();
+   * } else {
+   *   console.log(preview.violations.map(v => v.message));
+   * }
+   * ```
+   */
+  async previewCheckout(options = {}) {
+    const basket = await this.viewBasket(options);
+    const items = basket.items || [];
+    const preview = {
+      ...basket,
+      items,
+      line_count: items.length,
+      item_count: items.reduce((sum, item) => sum + item.quantity, 0),
+    };
+    const violations = await this._runCheckoutGuard(preview);
+    return { ...preview, violations, allowed: violations.length === 0 };
   }
 
   /**
@@ -211,21 +482,86 @@ export class StoreClient {
    * Completes the purchase and returns the final order details.
    * After checkout, the basket is cleared.
    *
+   * When a checkout guard is set, the basket is previewed first and the
+   * checkout is refused with `CheckoutVetoError` if any rule is broken. This
+   * also applies to `dispatch({ tool: '/basket/checkout' })`.
+   *
+   * @param {Object} options - Request options ({ signal, timeoutMs })
    * @returns {Promise<Object>} Checkout result with final items, subtotal, discount, total
+   * @throws {CheckoutVetoError} When the checkout guard vetoes the checkout
+   * @throws {TotalsMismatchError} When `checkTotals` is 'strict' and the order
+   *   amounts do not add up (the order has been placed)
    *
    * @example
    * ```javascript
    * const result = await storeClient.checkout();
-   * console.log('Order total:', result.total / 100);
+   * console.log('Order total:', storeClient.money.format(result.total));
    * console.log('Items purchased:', result.items);
    * ```
    */
-  async checkout() {
-    return this._request('/basket/checkout', {
+  async checkout(options = {}) {
+    if (this.checkoutGuard) {
+      const preview = await this.previewCheckout(options);
+      if (!preview.allowed) {
+        throw new CheckoutVetoError(preview.violations, preview);
+      }
+    }
+
+    const result = await this._request('/basket/checkout', {
       tool: '/basket/checkout',
+    }, options);
+    this.spent = this.money.add(this.spent, result.total || 0);
+    this.simulator?.verify(result);
+    this.invalidateCatalog();
+    this._record({ op: 'checkout' }, { line_count: 0, item_count: 0 });
+    this._checkTotals('/basket/checkout', result);
+    return result;
+  }
+
+  /**
+   * Checks basket amounts according to the `checkTotals` mode
+   * @private
+   */
+  _checkTotals(endpoint, basket) {
+    if (this.checkTotals === 'off') {
+      return;
+    }
+    const issues = this.money.checkTotals(basket);
+    if (issues.length === 0) {
+      return;
+    }
+    if (this.checkTotals === 'strict') {
+      throw new TotalsMismatchError(endpoint, issues, basket);
+    }
+    this.transport.logger.error(`Amounts of ${endpoint} do not add up`, {
+      endpoint,
+      issues: issues.map(issue => issue.message).join('; '),
     });
   }
 
+  /**
+   * Sets or removes the checkout guard
+   *
+   * @param {Function|Object|null} guard - Guard function, `createCheckoutGuard` rules, or null to remove it
+   */
+  setCheckoutGuard(guard) {
+    this.checkoutGuard = toCheckoutGuard(guard);
+  }
+
+  /**
+   * Runs the checkout guard and normalizes its violations
+   * @private
+   */
+  async _runCheckoutGuard(preview) {
+    if (!this.checkoutGuard) {
+      return [];
+    }
+    const result = await this.checkoutGuard(preview, { taskId: this.taskId, spent: this.spent, money: this.money });
+    return [].concat(result || [])
+      .filter(Boolean)
+      .map(violation => (typeof violation === 'string' ? { rule: 'custom', message: violation } : violation));
+  }
+
   // ============================================================================
   // Coupons
   // ============================================================================
@@ -237,6 +573,7 @@ export class StoreClient {
    * can be applied at a time.
    *
    * @param {string} coupon - Coupon code
+   * @param {Object} options - Request options ({ signal, timeoutMs })
    * @returns {Promise<Object>} Result (empty object on success)
    *
    * @example
@@ -246,19 +583,23 @@ export class StoreClient {
    *
    * // View updated basket with discount
    * const basket = await storeClient.viewBasket();
-   * console.log('Discount:', basket.discount / 100);
+   * console.log('Discount:', basket.discount);
    * ```
    */
-  async applyCoupon(coupon) {
-    return this._request('/coupon/apply', {
+  async applyCoupon(coupon, options = {}) {
+    const before = await this._stateBeforeChange(options);
+    const result = await this._request('/coupon/apply', {
       tool: '/coupon/apply',
       coupon,
-    });
+    }, options);
+    this._record({ op: 'applyCoupon', coupon, previousCoupon: before?.coupon ?? null }, result);
+    return result;
   }
 
   /**
    * Removes the currently applied coupon
    *
+   * @param {Object} options - Request options ({ signal, timeoutMs })
    * @returns {Promise<Object>} Result (empty object on success)
    *
    * @example
@@ -266,10 +607,239 @@ export class StoreClient {
    * await storeClient.removeCoupon();
    * ```
    */
-  async removeCoupon() {
-    return this._request('/coupon/remove', {
+  async removeCoupon(options = {}) {
+    const before = await this._stateBeforeChange(options);
+    const result = await this._request('/coupon/remove', {
       tool: '/coupon/remove',
+    }, options);
+    this._record({ op: 'removeCoupon', previousCoupon: before?.coupon ?? null }, result);
+    return result;
+  }
+
+  /**
+   * Tries coupon codes on the current basket and ranks them by discount
+   *
+   * Shortcut for `new CouponOptimizer(storeClient).run(codes, params, options)`.
+   * Never checks out; the original coupon is restored unless `keep: 'best'`.
+   *
+   * @param {string[]} codes - Candidate coupon codes
+   * @param {Object} params - Run options
+   * @param {string} params.keep - Coupon left on the basket: 'original' or 'best' (default: 'original')
+   * @param {Object} options - Request options ({ signal, timeoutMs })
+   * @returns {Promise<Object>} Ranked report `{ baseline, results, best, applied }`
+   *
+   * @example
+   * ```javascript
+   * const { best } = await storeClient.optimizeCoupons(['SAVE5', 'DOGGY10', 'PETS15'], { keep: 'best' });
+   * console.log('Applied:', best?.code);
+   * ```
+   */
+  async optimizeCoupons(codes, params = {}, options = {}) {
+    return new CouponOptimizer(this).run(codes, params, options);
+  }
+
+  // ============================================================================
+  // Basket Planning
+  // ============================================================================
+
+  /**
+   * Brings the basket to a target state
+   *
+   * Views the basket, computes the minimal add/remove/coupon operations
+   * (see `planBasket`), runs them and views the basket again to verify the
+   * result. Operations the server refuses (e.g. insufficient inventory) do
+   * not stop the run; the lines they leave unsatisfied are reported with the
+   * server's reason. Never checks out.
+   *
+   * @param {Object} target - Target state
+   * @param {Object[]|Object<string, number>} target.items - Wanted lines, `[{ sku, quantity }]` or `{ [sku]: quantity }`; SKUs not listed are removed
+   * @param {string|null} target.coupon - Wanted coupon, null for none (omit to keep the current coupon)
+   * @param {Object} options - Request options ({ signal, timeoutMs }), applied to each call
+   * @returns {Promise<Object>} `{ ok, basket, operations, unsatisfied }`: `basket` is the
+   *   verified final basket, `operations` the operations run with their `ok`
+   *   flag and `error`, and `unsatisfied` lists `{ sku, wanted, actual, reason }`
+   *   (or `{ coupon: true, wanted, actual, reason }`) for every target not met
+   * @throws {ApiException} When the basket cannot be viewed, on timeout or cancellation
+   *
+   * @example
+   * ```javascript
+   * const result = await storeClient.setBasket({
+   *   items: [{ sku: 'gpu-h100', quantity: 3 }, { sku: 'gpu-a100', quantity: 1 }],
+   *   coupon: 'SAVE10'
+   * });
+   *
+   * if (!result.ok) {
+   *   console.log(result.unsatisfied);
+   *   // [{ sku: 'gpu-h100', wanted: 3, actual: 0, reason: { code: 'INSUFFICIENT_INVENTORY', ... } }]
+   * }
+   * ```
+   */
+  async setBasket(target = {}, options = {}) {
+    const before = await this.viewBasket(options);
+    const operations = [];
+
+    for (const operation of planBasket(before, target)) {
+      try {
+        await this._runOperation(operation, options);
+        operations.push({ ...operation, ok: true, error: null });
+      } catch (error) {
+        if (!(error instanceof ApiException) || error.code === 'TIMEOUT' || error.code === 'ABORTED') {
+          throw error;
+        }
+        operations.push({
+          ...operation,
+          ok: false,
+          error: { status: error.status, code: error.code, message: error.message },
+        });
+      }
+    }
+
+    const basket = await this.viewBasket(options);
+    const unsatisfied = diffBasket(basket, target).map(line => {
+      const failed = operations.find(operation =>
+        !operation.ok && (line.coupon ? !operation.sku : operation.sku === line.sku)
+      );
+      return { ...line, reason: failed ? failed.error : null };
     });
+
+    return { ok: unsatisfied.length === 0, basket, operations, unsatisfied };
+  }
+
+  /**
+   * Runs one basket operation from `planBasket`
+   * @private
+   */
+  async _runOperation(operation, options) {
+    switch (operation.op) {
+      case 'add':
+        return this.addToBasket(operation.sku, operation.quantity, options);
+      case 'remove':
+        return this.removeFromBasket(operation.sku, operation.quantity, options);
+      case 'applyCoupon':
+        return this.applyCoupon(operation.coupon, options);
+      case 'removeCoupon':
+        return this.removeCoupon(options);
+      default:
+        throw new Error(`Unknown basket operation: ${operation.op}`);
+    }
+  }
+
+  // ============================================================================
+  // Transcript and Undo
+  // ============================================================================
+
+  /**
+   * Reverts the last basket changes by sending the inverse operations
+   *
+   * Requires the client to be created with `transcript: true`. Entries are
+   * undone newest first and removed from the transcript once reverted; undo
+   * never goes past a checkout. If an inverse operation fails, the error is
+   * thrown and the entry stays in the transcript.
+   *
+   * @param {number} n - Number of changes to revert (default: 1)
+   * @param {Object} options - Request options ({ signal, timeoutMs }), applied to each call
+   * @returns {Promise<Object[]>} Reverted transcript entries, newest first
+   * @throws {Error} When the transcript is disabled
+   *
+   * @example
+   * ```javascript
+   * const store = client.getStoreClient(task, { transcript: true });
+   *
+   * await store.addToBasket('gpu-h100', 2);
+   * await store.applyCoupon('GPU20');
+   * const { total } = await store.viewBasket();
+   *
+   * if (total > budget) {
+   *   await store.undo(2); // removes the coupon, then the 2 units
+   * }
+   * ```
+   */
+  async undo(n = 1, options = {}) {
+    if (!this.transcript) {
+      throw new Error('undo() needs the transcript. Create the client with { transcript: true }.');
+    }
+
+    const undone = [];
+    this._undoing = true;
+    try {
+      while (undone.length < n) {
+        const entry = this.transcript.at(-1);
+        if (!entry || entry.op === 'checkout') {
+          break;
+        }
+        const inverse = inverseOperation(entry);
+        if (inverse) {
+          await this._runOperation(inverse, options);
+        }
+        this.transcript.pop();
+        undone.push(entry);
+      }
+    } finally {
+      this._undoing = false;
+    }
+    return undone;
+  }
+
+  /**
+   * Returns the known basket state, viewing the basket when it is not known yet
+   * @private
+   */
+  async _stateBeforeChange(options) {
+    if (!this.transcript) {
+      return null;
+    }
+    if (this._basketState.coupon === undefined || this._basketState.item_count === null) {
+      await this.viewBasket(options);
+    }
+    return this._basketState;
+  }
+
+  /**
+   * Runs coupon changes that the transcript records as one entry: the net change, if any
+   * @private
+   */
+  async _recordNetCouponChange(fn, options) {
+    const before = await this._stateBeforeChange(options);
+    if (!before || this._undoing) {
+      return fn();
+    }
+    const previousCoupon = before.coupon ?? null;
+    this._undoing = true;
+    try {
+      return await fn();
+    } finally {
+      this._undoing = false;
+      const coupon = this._basketState.coupon ?? null;
+      this._record(coupon ? { op: 'applyCoupon', coupon, previousCoupon } : { op: 'removeCoupon', previousCoupon });
+    }
+  }
+
+  /**
+   * Tracks the basket state after a change and appends it to the transcript
+   * @private
+   */
+  _record(change, result = {}) {
+    if (!this.transcript) {
+      return;
+    }
+    const state = { ...this._basketState };
+    if (typeof result.line_count === 'number') {
+      state.line_count = result.line_count;
+      state.item_count = result.item_count;
+    }
+    if (change.op === 'applyCoupon') {
+      state.coupon = change.coupon;
+    } else if (change.op === 'removeCoupon' || change.op === 'checkout') {
+      state.coupon = null;
+    }
+    this._basketState = state;
+
+    // Re-applying the same coupon (or removing none) changes nothing that undo could revert
+    const noop = (change.op === 'applyCoupon' || change.op === 'removeCoupon') &&
+      (change.coupon ?? null) === change.previousCoupon;
+    if (!this._undoing && !noop) {
+      this.transcript.push({ ...change, line_count: state.line_count, item_count: state.item_count, at: Date.now() });
+    }
   }
 
   // ============================================================================
@@ -280,10 +850,14 @@ export class StoreClient {
    * Dispatches a store request (for tool-based workflows)
    *
    * This method is useful for LLM agents that work with tool-based APIs.
-   * It routes requests to the appropriate method based on the tool name.
+   * It routes requests to the appropriate method based on the tool path
+   * (`/basket/add`) or function name (`basket_add`).
    *
    * @param {Object} request - Request object with tool and parameters
+   * @param {Object} options - Request options ({ signal, timeoutMs })
    * @returns {Promise<Object>} Response from the appropriate endpoint
+   * @throws {ToolValidationError} When the tool is unknown or its arguments do
+   *   not match the tool schema; nothing is sent to the server
    *
    * @example
    * ```javascript
@@ -295,29 +869,64 @@ export class StoreClient {
    * });
    * ```
    */
-  async dispatch(request) {
-    const tool = request.tool;
-
-    switch (tool) {
-      case '/products/list':
-        return this.listProducts({
-          offset: request.offset,
-          limit: request.limit
-        });
-      case '/basket/view':
-        return this.viewBasket();
-      case '/basket/add':
-        return this.addToBasket(request.sku, request.quantity);
-      case '/basket/remove':
-        return this.removeFromBasket(request.sku, request.quantity);
-      case '/basket/checkout':
-        return this.checkout();
-      case '/coupon/apply':
-        return this.applyCoupon(request.coupon);
-      case '/coupon/remove':
-        return this.removeCoupon();
-      default:
-        throw new Error(`Unknown tool: ${tool}`);
-    }
+  async dispatch(request, options = {}) {
+    const tool = validateToolCall(STORE_TOOLS, request);
+    return tool.call(this, request, options);
+  }
+
+  /**
+   * Returns JSON Schema definitions of the tools accepted by `dispatch()`
+   *
+   * Tool names are the paths without the leading slash, with other slashes
+   * replaced by underscores (`/basket/add` becomes `basket_add`).
+   * `dispatch()` accepts both forms in the `tool` field.
+   *
+   * @param {string} format - 'generic', 'openai' or 'anthropic' (default: 'generic')
+   * @returns {Object[]} Tool definitions in the requested format
+   *
+   * @example
+   * ```javascript
+   * // OpenAI function calling
+   * const tools = storeClient.getToolDefinitions('openai');
+   * const completion = await openai.chat.completions.create({ model, messages, tools });
+   * const call = completion.choices[0].message.tool_calls[0];
+   * await storeClient.dispatch({ tool: call.function.name, ...JSON.parse(call.function.arguments) });
+   *
+   * // Anthropic tool use
+   * const message = await anthropic.messages.create({ model, messages, tools: storeClient.getToolDefinitions('anthropic') });
+   * ```
+   */
+  getToolDefinitions(format = 'generic') {
+    return formatToolDefinitions(STORE_TOOLS, format);
+  }
+}
+
+/**
+ * Checks whether a `next_offset` value points at another page
+ * @private
+ */
+function isNextOffset(offset) {
+  return Number.isInteger(offset) && offset >= 0;
+}
+
+/**
+ * Returns the operation that reverts a transcript entry, or null when there is nothing to revert
+ * @private
+ */
+function inverseOperation(entry) {
+  switch (entry.op) {
+    case 'add':
+      return { op: 'remove', sku: entry.sku, quantity: entry.quantity };
+    case 'remove':
+      return entry.quantity > 0 ? { op: 'add', sku: entry.sku, quantity: entry.quantity } : null;
+    case 'applyCoupon':
+      if (entry.previousCoupon === entry.coupon) {
+        return null;
+      }
+      return entry.previousCoupon ? { op: 'applyCoupon', coupon: entry.previousCoupon } : { op: 'removeCoupon' };
+    case 'removeCoupon':
+      return entry.previousCoupon ? { op: 'applyCoupon', coupon: entry.previousCoupon } : null;
+    default:
+      return null;
   }
 }
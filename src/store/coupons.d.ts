@@ -0,0 +1,40 @@
+/**
+ * Coupon exploration for the store benchmark
+ *
+ * @module erc3-js/store/coupons
+ */
+
+import type { RequestOptions } from '../common.js';
+import type { Basket, StoreClient } from './client.js';
+
+export interface CouponResult {
+  code: string;
+  /** False when the server refused the code */
+  ok: boolean;
+  discount: number;
+  /** Basket total with the code applied, null when refused */
+  total: number | null;
+  error: { status: number | undefined; code: string | undefined; message: string } | null;
+}
+
+export interface CouponReport {
+  /** Basket before the run */
+  baseline: Basket;
+  /** Every code, largest discount first, refused codes last */
+  results: CouponResult[];
+  /** Result with the largest discount, null when no code gave a discount */
+  best: CouponResult | null;
+  /** Coupon left on the basket */
+  applied: string | null;
+}
+
+export interface CouponRunParams {
+  /** Coupon left on the basket (default: 'original') */
+  keep?: 'original' | 'best';
+}
+
+export class CouponOptimizer {
+  constructor(storeClient: StoreClient);
+  store: StoreClient;
+  run(codes: string[], params?: CouponRunParams, options?: RequestOptions): Promise<CouponReport>;
+}
@@ -0,0 +1,157 @@
+/**
+ * Coupon exploration for the store benchmark
+ *
+ * @module erc3-js/store/coupons
+ */
+
+import { ApiException } from '../common.js';
+import { DEFAULT_RETRY_STATUSES } from '../retry.js';
+
+/**
+ * Tries coupon codes against the current basket and ranks them by discount
+ *
+ * Only `viewBasket`, `applyCoupon` and `removeCoupon` are called: the
+ * optimizer never checks out. Each candidate is applied in turn and the
+ * basket is viewed to read the resulting discount. Codes the server refuses
+ * (a 4xx answer to `/coupon/apply`) are recorded with their error; any
+ * other failure ends the run and is thrown. When the run ends, successfully or not,
+ * the coupon that was applied before the run is restored (or the coupon is
+ * removed when there was none). With a store transcript, the run is
+ * recorded as a single coupon change, and only when the coupon left on the
+ * basket differs from the original one.
+ *
+ * @example
+ * ```javascript
+ * import { CouponOptimizer } from 'erc3-js';
+ *
+ * const optimizer = new CouponOptimizer(storeClient);
+ * const report = await optimizer.run(['SAVE5', 'DOGGY10', 'DOGGY25', 'PETS15']);
+ *
+ * console.log(report.best);    // { code: 'PETS15', discount: 15, total: 49.99 }
+ * console.log(report.results); // every code, best first, with errors for refused codes
+ * ```
+ */
+export class CouponOptimizer {
+  /**
+   * Creates a coupon optimizer
+   *
+   * @param {StoreClient} storeClient - Store client of the task
+   */
+  constructor(storeClient) {
+    this.store = storeClient;
+  }
+
+  /**
+   * Tries every code and returns a ranked report
+   *
+   * @param {string[]} codes - Candidate coupon codes (duplicates are tried once)
+   * @param {Object} params - Run options
+   * @param {string} params.keep - Coupon left on the basket: 'original' or 'best' (default: 'original')
+   * @param {Object} options - Request options ({ signal, timeoutMs }), applied to each call
+   * @returns {Promise<Object>} Report `{ baseline, results, best, applied }`:
+   *   `baseline` is the basket before the run, `results` lists
+   *   `{ code, ok, discount, total, error }` best first (refused codes last),
+   *   `best` is the result with the largest discount (null when no code gave
+   *   a discount) and `applied` is the coupon left on the basket
+   * @throws {ApiException} When the basket cannot be viewed, a code fails for
+   *   another reason than a refusal (timeout, abort, invalid response), or the
+   *   original coupon cannot be restored
+   */
+  async run(codes, { keep = 'original' } = {}, options = {}) {
+    if (keep !== 'original' && keep !== 'best') {
+      throw new Error(`Unknown keep option: ${keep}. Use 'original' or 'best'.`);
+    }
+
+    return this.store._recordNetCouponChange(() => this._run(codes, keep, options), options);
+  }
+
+  /**
+   * @private
+   */
+  async _run(codes, keep, options) {
+    const baseline = await this.store.viewBasket(options);
+    const results = [];
+    let failure = null;
+
+    try {
+      for (const code of [...new Set(codes)]) {
+        results.push(await this._try(code, options));
+      }
+    } catch (error) {
+      failure = error;
+    }
+
+    results.sort(compareResults);
+    const best = results.find(result => result.ok && result.discount > 0) || null;
+    const applied = keep === 'best' && best && !failure ? best.code : baseline.coupon ?? null;
+
+    // Restore even when the caller's signal fired, so the basket is never left with a trial coupon
+    await this._restore(applied, { timeoutMs: options.timeoutMs });
+    if (failure) {
+      throw failure;
+    }
+
+    return { baseline, results, best, applied };
+  }
+
+  /**
+   * Applies one code and reads the resulting basket
+   * @private
+   */
+  async _try(code, options) {
+    try {
+      await this.store.applyCoupon(code, options);
+    } catch (error) {
+      // Refused codes are part of the report; anything else ends the run
+      if (!isRefusal(error)) {
+        throw error;
+      }
+      return {
+        code,
+        ok: false,
+        discount: 0,
+        total: null,
+        error: { status: error.status, code: error.code, message: error.message },
+      };
+    }
+    const basket = await this.store.viewBasket(options);
+    return { code, ok: true, discount: basket.discount, total: basket.total, error: null };
+  }
+
+  /**
+   * Leaves the basket with the given coupon, or none
+   * @private
+   */
+  async _restore(coupon, options) {
+    if (coupon) {
+      await this.store.applyCoupon(coupon, options);
+    } else {
+      await this.store.removeCoupon(options);
+    }
+  }
+}
+
+/**
+ * Whether the server refused a code, as opposed to a timeout, abort or invalid response
+ * @private
+ */
+function isRefusal(error) {
+  return error instanceof ApiException &&
+    error.status >= 400 && error.status < 500 &&
+    !DEFAULT_RETRY_STATUSES.includes(error.status) &&
+    error.code !== 'ABORTED';
+}
+
+/**
+ * Orders results by discount (largest first), then total, refused codes last
+ * @private
+ */
+function compareResults(a, b) {
+  if (a.ok !== b.ok) {
+    return a.ok ? -1 : 1;
+  }
+  if (b.discount !== a.discount) {
+    return b.discount - a.discount;
+  }
+  return (a.total ?? Infinity) - (b.total ?? Infinity);
+}
@@ -0,0 +1,49 @@
+/**
+ * Pre-checkout guardrails for the store benchmark
+ *
+ * @module erc3-js/store/guard
+ */
+
+import type { CheckoutPreview } from './client.js';
+import type { Money } from './money.js';
+
+export interface CheckoutViolation {
+  /** Broken rule: 'maxTotal', 'budget', 'requiredSkus', 'requireCoupon', 'custom' or a custom name */
+  rule: string;
+  message: string;
+  [key: string]: unknown;
+}
+
+export interface CheckoutGuardContext {
+  taskId: string;
+  /** Total of earlier checkouts made by the same client */
+  spent: number;
+  /** Money helper of the client; amounts are compared in its unit (default: dollars) */
+  money?: Money;
+}
+
+export type CheckoutGuard = (
+  preview: CheckoutPreview,
+  context: CheckoutGuardContext
+) => CheckoutViolation[] | Promise<CheckoutViolation[]> | Array<CheckoutViolation | string> | string | null | undefined | false;
+
+export interface CheckoutGuardRules {
+  /** Maximum total of this order */
+  maxTotal?: number;
+  /** Maximum total of all orders of the task, this one included */
+  budget?: number;
+  /** SKUs that must be in the basket */
+  requiredSkus?: Array<string | { sku: string; quantity?: number }>;
+  /** true to require any coupon, or the code that must be applied */
+  requireCoupon?: boolean | string;
+  /** Extra rule */
+  check?: (
+    preview: CheckoutPreview,
+    context: CheckoutGuardContext
+  ) => CheckoutViolation | CheckoutViolation[] | null | undefined | false | Promise<CheckoutViolation | CheckoutViolation[] | null | undefined | false>;
+}
+
+export type CheckoutGuardOption = CheckoutGuard | CheckoutGuardRules;
+
+export function createCheckoutGuard(rules?: CheckoutGuardRules): (preview: CheckoutPreview, context?: CheckoutGuardContext) => Promise<CheckoutViolation[]>;
+export function toCheckoutGuard(option?: CheckoutGuardOption | null): CheckoutGuard | null;
@@ -0,0 +1,122 @@
+/**
+ * Pre-checkout guardrails for the store benchmark
+ *
+ * @module erc3-js/store/guard
+ */
+
+import { Money } from './money.js';
+
+/**
+ * Creates a checkout guard from declarative rules
+ *
+ * A guard is a function `(preview, context) => violations` called before
+ * every checkout with the basket preview and `{ taskId, spent, money }`,
+ * where `spent` is the total of earlier checkouts made by the same client
+ * and `money` its `Money` helper. It returns the list of broken rules (empty
+ * to allow the checkout), or a promise of that list. Amounts are compared
+ * in cents, so `maxTotal` and `budget` are exact.
+ *
+ * @param {Object} rules - Guard rules (all optional)
+ * @param {number} rules.maxTotal - Maximum total of this order
+ * @param {number} rules.budget - Maximum total of all orders of the task, this one included
+ * @param {Array<string|Object>} rules.requiredSkus - SKUs that must be in the basket, as
+ *   strings or `{ sku, quantity }` for a minimum quantity
+ * @param {boolean|string} rules.requireCoupon - true to require any coupon, or the code that must be applied
+ * @param {Function} rules.check - Extra rule: `(preview, context) => violation | violation[] | null`
+ * @returns {Function} Checkout guard
+ *
+ * @example
+ * ```javascript
+ * const guard = createCheckoutGuard({
+ *   budget: 3000,
+ *   requiredSkus: [{ sku: 'laptop-pro-16', quantity: 2 }],
+ *   requireCoupon: true,
+ *   check: preview => preview.items.length > 1 && { rule: 'singleLine', message: 'Buy a single product' }
+ * });
+ * const store = client.getStoreClient(task, { checkoutGuard: guard });
+ * ```
+ */
+export function createCheckoutGuard(rules = {}) {
+  const { maxTotal, budget, requiredSkus = [], requireCoupon, check } = rules;
+
+  return async function checkoutGuard(preview, context = {}) {
+    const violations = [];
+    const spent = context.spent || 0;
+    const money = context.money ?? new Money();
+
+    if (maxTotal !== undefined && money.toMinor(preview.total) > money.toMinor(maxTotal)) {
+      violations.push({
+        rule: 'maxTotal',
+        message: `Total ${preview.total} exceeds the maximum of ${maxTotal}`,
+        limit: maxTotal,
+        actual: preview.total,
+      });
+    }
+
+    const total = money.add(spent, preview.total);
+    if (budget !== undefined && money.toMinor(total) > money.toMinor(budget)) {
+      violations.push({
+        rule: 'budget',
+        message: spent > 0
+          ? `Total ${preview.total} plus ${spent} already spent exceeds the budget of ${budget}`
+          : `Total ${preview.total} exceeds the budget of ${budget}`,
+        limit: budget,
+        actual: total,
+      });
+    }
+
+    for (const required of requiredSkus) {
+      const { sku, quantity = 1 } = typeof required === 'string' ? { sku: required } : required;
+      const inBasket = preview.items
+        .filter(item => item.sku === sku)
+        .reduce((sum, item) => sum + item.quantity, 0);
+      if (inBasket < quantity) {
+        violations.push({
+          rule: 'requiredSkus',
+          message: `Basket has ${inBasket} of ${sku}, at least ${quantity} required`,
+          sku,
+          limit: quantity,
+          actual: inBasket,
+        });
+      }
+    }
+
+    if (requireCoupon && !preview.coupon) {
+      violations.push({
+        rule: 'requireCoupon',
+        message: typeof requireCoupon === 'string' ? `Coupon ${requireCoupon} must be applied` : 'A coupon must be applied',
+        limit: typeof requireCoupon === 'string' ? requireCoupon : true,
+        actual: null,
+      });
+    } else if (typeof requireCoupon === 'string' && preview.coupon !== requireCoupon) {
+      violations.push({
+        rule: 'requireCoupon',
+        message: `Coupon ${requireCoupon} must be applied, not ${preview.coupon}`,
+        limit: requireCoupon,
+        actual: preview.coupon,
+      });
+    }
+
+    if (check) {
+      const extra = await check(preview, context);
+      if (extra) {
+        violations.push(...[].concat(extra).filter(Boolean));
+      }
+    }
+
+    return violations;
+  };
+}
+
+/**
+ * Turns the `checkoutGuard` client option into a guard function
+ *
+ * @param {Function|Object|null} option - Guard function, guard rules or null
+ * @returns {Function|null} Guard function, or null when there is no guard
+ */
+export function toCheckoutGuard(option) {
+  if (!option) {
+    return null;
+  }
+  return typeof option === 'function' ? option : createCheckoutGuard(option);
+}
@@ -0,0 +1,14 @@
+/**
+ * ERC3 Store API - Entry Point
+ *
+ * @module erc3-js/store
+ */
+
+export * from './client.js';
+export * from './tools.js';
+export * from './catalog.js';
+export * from './coupons.js';
+export * from './planner.js';
+export * from './guard.js';
+export * from './simulator.js';
+export * from './money.js';
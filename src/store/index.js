@@ -5,3 +5,10 @@
  */
 
 export { StoreClient } from './client.js';
+export { STORE_TOOLS } from './tools.js';
+export { Catalog } from './catalog.js';
+export { CouponOptimizer } from './coupons.js';
+export { planBasket, diffBasket, normalizeItems } from './planner.js';
+export { createCheckoutGuard, toCheckoutGuard } from './guard.js';
+export { BasketSimulator } from './simulator.js';
+export { Money, MONEY_UNITS } from './money.js';
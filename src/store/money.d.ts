@@ -0,0 +1,45 @@
+/**
+ * Money handling for store amounts
+ *
+ * @module erc3-js/store/money
+ */
+
+import type { TotalsIssue } from '../common.js';
+
+export type MoneyUnit = 'dollars' | 'cents';
+
+export const MONEY_UNITS: MoneyUnit[];
+
+export interface MoneyOptions {
+  /** Unit of API amounts (default: 'dollars') */
+  unit?: MoneyUnit;
+  /** ISO 4217 currency code used by `format` (default: 'USD') */
+  currency?: string;
+  /** Locale used by `format` (default: 'en-US') */
+  locale?: string;
+}
+
+export class Money {
+  constructor(options?: MoneyOptions);
+  static from(option?: Money | MoneyOptions | MoneyUnit): Money;
+
+  unit: MoneyUnit;
+  currency: string;
+  locale: string;
+
+  toMinor(amount: number): number;
+  fromMinor(minor: number): number;
+  round(amount: number): number;
+  add(...amounts: number[]): number;
+  subtract(amount: number, other: number): number;
+  multiply(price: number, quantity: number): number;
+  sumLines(items?: Array<{ price: number; quantity: number }>): number;
+  equals(amount: number, other: number): boolean;
+  format(amount: number): string;
+  checkTotals(basket: {
+    items?: Array<{ price: number; quantity: number }>;
+    subtotal: number;
+    discount: number;
+    total: number;
+  }): TotalsIssue[];
+}
@@ -0,0 +1,219 @@
+/**
+ * Money handling for store amounts
+ *
+ * The store API returns prices and totals as numbers in dollars. Summing
+ * floats drifts (`0.1 + 0.2 !== 0.3`), so amounts are converted to integer
+ * minor units (cents) for arithmetic and comparison, then converted back.
+ *
+ * @module erc3-js/store/money
+ */
+
+/**
+ * Units an API amount can be expressed in
+ */
+export const MONEY_UNITS = ['dollars', 'cents'];
+
+/**
+ * Exact arithmetic, formatting and consistency checks for store amounts
+ *
+ * The unit is the one the API uses for its numbers: 'dollars' (the store
+ * API, `64.99`) or 'cents' (`6499`). Every method takes and returns amounts
+ * in that unit; only `toMinor` and `fromMinor` deal in cents.
+ *
+ * @example
+ * ```javascript
+ * import { Money } from 'erc3-js';
+ *
+ * const money = new Money(); // dollars, USD
+ *
+ * money.add(0.1, 0.2);                          // 0.3
+ * money.sumLines(basket.items);                 // exact subtotal of the lines
+ * money.format(basket.total);                   // '$116.98'
+ * money.checkTotals(basket);                    // [] when subtotal - discount === total
+ * ```
+ */
+export class Money {
+  /**
+   * Creates a money helper
+   *
+   * @param {Object} options - Money options
+   * @param {string} options.unit - Unit of API amounts: 'dollars' or 'cents' (default: 'dollars')
+   * @param {string} options.currency - ISO 4217 currency code used by `format` (default: 'USD')
+   * @param {string} options.locale - Locale used by `format` (default: 'en-US')
+   * @throws {Error} When the unit is unknown
+   */
+  constructor(options = {}) {
+    this.unit = options.unit || 'dollars';
+    this.currency = options.currency || 'USD';
+    this.locale = options.locale || 'en-US';
+
+    if (!MONEY_UNITS.includes(this.unit)) {
+      throw new Error(`Unknown money unit: ${this.unit}. Use ${MONEY_UNITS.join(', ')}.`);
+    }
+  }
+
+  /**
+   * Creates a money helper from the `money` client option
+   *
+   * @param {Money|Object|string|undefined} option - Money helper, its options or a unit name
+   * @returns {Money} Money helper
+   */
+  static from(option) {
+    if (option instanceof Money) {
+      return option;
+    }
+    if (typeof option === 'string') {
+      return new Money({ unit: option });
+    }
+    return new Money(option);
+  }
+
+  /**
+   * Converts an amount to integer cents
+   *
+   * @param {number} amount - Amount in the configured unit
+   * @returns {number} Amount in cents, rounded to the nearest cent
+   * @throws {Error} When the amount is not a finite number
+   */
+  toMinor(amount) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+      throw new Error(`Invalid amount: ${amount}`);
+    }
+    // toPrecision drops the float noise of values like 64.99 * 100 = 6498.999999999999
+    return Math.round(Number((this.unit === 'dollars' ? amount * 100 : amount).toPrecision(15)));
+  }
+
+  /**
+   * Converts integer cents to the configured unit
+   *
+   * @param {number} minor - Amount in cents
+   * @returns {number} Amount in the configured unit
+   */
+  fromMinor(minor) {
+    return this.unit === 'dollars' ? minor / 100 : minor;
+  }
+
+  /**
+   * Rounds an amount to the cent
+   *
+   * @param {number} amount - Amount in the configured unit
+   * @returns {number} Rounded amount
+   */
+  round(amount) {
+    return this.fromMinor(this.toMinor(amount));
+  }
+
+  /**
+   * Adds amounts exactly
+   *
+   * @param {...number} amounts - Amounts in the configured unit
+   * @returns {number} Sum
+   */
+  add(...amounts) {
+    return this.fromMinor(amounts.reduce((sum, amount) => sum + this.toMinor(amount), 0));
+  }
+
+  /**
+   * Subtracts an amount exactly
+   *
+   * @param {number} amount - Amount in the configured unit
+   * @param {number} other - Amount to subtract
+   * @returns {number} Difference
+   */
+  subtract(amount, other) {
+    return this.fromMinor(this.toMinor(amount) - this.toMinor(other));
+  }
+
+  /**
+   * Multiplies a unit price by a quantity exactly
+   *
+   * @param {number} price - Unit price in the configured unit
+   * @param {number} quantity - Integer quantity
+   * @returns {number} Line total
+   */
+  multiply(price, quantity) {
+    return this.fromMinor(this.toMinor(price) * quantity);
+  }
+
+  /**
+   * Sums basket lines exactly
+   *
+   * @param {Object[]} items - Lines with `price` and `quantity`
+   * @returns {number} Sum of `price * quantity`
+   */
+  sumLines(items = []) {
+    return this.fromMinor(items.reduce((sum, item) => sum + this.toMinor(item.price) * item.quantity, 0));
+  }
+
+  /**
+   * Checks whether two amounts are the same to the cent
+   *
+   * @param {number} amount - Amount in the configured unit
+   * @param {number} other - Amount in the configured unit
+   * @returns {boolean} True when both round to the same cent
+   */
+  equals(amount, other) {
+    return this.toMinor(amount) === this.toMinor(other);
+  }
+
+  /**
+   * Formats an amount as currency
+   *
+   * @param {number} amount - Amount in the configured unit
+   * @returns {string} Formatted amount (e.g. '$64.99')
+   */
+  format(amount) {
+    return new Intl.NumberFormat(this.locale, { style: 'currency', currency: this.currency })
+      .format(this.toMinor(amount) / 100);
+  }
+
+  /**
+   * Checks that a basket or checkout response adds up
+   *
+   * Verifies that the subtotal is the sum of the lines and that
+   * `subtotal - discount === total`, to the cent.
+   *
+   * @param {Object} basket - Basket as returned by `viewBasket` or `checkout`
+   * @returns {Object[]} Issues `{ field, expected, actual, message }` (empty when consistent)
+   *
+   * @example
+   * ```javascript
+   * money.checkTotals({ subtotal: 10, discount: 1, total: 9.5 });
+   * // [{ field: 'total', expected: 9, actual: 9.5,
+   * //    message: 'total is $9.50 but subtotal - discount is $9.00' }]
+   * ```
+   */
+  checkTotals(basket) {
+    const issues = [];
+    const amounts = ['subtotal', 'discount', 'total'];
+    if (amounts.some(field => typeof basket[field] !== 'number')) {
+      return issues;
+    }
+
+    const items = basket.items;
+    if (Array.isArray(items) && items.every(item => typeof item.price === 'number' && typeof item.quantity === 'number')) {
+      const expected = this.sumLines(items);
+      if (!this.equals(expected, basket.subtotal)) {
+        issues.push(this._issue('subtotal', expected, basket.subtotal, 'the sum of the lines'));
+      }
+    }
+
+    const expected = this.subtract(basket.subtotal, basket.discount);
+    if (!this.equals(expected, basket.total)) {
+      issues.push(this._issue('total', expected, basket.total, 'subtotal - discount'));
+    }
+    return issues;
+  }
+
+  /**
+   * @private
+   */
+  _issue(field, expected, actual, rule) {
+    return {
+      field,
+      expected,
+      actual,
+      message: `${field} is ${this.format(actual)} but ${rule} is ${this.format(expected)}`,
+    };
+  }
+}
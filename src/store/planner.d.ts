@@ -0,0 +1,50 @@
+/**
+ * Declarative basket planning for the store benchmark
+ *
+ * @module erc3-js/store/planner
+ */
+
+import type { Basket } from './client.js';
+
+export type BasketItems = Array<{ sku: string; quantity?: number }> | Record<string, number>;
+
+/**
+ * Target basket state for `setBasket` and `planBasket`
+ */
+export interface BasketTarget {
+  /** Wanted lines; SKUs not listed are removed */
+  items?: BasketItems;
+  /** Wanted coupon, null for none (omit to keep the current coupon) */
+  coupon?: string | null;
+}
+
+export type BasketOperation =
+  | { op: 'add' | 'remove'; sku: string; quantity: number }
+  | { op: 'applyCoupon'; coupon: string }
+  | { op: 'removeCoupon' };
+
+export interface OperationError {
+  status: number | undefined;
+  code: string | undefined;
+  message: string;
+}
+
+export type BasketOperationResult = BasketOperation & { ok: boolean; error: OperationError | null };
+
+export type BasketDifference =
+  | { sku: string; wanted: number; actual: number }
+  | { coupon: true; wanted: string | null; actual: string | null };
+
+export type UnsatisfiedLine = BasketDifference & { reason: OperationError | null };
+
+export interface SetBasketResult {
+  ok: boolean;
+  /** Basket viewed after the operations */
+  basket: Basket;
+  operations: BasketOperationResult[];
+  unsatisfied: UnsatisfiedLine[];
+}
+
+export function normalizeItems(items?: BasketItems): Map<string, number>;
+export function planBasket(basket: Pick<Basket, 'items' | 'coupon'>, target?: BasketTarget): BasketOperation[];
+export function diffBasket(basket: Pick<Basket, 'items' | 'coupon'>, target?: BasketTarget): BasketDifference[];
@@ -0,0 +1,113 @@
+/**
+ * Declarative basket planning for the store benchmark
+ *
+ * @module erc3-js/store/planner
+ */
+
+/**
+ * Normalizes target basket lines
+ *
+ * @param {Object[]|Object<string, number>} items - `[{ sku, quantity }]` or `{ [sku]: quantity }`
+ * @returns {Map<string, number>} Quantity per SKU (duplicate lines are summed)
+ * @throws {Error} When a line has no SKU or an invalid quantity
+ */
+export function normalizeItems(items = []) {
+  const entries = Array.isArray(items)
+    ? items.map(item => [item?.sku, item?.quantity ?? 1])
+    : Object.entries(items);
+
+  const target = new Map();
+  for (const [sku, quantity] of entries) {
+    if (typeof sku !== 'string' || sku === '') {
+      throw new Error('Every basket line needs a sku');
+    }
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw new Error(`Invalid quantity for ${sku}: ${quantity}. Use an integer >= 0.`);
+    }
+    target.set(sku, (target.get(sku) || 0) + quantity);
+  }
+  return target;
+}
+
+/**
+ * Computes the operations that turn a basket into a target state
+ *
+ * Only lines whose quantity differs produce an operation. Removals come
+ * first, then additions, then the coupon change, so coupon rules are
+ * checked against the final basket contents.
+ *
+ * @param {Object} basket - Current basket, as returned by `viewBasket`
+ * @param {Object} target - Target state
+ * @param {Object[]|Object<string, number>} target.items - Wanted lines; SKUs not listed are removed
+ * @param {string|null} target.coupon - Wanted coupon, null for none (omit to keep the current coupon)
+ * @returns {Object[]} Operations: `{ op: 'remove'|'add', sku, quantity }`, `{ op: 'applyCoupon', coupon }`
+ *   or `{ op: 'removeCoupon' }`
+ *
+ * @example
+ * ```javascript
+ * planBasket(
+ *   { items: [{ sku: 'a', quantity: 3 }, { sku: 'b', quantity: 1 }], coupon: null },
+ *   { items: { a: 1, c: 2 }, coupon: 'SAVE5' }
+ * );
+ * // [{ op: 'remove', sku: 'a', quantity: 2 }, { op: 'remove', sku: 'b', quantity: 1 },
+ * //  { op: 'add', sku: 'c', quantity: 2 }, { op: 'applyCoupon', coupon: 'SAVE5' }]
+ * ```
+ */
+export function planBasket(basket, { items, coupon } = {}) {
+  const target = normalizeItems(items);
+  const current = new Map();
+  for (const item of basket.items || []) {
+    current.set(item.sku, (current.get(item.sku) || 0) + item.quantity);
+  }
+
+  const removals = [];
+  const additions = [];
+  for (const [sku, quantity] of current) {
+    const wanted = target.get(sku) || 0;
+    if (wanted < quantity) {
+      removals.push({ op: 'remove', sku, quantity: quantity - wanted });
+    }
+  }
+  for (const [sku, wanted] of target) {
+    const quantity = current.get(sku) || 0;
+    if (wanted > quantity) {
+      additions.push({ op: 'add', sku, quantity: wanted - quantity });
+    }
+  }
+
+  const operations = [...removals, ...additions];
+  const currentCoupon = basket.coupon ?? null;
+  if (coupon !== undefined && coupon !== currentCoupon) {
+    operations.push(coupon === null ? { op: 'removeCoupon' } : { op: 'applyCoupon', coupon });
+  }
+  return operations;
+}
+
+/**
+ * Compares a basket with a target state
+ *
+ * @param {Object} basket - Basket, as returned by `viewBasket`
+ * @param {Object} target - Target state (see `planBasket`)
+ * @returns {Object[]} Unsatisfied lines: `{ sku, wanted, actual }`, or
+ *   `{ coupon: true, wanted, actual }` for the coupon
+ */
+export function diffBasket(basket, { items, coupon } = {}) {
+  const target = normalizeItems(items);
+  const actual = new Map();
+  for (const item of basket.items || []) {
+    actual.set(item.sku, (actual.get(item.sku) || 0) + item.quantity);
+  }
+
+  const unsatisfied = [];
+  for (const sku of new Set([...target.keys(), ...actual.keys()])) {
+    const wanted = target.get(sku) || 0;
+    const quantity = actual.get(sku) || 0;
+    if (wanted !== quantity) {
+      unsatisfied.push({ sku, wanted, actual: quantity });
+    }
+  }
+  if (coupon !== undefined && coupon !== (basket.coupon ?? null)) {
+    unsatisfied.push({ coupon: true, wanted: coupon, actual: basket.coupon ?? null });
+  }
+  return unsatisfied;
+}
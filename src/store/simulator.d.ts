@@ -0,0 +1,72 @@
+/**
+ * Offline basket pricing for the store benchmark
+ *
+ * @module erc3-js/store/simulator
+ */
+
+import type { Logger } from '../logger.js';
+import type { Basket, BasketItem, BasketCounts, Product } from './client.js';
+import type { Catalog } from './catalog.js';
+import type { BasketItems } from './planner.js';
+import type { Money } from './money.js';
+
+/**
+ * What the simulator has learned about a coupon
+ */
+export interface CouponModel {
+  code: string;
+  /** 'percent' (value in percent), 'fixed' (value in dollars), 'none' or 'unknown' */
+  type: 'percent' | 'fixed' | 'none' | 'unknown';
+  value: number | null;
+  /** Smallest subtotal the coupon applied to, when it gave nothing on smaller baskets */
+  appliesFrom: number | null;
+  /** Largest subtotal the coupon gave nothing on */
+  ignoredUpTo: number | null;
+  /** Number of baskets seen with the coupon */
+  observations: number;
+  confident: boolean;
+}
+
+/**
+ * Simulated basket; discount and total are null when the coupon effect is unknown
+ */
+export interface SimulatedBasket extends BasketCounts {
+  items: BasketItem[];
+  subtotal: number;
+  discount: number | null;
+  total: number | null;
+  coupon: string | null;
+  confident: boolean;
+}
+
+export interface SimulationMismatch {
+  field: 'price' | 'subtotal' | 'discount' | 'total';
+  /** Set for line prices */
+  sku?: string;
+  predicted: number | null;
+  actual: number;
+}
+
+export interface SimulationCheck {
+  ok: boolean;
+  predicted: SimulatedBasket;
+  mismatches: SimulationMismatch[];
+}
+
+export class BasketSimulator {
+  constructor(products?: Catalog | Product[], options?: { logger?: Logger; money?: Money });
+
+  prices: Map<string, number>;
+  names: Map<string, string>;
+  /** Discounts seen per coupon code */
+  coupons: Map<string, Array<{ subtotal: number; discount: number }>>;
+  /** Every mismatch found by `verify()` */
+  mismatches: SimulationMismatch[];
+  logger: Logger | null;
+  money: Money;
+
+  observe(basket: Basket): void;
+  couponModel(code: string): CouponModel;
+  simulate(basket?: { items?: BasketItems; coupon?: string | null }): SimulatedBasket;
+  verify(basket: Basket): SimulationCheck;
+}
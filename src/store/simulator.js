@@ -0,0 +1,277 @@
+/**
+ * Offline basket pricing for the store benchmark
+ *
+ * @module erc3-js/store/simulator
+ */
+
+import { normalizeItems } from './planner.js';
+import { Money } from './money.js';
+
+/**
+ * Prices hypothetical baskets locally
+ *
+ * Unit prices come from the catalog. Coupon effects are learned from
+ * baskets seen on the server (`viewBasket` and `checkout` responses): a
+ * coupon is modelled as a percentage of the subtotal or a fixed amount,
+ * and as conditional when it gave no discount on smaller baskets. Until a
+ * coupon has been seen on two different subtotals both models fit: a whole
+ * percentage is assumed when the discount is one, a fixed amount otherwise,
+ * and the prediction is marked as not confident.
+ *
+ * `verify()` compares a server basket with the prediction for the same
+ * lines and coupon, records the differences, then learns from the basket.
+ *
+ * @example
+ * ```javascript
+ * import { BasketSimulator } from 'erc3-js';
+ *
+ * const simulator = new BasketSimulator(await storeClient.getCatalog());
+ *
+ * await storeClient.addToBasket('dog-food-premium', 1);
+ * await storeClient.applyCoupon('DOGGY10');
+ * simulator.observe(await storeClient.viewBasket());
+ *
+ * // What would two bags cost with the same coupon?
+ * simulator.simulate({ items: { 'dog-food-premium': 2 }, coupon: 'DOGGY10' });
+ * // { subtotal: 129.98, discount: 13, total: 116.98, confident: false, ... }
+ * ```
+ */
+export class BasketSimulator {
+  /**
+   * Creates a simulator
+   *
+   * @param {Catalog|Object[]} products - Catalog or products as returned by `listProducts`
+   * @param {Object} options - Simulator options
+   * @param {Logger} options.logger - Logger; mismatches found by `verify()` are logged as errors
+   * @param {Money} options.money - Money helper for the unit of the amounts (default: dollars)
+   */
+  constructor(products = [], options = {}) {
+    this.prices = new Map();
+    this.names = new Map();
+    for (const product of Array.isArray(products) ? products : products.products) {
+      this.prices.set(product.sku, product.price);
+      this.names.set(product.sku, product.name);
+    }
+    this.coupons = new Map();
+    this.mismatches = [];
+    this.logger = options.logger || null;
+    this.money = options.money || new Money();
+  }
+
+  /**
+   * Learns prices and the coupon effect from a server basket
+   *
+   * @param {Object} basket - Basket as returned by `viewBasket` or `checkout`
+   */
+  observe(basket) {
+    for (const item of basket.items || []) {
+      if (typeof item.price === 'number') {
+        this.prices.set(item.sku, item.price);
+      }
+      if (item.name && !this.names.has(item.sku)) {
+        this.names.set(item.sku, item.name);
+      }
+    }
+    if (basket.coupon && basket.subtotal > 0 && typeof basket.discount === 'number') {
+      const observations = this.coupons.get(basket.coupon) || [];
+      observations.push({ subtotal: basket.subtotal, discount: basket.discount });
+      this.coupons.set(basket.coupon, observations);
+    }
+  }
+
+  /**
+   * Describes what has been learned about a coupon
+   *
+   * @param {string} code - Coupon code
+   * @returns {Object} Model `{ code, type, value, appliesFrom, ignoredUpTo, observations, confident }`:
+   *   `type` is 'percent' (value in percent), 'fixed' (value in dollars),
+   *   'none' (never gave a discount) or 'unknown' (not seen, or no model fits).
+   *   For a coupon that gave no discount on smaller baskets, `appliesFrom` is
+   *   the smallest subtotal it applied to and `ignoredUpTo` the largest it
+   *   did not apply to (both null otherwise).
+   */
+  couponModel(code) {
+    const observations = this.coupons.get(code) || [];
+    const effective = observations.filter(observation => observation.discount > 0);
+    const ignored = observations.filter(observation => observation.discount <= 0);
+    const model = {
+      code,
+      type: 'unknown',
+      value: null,
+      appliesFrom: null,
+      ignoredUpTo: null,
+      observations: observations.length,
+      confident: false,
+    };
+
+    if (effective.length === 0) {
+      return ignored.length ? { ...model, type: 'none', value: 0 } : model;
+    }
+
+    // A coupon that gave nothing on small baskets and a discount on large ones has a minimum subtotal
+    if (ignored.length) {
+      model.appliesFrom = Math.min(...effective.map(observation => observation.subtotal));
+      model.ignoredUpTo = Math.max(...ignored.map(observation => observation.subtotal));
+      if (model.ignoredUpTo >= model.appliesFrom) {
+        return { ...model, appliesFrom: null, ignoredUpTo: null };
+      }
+    }
+
+    const [first] = effective;
+    const rate = Math.round(first.discount / first.subtotal * 1000) / 10;
+    const amount = Math.max(...effective.map(observation => observation.discount));
+    const percentFits = effective.every(observation =>
+      this._near(this._percentDiscount(observation.subtotal, rate), observation.discount));
+    const fixedFits = effective.every(observation =>
+      this._near(Math.min(amount, observation.subtotal), observation.discount));
+
+    const confident = !(percentFits && fixedFits) && !ignored.length;
+    if (percentFits && (!fixedFits || Number.isInteger(rate))) {
+      return { ...model, type: 'percent', value: rate, confident };
+    }
+    if (fixedFits) {
+      return { ...model, type: 'fixed', value: amount, confident };
+    }
+    return model;
+  }
+
+  /**
+   * Prices a hypothetical basket
+   *
+   * @param {Object} basket - Hypothetical basket
+   * @param {Object[]|Object<string, number>} basket.items - `[{ sku, quantity }]` or `{ [sku]: quantity }`
+   * @param {string|null} basket.coupon - Coupon code (default: none)
+   * @returns {Object} Basket in the `viewBasket` shape (`items`, `subtotal`,
+   *   `discount`, `total`, `coupon`) plus `line_count`, `item_count` and
+   *   `confident`. `discount` and `total` are null when the coupon effect is
+   *   unknown.
+   * @throws {Error} When a SKU has no known price
+   *
+   * @example
+   * ```javascript
+   * const options = ['SAVE5', 'DOGGY10'].map(coupon =>
+   *   simulator.simulate({ items: [{ sku: 'dog-food-premium', quantity: 1 }], coupon }));
+   * ```
+   */
+  simulate({ items, coupon = null } = {}) {
+    const lines = [...normalizeItems(items)]
+      .filter(([, quantity]) => quantity > 0)
+      .map(([sku, quantity]) => {
+        if (!this.prices.has(sku)) {
+          throw new Error(`Unknown product: ${sku}. Load it into the simulator first.`);
+        }
+        return { sku, name: this.names.get(sku), quantity, price: this.prices.get(sku) };
+      });
+    return this._price(lines, coupon);
+  }
+
+  /**
+   * Compares a server basket with the simulated one, then learns from it
+   *
+   * The prediction uses the basket lines and coupon, with the simulator's
+   * prices and coupon models. Fields the simulator cannot predict (an
+   * unknown coupon) are not compared.
+   *
+   * @param {Object} basket - Basket as returned by `viewBasket` or `checkout`
+   * @returns {Object} `{ ok, predicted, mismatches }`, where each mismatch is
+   *   `{ field, predicted, actual }` (with `sku` for line prices)
+   *
+   * @example
+   * ```javascript
+   * const { ok, mismatches } = simulator.verify(await storeClient.viewBasket());
+   * if (!ok) {
+   *   console.log('Simulator is off:', mismatches);
+   * }
+   * ```
+   */
+  verify(basket) {
+    const mismatches = [];
+    const lines = (basket.items || []).map(item => {
+      const price = this.prices.get(item.sku);
+      if (price === undefined || !this._near(price, item.price)) {
+        mismatches.push({ field: 'price', sku: item.sku, predicted: price ?? null, actual: item.price });
+      }
+      return { ...item, price: price ?? item.price };
+    });
+
+    const predicted = this._price(lines, basket.coupon ?? null);
+    for (const field of ['subtotal', 'discount', 'total']) {
+      if (predicted[field] !== null && !this._near(predicted[field], basket[field])) {
+        mismatches.push({ field, predicted: predicted[field], actual: basket[field] });
+      }
+    }
+
+    if (mismatches.length) {
+      this.mismatches.push(...mismatches);
+      this.logger?.error('Basket simulation does not match the server', {
+        coupon: basket.coupon ?? null,
+        mismatches,
+      });
+    }
+    this.observe(basket);
+    return { ok: mismatches.length === 0, predicted, mismatches };
+  }
+
+  /**
+   * Computes totals for priced lines
+   * @private
+   */
+  _price(lines, coupon) {
+    const subtotal = this.money.sumLines(lines);
+    const model = coupon ? this.couponModel(coupon) : null;
+    let discount = 0;
+    let confident = true;
+
+    if (model) {
+      discount = this._couponDiscount(model, subtotal);
+      confident = model.confident && discount !== null;
+    }
+
+    return {
+      items: lines,
+      subtotal,
+      discount,
+      total: discount === null ? null : this.money.subtract(subtotal, discount),
+      coupon: coupon || null,
+      line_count: lines.length,
+      item_count: lines.reduce((sum, line) => sum + line.quantity, 0),
+      confident,
+    };
+  }
+
+  /**
+   * Discount of a coupon model on a subtotal, or null when it cannot be predicted
+   * @private
+   */
+  _couponDiscount(model, subtotal) {
+    if (model.type === 'none') {
+      return 0;
+    }
+    if (model.type === 'unknown' || subtotal <= 0) {
+      return model.type === 'unknown' ? null : 0;
+    }
+    if (model.appliesFrom !== null && subtotal < model.appliesFrom) {
+      // Between the two observed subtotals the threshold is unknown
+      return subtotal <= model.ignoredUpTo ? 0 : null;
+    }
+    return model.type === 'percent'
+      ? this._percentDiscount(subtotal, model.value)
+      : this.money.round(Math.min(model.value, subtotal));
+  }
+
+  /**
+   * @private
+   */
+  _percentDiscount(subtotal, rate) {
+    return this.money.round(Math.min(subtotal * rate / 100, subtotal));
+  }
+
+  /**
+   * Compares amounts, allowing one cent of rounding difference
+   * @private
+   */
+  _near(a, b) {
+    return typeof a === 'number' && typeof b === 'number' &&
+      Math.abs(this.money.toMinor(a) - this.money.toMinor(b)) <= 1;
+  }
+}
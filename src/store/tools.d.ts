@@ -0,0 +1,13 @@
+/**
+ * Store API tool definitions
+ *
+ * @module erc3-js/store/tools
+ */
+
+import type { Tool } from '../tools.js';
+import type { StoreClient } from './client.js';
+
+/**
+ * Tools accepted by `StoreClient.dispatch()`
+ */
+export const STORE_TOOLS: Tool<StoreClient>[];
@@ -0,0 +1,89 @@
+/**
+ * Store API tool definitions
+ *
+ * @module erc3-js/store/tools
+ */
+
+const sku = { type: 'string', description: 'Product SKU, as returned by products_list' };
+
+/**
+ * Tools accepted by `StoreClient.dispatch()`
+ *
+ * Each entry has the tool `path`, a `description` for the model, JSON
+ * Schema `parameters` and `call(client, request, options)`.
+ */
+export const STORE_TOOLS = [
+  {
+    path: '/products/list',
+    description: 'List products in the store catalog, one page at a time. Returns products (sku, name, price in dollars, available units) and next_offset, which is -1 on the last page. The server may return fewer products than the requested limit.',
+    parameters: {
+      type: 'object',
+      properties: {
+        offset: { type: 'integer', minimum: 0, description: 'Offset of the first product (default: 0)' },
+        limit: { type: 'integer', minimum: 1, description: 'Maximum number of products to return (default: 20)' },
+      },
+      additionalProperties: false,
+    },
+    call: (client, request, options) =>
+      client.listProducts({ offset: request.offset, limit: request.limit }, options),
+  },
+  {
+    path: '/basket/view',
+    description: 'View the basket: items, subtotal, discount, total (all in dollars) and the applied coupon.',
+    parameters: { type: 'object', properties: {}, additionalProperties: false },
+    call: (client, request, options) => client.viewBasket(options),
+  },
+  {
+    path: '/basket/add',
+    description: 'Add units of a product to the basket. Returns the number of basket lines and units.',
+    parameters: {
+      type: 'object',
+      properties: {
+        sku,
+        quantity: { type: 'integer', minimum: 1, description: 'Units to add (default: 1)' },
+      },
+      required: ['sku'],
+      additionalProperties: false,
+    },
+    call: (client, request, options) => client.addToBasket(request.sku, request.quantity, options),
+  },
+  {
+    path: '/basket/remove',
+    description: 'Remove units of a product from the basket. Returns the number of basket lines and units.',
+    parameters: {
+      type: 'object',
+      properties: {
+        sku,
+        quantity: { type: 'integer', minimum: 1, description: 'Units to remove (default: 1)' },
+      },
+      required: ['sku'],
+      additionalProperties: false,
+    },
+    call: (client, request, options) => client.removeFromBasket(request.sku, request.quantity, options),
+  },
+  {
+    path: '/basket/checkout',
+    description: 'Buy everything in the basket. This cannot be undone. Returns the final order and clears the basket.',
+    parameters: { type: 'object', properties: {}, additionalProperties: false },
+    call: (client, request, options) => client.checkout(options),
+  },
+  {
+    path: '/coupon/apply',
+    description: 'Apply a coupon code to the basket, replacing any applied coupon. View the basket to see the discount.',
+    parameters: {
+      type: 'object',
+      properties: {
+        coupon: { type: 'string', description: 'Coupon code' },
+      },
+      required: ['coupon'],
+      additionalProperties: false,
+    },
+    call: (client, request, options) => client.applyCoupon(request.coupon, options),
+  },
+  {
+    path: '/coupon/remove',
+    description: 'Remove the coupon applied to the basket.',
+    parameters: { type: 'object', properties: {}, additionalProperties: false },
+    call: (client, request, options) => client.removeCoupon(options),
+  },
+];
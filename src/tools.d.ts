@@ -0,0 +1,66 @@
+/**
+ * Tool definitions for LLM function calling
+ *
+ * @module erc3-js/tools
+ */
+
+import type { RequestOptions } from './common.js';
+import type { Schema } from './schema.js';
+
+export type ToolFormat = 'generic' | 'openai' | 'anthropic';
+
+/**
+ * JSON Schema of tool parameters
+ */
+export interface ToolParameters extends Schema {
+  type: 'object';
+  properties: Record<string, Schema>;
+}
+
+/**
+ * Entry of a tool table (`STORE_TOOLS`, `DEMO_TOOLS`)
+ */
+export interface Tool<C = unknown> {
+  path: string;
+  description: string;
+  parameters: ToolParameters;
+  call(client: C, request: ToolCall, options?: RequestOptions): Promise<unknown>;
+}
+
+/**
+ * Tool call with a path or function name and its arguments, as produced by a model
+ */
+export interface ToolCall {
+  tool: string;
+  [argument: string]: unknown;
+}
+
+export interface GenericToolDefinition {
+  name: string;
+  path: string;
+  description: string;
+  parameters: ToolParameters;
+}
+
+export interface OpenAIToolDefinition {
+  type: 'function';
+  function: { name: string; description: string; parameters: ToolParameters };
+}
+
+export interface AnthropicToolDefinition {
+  name: string;
+  description: string;
+  input_schema: ToolParameters;
+}
+
+export interface ToolDefinitions {
+  generic: GenericToolDefinition;
+  openai: OpenAIToolDefinition;
+  anthropic: AnthropicToolDefinition;
+}
+
+export const TOOL_FORMATS: ToolFormat[];
+export function toolName(path: string): string;
+export function findTool<T extends Tool<any>>(tools: T[], name: string): T | undefined;
+export function formatToolDefinitions<F extends ToolFormat = 'generic'>(tools: Tool<any>[], format?: F): ToolDefinitions[F][];
+export function validateToolCall<T extends Tool<any>>(tools: T[], request: unknown): T;
@@ -0,0 +1,142 @@
+/**
+ * Tool definitions for LLM function calling
+ *
+ * Benchmark clients describe their `dispatch()` tools in a table of
+ * definitions (path, description, JSON Schema parameters and the client
+ * method to call). The same table drives `dispatch()` and
+ * `getToolDefinitions()`, so the two cannot drift apart.
+ *
+ * @module erc3-js/tools
+ */
+
+import { ToolValidationError } from './common.js';
+import { validateSchema } from './schema.js';
+
+/**
+ * Supported tool definition formats
+ *
+ * - `generic`: `{ name, path, description, parameters }`
+ * - `openai`: OpenAI function calling (`{ type: 'function', function: {...} }`)
+ * - `anthropic`: Anthropic tool use (`{ name, description, input_schema }`)
+ */
+export const TOOL_FORMATS = ['generic', 'openai', 'anthropic'];
+
+/**
+ * Converts a tool path to a function name accepted by LLM APIs
+ *
+ * @param {string} path - Tool path (e.g. '/products/list')
+ * @returns {string} Function name (e.g. 'products_list')
+ */
+export function toolName(path) {
+  return path.replace(/^\/+/, '').replace(/[^a-zA-Z0-9_-]+/g, '_');
+}
+
+/**
+ * Finds a tool by path or function name
+ *
+ * @param {Object[]} tools - Tool table
+ * @param {string} name - Tool path ('/products/list') or function name ('products_list')
+ * @returns {Object|undefined} Tool definition
+ */
+export function findTool(tools, name) {
+  return tools.find(tool => tool.path === name || toolName(tool.path) === name);
+}
+
+/**
+ * Formats a tool table for an LLM API
+ *
+ * @param {Object[]} tools - Tool table
+ * @param {string} format - 'generic', 'openai' or 'anthropic' (default: 'generic')
+ * @returns {Object[]} Tool definitions
+ *
+ * @example
+ * ```javascript
+ * const tools = formatToolDefinitions(STORE_TOOLS, 'openai');
+ * // [{ type: 'function', function: { name: 'products_list', description, parameters } }, ...]
+ * ```
+ */
+export function formatToolDefinitions(tools, format = 'generic') {
+  return tools.map(tool => {
+    const name = toolName(tool.path);
+    const parameters = structuredClone(tool.parameters);
+    switch (format) {
+      case 'openai':
+        return { type: 'function', function: { name, description: tool.description, parameters } };
+      case 'anthropic':
+        return { name, description: tool.description, input_schema: parameters };
+      case 'generic':
+        return { name, path: tool.path, description: tool.description, parameters };
+      default:
+        throw new Error(`Unknown tool format: ${format}. Use ${TOOL_FORMATS.join(', ')}.`);
+    }
+  });
+}
+
+/**
+ * Resolves a tool call and validates its arguments
+ *
+ * @param {Object[]} tools - Tool table
+ * @param {Object} request - Tool call: `{ tool, ...arguments }`
+ * @returns {Object} Tool definition
+ * @throws {ToolValidationError} With code `UNKNOWN_TOOL` when no tool matches,
+ *   or `INVALID_ARGUMENTS` when arguments are missing or invalid
+ *
+ * @example
+ * ```javascript
+ * validateToolCall(STORE_TOOLS, { tool: 'basket_add', quantity: '2' });
+ * // ToolValidationError: Invalid arguments for tool basket_add:
+ * // - sku: is required
+ * // - quantity: expected integer, got string
+ * // Parameters: sku (string, required), quantity (integer)
+ * ```
+ */
+export function validateToolCall(tools, request) {
+  const validTools = tools.map(tool => toolName(tool.path));
+
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    throw new ToolValidationError(
+      `Tool call must be an object with a "tool" field. Valid tools: ${validTools.join(', ')}`,
+      { tool: undefined, code: 'UNKNOWN_TOOL', validTools }
+    );
+  }
+
+  const { tool: name, ...args } = request;
+  const tool = typeof name === 'string' ? findTool(tools, name) : undefined;
+  if (!tool) {
+    throw new ToolValidationError(
+      `Unknown tool ${JSON.stringify(name)}. Valid tools: ${validTools.join(', ')}`,
+      { tool: name, code: 'UNKNOWN_TOOL', validTools }
+    );
+  }
+
+  const issues = validateSchema(tool.parameters, args).map(issue => ({
+    field: issue.path.replace(/^\$\.?/, ''),
+    message: issue.message,
+  }));
+  if (issues.length > 0) {
+    const lines = issues.map(issue => `- ${issue.field}: ${issue.message}`);
+    throw new ToolValidationError(
+      `Invalid arguments for tool ${toolName(tool.path)}:\n${lines.join('\n')}\nParameters: ${describeParameters(tool.parameters)}`,
+      { tool: toolName(tool.path), code: 'INVALID_ARGUMENTS', issues, validTools }
+    );
+  }
+
+  return tool;
+}
+
+/**
+ * Summarizes a parameters schema as `name (type, required), ...`
+ * @private
+ */
+function describeParameters(parameters) {
+  const entries = Object.entries(parameters.properties || {});
+  if (entries.length === 0) {
+    return 'none';
+  }
+  return entries
+    .map(([key, schema]) => {
+      const required = parameters.required?.includes(key) ? ', required' : '';
+      return `${key} (${[].concat(schema.type).join(' or ')}${required})`;
+    })
+    .join(', ');
+}
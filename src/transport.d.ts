@@ -0,0 +1,50 @@
+/**
+ * ERC3 HTTP Transport
+ *
+ * @module erc3-js/transport
+ */
+
+import type { RequestOptions } from './common.js';
+import type { RetryOption, RetryPolicy } from './retry.js';
+import type { Logger, LoggerOption } from './logger.js';
+import type { ResponseValidator, ValidationOption } from './schema.js';
+
+export type FetchLike = (url: string, init: RequestInit) => Promise<Response>;
+
+export interface TransportOptions {
+  fetch?: FetchLike;
+  headers?: Record<string, string>;
+  requestId?: () => string;
+  retry?: RetryOption;
+  sleep?: (ms: number, signal?: AbortSignal) => Promise<void>;
+  timeoutMs?: number;
+  logger?: LoggerOption;
+  validation?: ValidationOption;
+}
+
+export interface TransportRequestOptions extends RequestOptions {
+  /** Endpoint path used for idempotency rules and logging */
+  endpoint?: string;
+}
+
+export interface TransportResponse<T = unknown> {
+  status: number;
+  body: T;
+  requestId: string;
+  attempts: number;
+  latencyMs: number;
+}
+
+export class Transport {
+  constructor(options?: TransportOptions);
+  fetch: FetchLike;
+  headers: Record<string, string>;
+  retry: RetryPolicy;
+  timeoutMs: number | undefined;
+  logger: Logger;
+  validator: ResponseValidator;
+  /** Delay function used between retries (and between `followTask` polls) */
+  sleep: (ms: number, signal?: AbortSignal) => Promise<void>;
+  send<T = any>(url: string, data?: object, options?: TransportRequestOptions): Promise<TransportResponse<T>>;
+  request<T = any>(url: string, data?: object, options?: TransportRequestOptions): Promise<T>;
+}
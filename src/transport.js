@@ -0,0 +1,305 @@
+/**
+ * ERC3 HTTP Transport
+ *
+ * Shared request layer used by the core ERC3 client and the benchmark
+ * clients (Store, Demo). It owns the `fetch` call, request IDs, the
+ * mapping of HTTP and API failures to `ApiException`, timeouts and
+ * cancellation, retries transient failures according to a `RetryPolicy`,
+ * optionally validates response bodies and emits structured log records.
+ *
+ * @module erc3-js/transport
+ */
+
+import { randomUUID } from 'node:crypto';
+import { ApiException } from './common.js';
+import { RetryPolicy, parseRetryAfter } from './retry.js';
+import { createLogger } from './logger.js';
+import { ResponseValidator } from './schema.js';
+
+/**
+ * HTTP transport for ERC3 endpoints
+ *
+ * All ERC3 endpoints are JSON-over-POST. A single transport instance can be
+ * shared by several clients; `ERC3.getStoreClient()` and
+ * `ERC3.getDemoClient()` pass their own transport down automatically.
+ *
+ * @example
+ * ```javascript
+ * import { ERC3, Transport } from 'erc3-js';
+ * import { fetch, Agent } from 'undici';
+ *
+ * const dispatcher = new Agent({ keepAliveTimeout: 30_000 });
+ * const transport = new Transport({
+ *   fetch: (url, init) => fetch(url, { ...init, dispatcher }),
+ * });
+ *
+ * const client = new ERC3({ transport });
+ * ```
+ */
+export class Transport {
+  /**
+   * Creates a transport instance
+   *
+   * @param {Object} options - Transport options
+   * @param {Function} options.fetch - Fetch implementation (defaults to global fetch)
+   * @param {Object} options.headers - Extra headers sent with every request
+   * @param {Function} options.requestId - Request ID generator (defaults to crypto.randomUUID)
+   * @param {RetryPolicy|Object|boolean} options.retry - Retry policy or its options (default: no retries)
+   * @param {Function} options.sleep - Delay function used between retries, called with (ms, signal)
+   * @param {number} options.timeoutMs - Default timeout per call in milliseconds, retries included (default: none)
+   * @param {Logger|Object|string} options.logger - Logger, pino-style logger or level name (default: silent)
+   * @param {ResponseValidator|Object|string} options.validation - Response validation: 'strict', 'warn', 'off' or validator options (default: 'off')
+   */
+  constructor(options = {}) {
+    this.fetch = options.fetch || globalThis.fetch;
+    this.headers = options.headers || {};
+    this.requestId = options.requestId || randomUUID;
+    this.retry = RetryPolicy.from(options.retry);
+    this.sleep = options.sleep || sleep;
+    this.timeoutMs = options.timeoutMs;
+    this.logger = createLogger(options.logger);
+    this.validator = ResponseValidator.from(options.validation, this.logger);
+
+    if (typeof this.fetch !== 'function') {
+      throw new Error('No fetch implementation available. Pass the fetch option or use Node.js >= 18.');
+    }
+  }
+
+  /**
+   * Sends a POST request and returns the response with metadata
+   *
+   * Failed attempts are retried according to the retry policy. All attempts
+   * share the same request ID. The timeout covers the whole call, retries
+   * and backoff delays included.
+   *
+   * @param {string} url - Absolute request URL
+   * @param {Object} data - JSON request body
+   * @param {Object} options - Request options
+   * @param {string} options.endpoint - Endpoint path used for idempotency rules
+   * @param {AbortSignal} options.signal - Signal that cancels the request
+   * @param {number} options.timeoutMs - Timeout in milliseconds (overrides the transport default)
+   * @returns {Promise<Object>} `{ status, body, requestId, attempts, latencyMs }`
+   * @throws {ApiException} On network failures, HTTP errors and API errors;
+   *   code `TIMEOUT` when the timeout elapses and `ABORTED` when the signal fires
+   * @throws {SchemaMismatchError} In strict validation mode, when the body does not match its schema
+   */
+  async send(url, data = {}, options = {}) {
+    const requestId = this.requestId();
+    const endpoint = options.endpoint || new URL(url).pathname;
+    const started = Date.now();
+    const timeoutMs = options.timeoutMs ?? this.timeoutMs;
+    const deadline = createDeadline(options.signal, timeoutMs);
+    let attempt = 1;
+
+    try {
+      for (; ; attempt++) {
+        if (deadline.signal.aborted) {
+          throw deadline.error(requestId);
+        }
+        try {
+          const { status, body } = await this._attempt(url, data, requestId, deadline.signal);
+          this.validator.check(endpoint, body, requestId);
+          const latencyMs = Date.now() - started;
+          this.logger.info(`POST ${endpoint}`, { endpoint, status, latencyMs, attempt, requestId });
+          if (body.raw !== undefined) {
+            this.logger.debug(`Non-JSON response for ${endpoint}`, { endpoint, body: body.raw.slice(0, 500), requestId });
+          }
+          return { status, body, requestId, attempts: attempt, latencyMs };
+        } catch (error) {
+          if (deadline.signal.aborted) {
+            throw deadline.error(requestId);
+          }
+          const delayMs = this.retry.nextDelay(error, { attempt, endpoint });
+          if (delayMs === null) {
+            throw error;
+          }
+          this.logger.debug(`Retrying POST ${endpoint}`, {
+            endpoint,
+            status: error.status,
+            code: error.code,
+            attempt,
+            delayMs,
+            requestId,
+          });
+          await this.sleep(delayMs, deadline.signal);
+        }
+      }
+    } catch (error) {
+      this.logger.error(`POST ${endpoint} failed`, {
+        endpoint,
+        status: error.status,
+        code: error.code,
+        latencyMs: Date.now() - started,
+        attempt,
+        requestId,
+      });
+      throw error;
+    } finally {
+      deadline.clear();
+    }
+  }
+
+  /**
+   * Sends a POST request and returns the parsed response body
+   *
+   * @param {string} url - Absolute request URL
+   * @param {Object} data - JSON request body
+   * @param {Object} options - Request options (see `send`)
+   * @returns {Promise<Object>} Parsed JSON body (`{ raw }` for non-JSON bodies)
+   * @throws {ApiException} On network failures, HTTP errors and API errors
+   */
+  async request(url, data = {}, options = {}) {
+    const { body } = await this.send(url, data, options);
+    return body;
+  }
+
+  /**
+   * Performs a single HTTP attempt
+   * @private
+   */
+  async _attempt(url, data, requestId, signal) {
+    let response;
+    let rawBody;
+
+    try {
+      response = await this.fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Request-Id': requestId,
+          ...this.headers,
+        },
+        body: JSON.stringify(data),
+        signal,
+      });
+      rawBody = await response.text();
+    } catch (error) {
+      if (error instanceof ApiException) {
+        throw error;
+      }
+      const exception = new ApiException(
+        `Request failed: ${error?.message || error}`,
+        500,
+        'REQUEST_FAILED',
+        error?.message,
+        requestId
+      );
+      exception.cause = error?.cause || error;
+      throw exception;
+    }
+
+    const parsed = parseJSON(rawBody);
+
+    if (!response.ok) {
+      const exception = new ApiException(
+        parsed?.error || parsed?.message || `HTTP ${response.status}`,
+        response.status,
+        parsed?.code || 'HTTP_ERROR',
+        rawBody || response.statusText,
+        requestId
+      );
+      exception.retryAfterMs = parseRetryAfter(response.headers?.get('retry-after'));
+      throw exception;
+    }
+
+    // Some endpoints report errors in the body with a 200 response
+    if (parsed && parsed.status && parsed.status >= 400) {
+      throw new ApiException(
+        parsed.error || 'API Error',
+        parsed.status,
+        parsed.code,
+        rawBody,
+        requestId
+      );
+    }
+
+    let body = parsed;
+    if (!parsed) {
+      body = rawBody ? { raw: rawBody } : {};
+    }
+
+    return { status: response.status, body };
+  }
+}
+
+/**
+ * Default delay between retries; resolves early when the signal fires
+ * @private
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+  });
+}
+
+/**
+ * Combines a caller signal and a timeout into a single abort signal
+ * @private
+ */
+function createDeadline(parentSignal, timeoutMs) {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
+
+  const onAbort = () => controller.abort(parentSignal.reason);
+  if (parentSignal?.aborted) {
+    controller.abort(parentSignal.reason);
+  } else {
+    parentSignal?.addEventListener('abort', onAbort, { once: true });
+  }
+
+  if (timeoutMs > 0 && !controller.signal.aborted) {
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  }
+
+  return {
+    signal: controller.signal,
+    error(requestId) {
+      if (timedOut) {
+        return new ApiException(
+          `Request timed out after ${timeoutMs}ms`,
+          408,
+          'TIMEOUT',
+          `timeout=${timeoutMs}ms`,
+          requestId
+        );
+      }
+      const reason = parentSignal?.reason;
+      return new ApiException(
+        'Request aborted',
+        499,
+        'ABORTED',
+        reason?.message || (reason === undefined ? undefined : String(reason)),
+        requestId
+      );
+    },
+    clear() {
+      clearTimeout(timer);
+      parentSignal?.removeEventListener('abort', onAbort);
+    },
+  };
+}
+
+/**
+ * Parses a response body, returning null for empty or non-JSON bodies
+ * @private
+ */
+function parseJSON(rawBody) {
+  if (!rawBody) {
+    return null;
+  }
+  try {
+    return JSON.parse(rawBody);
+  } catch {
+    return null;
+  }
+}
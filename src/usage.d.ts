@@ -0,0 +1,78 @@
+/**
+ * LLM usage tracking for `logLLM`
+ *
+ * @module erc3-js/usage
+ */
+
+import type { RequestOptions } from './common.js';
+import type { LLMUsage } from './client.js';
+import type { Logger } from './logger.js';
+import type { CostLedger } from './ledger.js';
+
+/**
+ * Usage fields sent to `logLLM`
+ */
+export interface NormalizedUsage {
+  prompt_tokens: number;
+  completion_tokens: number;
+  total_tokens: number;
+}
+
+export interface TrackUsageParams<R = unknown> {
+  /** Model identifier (default: `response.model`) */
+  model?: string;
+  /** Reads the usage from the response (default: `extractUsage`) */
+  usage?: (response: R) => LLMUsage | null;
+}
+
+export interface TrackedCall {
+  taskId: string;
+  model: string;
+  usage: NormalizedUsage;
+  durationSec: number;
+  /** False when sent by a tracker: the call is already in the ledger */
+  record?: boolean;
+}
+
+export interface UsageTotals extends NormalizedUsage {
+  calls: number;
+  durationSec: number;
+}
+
+export interface UsageTrackerOptions {
+  /** Queue calls until `flush()` (default: false) */
+  batch?: boolean;
+  /** Queued calls that trigger a flush in batch mode (default: 20) */
+  maxBatch?: number;
+  /** Logger for failed log requests (default: the client's) */
+  logger?: Logger;
+}
+
+/**
+ * Anything with a `logLLM` method, such as the ERC3 client
+ */
+export interface UsageSink {
+  logLLM(params: TrackedCall, options?: RequestOptions): Promise<unknown>;
+  transport?: { logger?: Logger };
+  /** Ledger whose budget is checked before each call, and that records each call */
+  ledger?: CostLedger | null;
+}
+
+export function normalizeUsage(usage?: LLMUsage): NormalizedUsage;
+export function extractUsage(response: unknown): NormalizedUsage | null;
+
+export class UsageTracker {
+  constructor(client: UsageSink, options?: UsageTrackerOptions);
+  client: UsageSink;
+  batch: boolean;
+  maxBatch: number;
+  logger: Logger | null;
+  /** Calls waiting to be logged */
+  pending: TrackedCall[];
+  /** Totals per task ID */
+  totals: Map<string, UsageTotals>;
+
+  track<R>(taskId: string, fn: () => R | Promise<R>, params?: TrackUsageParams<R>, options?: RequestOptions): Promise<R>;
+  record(taskId: string, call: { model: string; usage: LLMUsage; durationSec: number }, options?: RequestOptions): Promise<void>;
+  flush(options?: RequestOptions, throwOnError?: boolean): Promise<number>;
+}
@@ -0,0 +1,256 @@
+/**
+ * LLM usage tracking for `logLLM`
+ *
+ * @module erc3-js/usage
+ */
+
+import { DEFAULT_RETRY_STATUSES } from './retry.js';
+
+/**
+ * Normalizes token usage to the fields sent to `logLLM`
+ *
+ * Accepts OpenAI (`prompt_tokens`, `completion_tokens`), OpenAI Responses
+ * and Anthropic (`input_tokens`, `output_tokens`, with Anthropic cache
+ * tokens counted as input), Ollama (`prompt_eval_count`, `eval_count`) and
+ * Gemini (`promptTokenCount`, `candidatesTokenCount`) field names. A
+ * missing total is the sum of prompt and completion tokens.
+ *
+ * @param {Object} usage - Usage object in any supported shape
+ * @returns {Object} `{ prompt_tokens, completion_tokens, total_tokens }`
+ *
+ * @example
+ * ```javascript
+ * normalizeUsage({ input_tokens: 120, output_tokens: 30 });
+ * // { prompt_tokens: 120, completion_tokens: 30, total_tokens: 150 }
+ * ```
+ */
+export function normalizeUsage(usage = {}) {
+  const prompt = usage.prompt_tokens ??
+    (usage.input_tokens !== undefined
+      ? usage.input_tokens + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0)
+      : usage.prompt_eval_count ?? usage.promptTokenCount ?? 0);
+  const completion = usage.completion_tokens ?? usage.output_tokens ?? usage.eval_count ?? usage.candidatesTokenCount ?? 0;
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: usage.total_tokens || usage.totalTokenCount || prompt + completion,
+  };
+}
+
+/**
+ * Finds the token usage in a model response
+ *
+ * Looks at `usage` (OpenAI, Anthropic), `usageMetadata` (Gemini) and the
+ * top-level counters of Ollama responses.
+ *
+ * @param {Object} response - Model response
+ * @returns {Object|null} Normalized usage, or null when the response has none
+ */
+export function extractUsage(response) {
+  if (!response || typeof response !== 'object') {
+    return null;
+  }
+  const usage = response.usage ?? response.usageMetadata ??
+    (response.prompt_eval_count !== undefined || response.eval_count !== undefined ? response : null);
+  return usage && typeof usage === 'object' ? normalizeUsage(usage) : null;
+}
+
+/**
+ * Logs model calls with `logLLM`, measuring their duration
+ *
+ * `track()` runs a model call, reads the usage and model from its
+ * response and logs it for the task. Logging never fails the model call:
+ * a log request that fails stays queued, is reported to the logger and is
+ * sent again by the next log or `flush()`. Requests the server rejects for
+ * good (a 4xx other than 408, 425 or 429, such as an unknown task) are
+ * dropped instead. With `batch`, calls are queued
+ * and sent by `flush()` (or once `maxBatch` calls are waiting). Call
+ * `flush()` before the task completes, typically in a `finally` block.
+ *
+ * Calls that throw are not logged; their error is rethrown once the queue
+ * has been handled. With a client `ledger`, each call is recorded in it as
+ * soon as it is measured, whether or not its log request succeeds.
+ *
+ * @example
+ * ```javascript
+ * import { ERC3, UsageTracker } from 'erc3-js';
+ *
+ * const client = new ERC3();
+ * const tracker = new UsageTracker(client, { batch: true });
+ *
+ * try {
+ *   const completion = await tracker.track(taskId, () => openai.chat.completions.create({ model, messages }));
+ *   const message = await tracker.track(taskId, () => anthropic.messages.create({ model, messages, max_tokens: 1024 }));
+ * } finally {
+ *   await tracker.flush();
+ * }
+ * console.log(tracker.totals.get(taskId)); // { calls: 2, prompt_tokens, completion_tokens, total_tokens, durationSec }
+ * ```
+ */
+export class UsageTracker {
+  /**
+   * Creates a usage tracker
+   *
+   * @param {ERC3} client - ERC3 client used to log calls (or any object with `logLLM`)
+   * @param {Object} options - Tracker options
+   * @param {boolean} options.batch - Queue calls until `flush()` (default: false)
+   * @param {number} options.maxBatch - Queued calls that trigger a flush in batch mode (default: 20)
+   * @param {Logger} options.logger - Logger for failed log requests (default: the client's)
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.batch = options.batch ?? false;
+    this.maxBatch = options.maxBatch ?? 20;
+    this.logger = options.logger ?? client.transport?.logger ?? null;
+    this.pending = [];
+    this.totals = new Map();
+    this._flushing = null;
+  }
+
+  /**
+   * Runs a model call and logs its usage for a task
+   *
+   * @param {string} taskId - Task ID
+   * @param {Function} fn - Model call; receives nothing and returns the response (or a promise of it)
+   * @param {Object} params - Tracking options
+   * @param {string} params.model - Model identifier (default: `response.model`)
+   * @param {Function} params.usage - Reads the usage from the response (default: `extractUsage`)
+   * @param {Object} options - Request options ({ signal, timeoutMs }) for the log request
+   * @returns {Promise<*>} The response of `fn`
+   * @throws {BudgetExceededError} When the client's ledger budget is used up; `fn` is not called
+   * @throws {*} Whatever `fn` throws
+   */
+  async track(taskId, fn, params = {}, options = {}) {
+    this.client.ledger?.check(taskId);
+    const startedAt = Date.now();
+    let response;
+    try {
+      response = await fn();
+    } catch (error) {
+      // Earlier calls still waiting to be logged must not be lost with this one
+      if (this.pending.length) {
+        await this.flush(options, false);
+      }
+      throw error;
+    }
+    const durationSec = (Date.now() - startedAt) / 1000;
+
+    await this.record(taskId, {
+      model: params.model ?? response?.model ?? 'unknown',
+      usage: (params.usage ?? extractUsage)(response) ?? {},
+      durationSec,
+    }, options);
+    return response;
+  }
+
+  /**
+   * Logs a model call that was measured elsewhere
+   *
+   * @param {string} taskId - Task ID
+   * @param {Object} call - Model call
+   * @param {string} call.model - Model identifier
+   * @param {Object} call.usage - Token usage in any shape accepted by `normalizeUsage`
+   * @param {number} call.durationSec - Duration in seconds
+   * @param {Object} options - Request options ({ signal, timeoutMs }) for the log request
+   * @returns {Promise<void>}
+   */
+  async record(taskId, { model, usage, durationSec }, options = {}) {
+    const entry = { taskId, model, usage: normalizeUsage(usage), durationSec };
+    this._count(entry);
+    // Spent tokens count towards the budget even if the log request never succeeds
+    this.client.ledger?.record(taskId, { model, usage: entry.usage });
+    this.pending.push(entry);
+
+    if (!this.batch || this.pending.length >= this.maxBatch) {
+      await this.flush(options, false);
+    }
+  }
+
+  /**
+   * Sends the queued log requests
+   *
+   * Requests are sent in order; the ones that fail on a transient error
+   * (network, timeout, abort, 5xx, 429) stay queued.
+   *
+   * @param {Object} options - Request options ({ signal, timeoutMs })
+   * @param {boolean} throwOnError - Throw the first failure after trying every request (default: true)
+   * @returns {Promise<number>} Number of calls logged
+   * @throws {ApiException} When a log request fails and `throwOnError` is set
+   */
+  async flush(options = {}, throwOnError = true) {
+    // Concurrent flushes would send the same entries twice
+    while (this._flushing) {
+      await this._flushing;
+    }
+    this._flushing = this._send(options);
+    try {
+      const { sent, error } = await this._flushing;
+      if (error && throwOnError) {
+        throw error;
+      }
+      return sent;
+    } finally {
+      this._flushing = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _send(options) {
+    const entries = this.pending.splice(0);
+    const failed = [];
+    let sent = 0;
+    let error = null;
+    for (const entry of entries) {
+      try {
+        await this.client.logLLM({ ...entry, record: false }, options);
+        sent++;
+      } catch (err) {
+        error ??= err;
+        if (isTransient(err)) {
+          failed.push(entry);
+        } else {
+          this.logger?.error('LLM usage rejected by the server; call dropped', {
+            taskId: entry.taskId,
+            model: entry.model,
+            error: err.message,
+          });
+        }
+      }
+    }
+
+    if (failed.length) {
+      this.pending.unshift(...failed);
+      this.logger?.error('Failed to log LLM usage; calls stay queued', {
+        pending: this.pending.length,
+        error: error.message,
+      });
+    }
+    return { sent, error };
+  }
+
+  /**
+   * @private
+   */
+  _count({ taskId, usage, durationSec }) {
+    const totals = this.totals.get(taskId) ?? { calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, durationSec: 0 };
+    totals.calls++;
+    totals.prompt_tokens += usage.prompt_tokens;
+    totals.completion_tokens += usage.completion_tokens;
+    totals.total_tokens += usage.total_tokens;
+    totals.durationSec += durationSec;
+    this.totals.set(taskId, totals);
+  }
+}
+
+/**
+ * Whether a failed log request may succeed when sent again
+ * @private
+ */
+function isTransient(error) {
+  if (typeof error?.status !== 'number' || error.code === 'ABORTED') {
+    return true;
+  }
+  return error.retryable !== false && DEFAULT_RETRY_STATUSES.includes(error.status);
+}
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ERC3 } from '../src/client.js';
+import { Agent } from '../src/agent.js';
+import { MockServer } from '../src/mock/index.js';
+
+const BASE_URL = 'http://erc3.test';
+
+/**
+ * Starts a store session on a mock server and returns its first task
+ */
+async function storeTask(fetch = new MockServer().fetch) {
+  const client = new ERC3({ apiKey: 'test', baseUrl: BASE_URL, fetch });
+  const { session_id } = await client.startSession({ benchmark: 'store', workspace: 'test', name: 'Agent' });
+  const [task] = (await client.sessionStatus(session_id)).tasks;
+  return { client, task };
+}
+
+/**
+ * Model adapter replaying scripted replies; the last reply repeats
+ */
+function scripted(replies) {
+  const requests = [];
+  return {
+    name: 'scripted-model',
+    requests,
+    async complete(request) {
+      requests.push(request);
+      return replies[Math.min(requests.length - 1, replies.length - 1)];
+    },
+  };
+}
+
+const usage = { prompt_tokens: 10, completion_tokens: 5 };
+
+test('runs tool calls, feeds validation errors back and logs every turn', async () => {
+  const { client, task } = await storeTask();
+  const model = scripted([
+    { content: null, toolCalls: [{ id: 'c1', name: 'products_list', arguments: '{"limit":2}' }], usage },
+    { content: null, toolCalls: [{ id: 'c2', name: 'basket_add', arguments: { quantity: 1 } }], usage },
+    { content: 'Nothing to buy', toolCalls: [], usage },
+  ]);
+  const agent = new Agent(model, { system: 'Be brief.' });
+  const logged = [];
+
+  const result = await client.runTask(task, ctx => agent.run(ctx), { onLog: call => logged.push(call) });
+
+  assert.equal(result.error, null);
+  const { stopReason, output, steps, toolCalls, messages } = result.output;
+  assert.equal(stopReason, 'done');
+  assert.equal(output, 'Nothing to buy');
+  assert.equal(steps, 3);
+  assert.equal(toolCalls, 2);
+
+  assert.equal(model.requests[0].system, 'Be brief.');
+  assert.ok(model.requests[0].tools.some(tool => tool.name === 'basket_add'));
+  const [listed, rejected] = messages.filter(message => message.role === 'tool');
+  assert.equal(listed.isError, false);
+  assert.equal(listed.content.products.length, 2);
+  assert.equal(rejected.isError, true);
+  assert.equal(rejected.toolCallId, 'c2');
+  assert.ok(rejected.content.code);
+
+  assert.equal(logged.length, 3);
+  assert.equal(logged[0].model, 'scripted-model');
+  const view = await client.viewTask(task.task_id);
+  assert.equal(view.logs.filter(entry => entry.type === 'llm').length, 3);
+});
+
+test('stops after maxSteps and tolerates missing usage', async () => {
+  const { client, task } = await storeTask();
+  const model = scripted([{ content: 'Looking', toolCalls: [{ id: 'c', name: 'basket_view' }], usage: null }]);
+
+  const result = await client.runTask(task, ctx => new Agent(model, { maxSteps: 2 }).run(ctx));
+
+  assert.equal(result.error, null);
+  assert.equal(result.output.stopReason, 'max_steps');
+  assert.equal(result.output.steps, 2);
+  assert.deepEqual(result.output.usage, { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+});
+
+test('stops when the signal fires', async () => {
+  const { client, task } = await storeTask();
+  await client.startTask(task);
+  const controller = new AbortController();
+  const model = scripted([{ content: null, toolCalls: [{ id: 'c', name: 'basket_view' }], usage }]);
+  const agent = new Agent(model);
+  agent.on('toolCall', () => controller.abort());
+
+  const result = await agent.run({
+    taskId: task.task_id,
+    api: client.getStoreClient(task),
+    client,
+    taskText: 'Buy something',
+    signal: controller.signal,
+  });
+
+  assert.equal(result.stopReason, 'aborted');
+  assert.equal(result.steps, 1);
+  assert.equal(model.requests.length, 1);
+});
+
+test('a failed log request does not end the run', async () => {
+  const server = new MockServer();
+  const fetch = async (url, init) =>
+    (new URL(url).pathname === '/tasks/log' ? new Response('{"error":"down"}', { status: 503 }) : server.fetch(url, init));
+  const { client, task } = await storeTask(fetch);
+  await client.startTask(task);
+
+  const result = await new Agent(scripted([{ content: 'Done', toolCalls: [], usage }])).run({
+    taskId: task.task_id,
+    api: client.getStoreClient(task),
+    client,
+  });
+
+  assert.equal(result.stopReason, 'done');
+  assert.equal(client.usageTracker.pending.length, 1);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { Cassette, SCRUBBED_VALUE } from '../src/cassette.js';
+import { getApiKey } from '../src/client.js';
+import { Transport } from '../src/transport.js';
+import { MockServer } from '../src/mock/index.js';
+
+const BASE_URL = 'http://erc3.test';
+
+test('recording /get_key keeps the account key out of the cassette', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'erc3-cassette-'));
+  try {
+    const path = join(dir, 'get-key.json');
+    const cassette = new Cassette({ path, mode: 'record', fetch: new MockServer().fetch });
+
+    const result = await getApiKey('agent@example.com', BASE_URL, { transport: new Transport({ fetch: cassette.fetch }) });
+    assert.equal(result.account_key, 'mock-agent-example-com');
+
+    cassette.save();
+    const file = readFileSync(path, 'utf8');
+    assert.ok(!file.includes(result.account_key));
+    assert.deepEqual(JSON.parse(JSON.parse(file).interactions[0].response.body), { account_key: SCRUBBED_VALUE });
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('null-body responses are recorded and replayed', async () => {
+  const cassette = new Cassette({ mode: 'record', fetch: async () => new Response(null, { status: 204 }) });
+  const recorded = await cassette.fetch(`${BASE_URL}/tasks/log`, { method: 'POST', body: '{}' });
+  assert.equal(recorded.status, 204);
+
+  const replay = new Cassette({ interactions: cassette.interactions });
+  const replayed = await replay.fetch(`${BASE_URL}/tasks/log`, { method: 'POST', body: '{}' });
+  assert.equal(replayed.status, 204);
+  replay.assertDone();
+});
+
+test('replayed responses keep the recorded headers, minus sensitive ones', async () => {
+  const live = () => new Response('{"ok":true}', {
+    status: 200,
+    headers: { 'Content-Type': 'application/json', 'X-Request-Id': 'req-1', 'Set-Cookie': 'session=secret' },
+  });
+  const cassette = new Cassette({ mode: 'record', fetch: async () => live() });
+  await cassette.fetch(`${BASE_URL}/benchmarks/list`, { method: 'POST', body: '{}' });
+
+  const replayed = await new Cassette({ interactions: cassette.interactions })
+    .fetch(`${BASE_URL}/benchmarks/list`, { method: 'POST', body: '{}' });
+  assert.equal(replayed.headers.get('content-type'), 'application/json');
+  assert.equal(replayed.headers.get('x-request-id'), 'req-1');
+  assert.equal(replayed.headers.get('set-cookie'), null);
+  assert.ok(!JSON.stringify(cassette.interactions).includes('secret'));
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ERC3 } from '../src/client.js';
+import { MockServer } from '../src/mock/index.js';
+
+/**
+ * Starts the hidden_cheap_gpu task (7 products, 2 per page) on a mock server
+ *
+ * `rewrite` may change each product page before it is returned.
+ */
+async function gpuStore(rewrite = page => page) {
+  const server = new MockServer();
+  const offsets = [];
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const fetch = async (url, init) => {
+    if (!new URL(url).pathname.endsWith('/products/list')) {
+      return server.fetch(url, init);
+    }
+    offsets.push(JSON.parse(init.body).offset);
+    maxInFlight = Math.max(maxInFlight, ++inFlight);
+    try {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const page = await (await server.fetch(url, init)).json();
+      return Response.json(rewrite(page));
+    } finally {
+      inFlight--;
+    }
+  };
+
+  const client = new ERC3({ apiKey: 'test', baseUrl: 'http://erc3.test', fetch });
+  const { session_id } = await client.startSession({ benchmark: 'store', workspace: 'test', name: 'Catalog' });
+  const task = (await client.sessionStatus(session_id)).tasks.find(t => t.spec_id === 'hidden_cheap_gpu');
+  await client.startTask(task);
+  return { store: client.getStoreClient(task), offsets, maxInFlight: () => maxInFlight };
+}
+
+test('follows next_offset with the page size the server uses', async () => {
+  const { store, offsets, maxInFlight } = await gpuStore();
+
+  const products = await store.fetchAllProducts({ limit: 10 });
+
+  assert.equal(products.length, 7);
+  assert.equal(products.at(-1).sku, 'gpu-a380');
+  assert.deepEqual(offsets, [0, 2, 4, 6]);
+  assert.equal(maxInFlight(), 1);
+});
+
+test('fetches pages in parallel batches and keeps catalog order', async () => {
+  const { store, offsets, maxInFlight } = await gpuStore();
+
+  const products = await store.fetchAllProducts({ concurrency: 3 });
+
+  assert.deepEqual(products.map(p => p.sku), [
+    'gpu-a6000', 'gpu-4080', 'gpu-7900xtx', 'gpu-4070', 'gpu-a770', 'gpu-3060', 'gpu-a380',
+  ]);
+  assert.deepEqual(offsets, [0, 2, 4, 6]);
+  assert.equal(maxInFlight(), 3);
+});
+
+test('stops at maxPages and at repeated offsets', async () => {
+  const limited = await gpuStore();
+  assert.equal((await limited.store.fetchAllProducts({ maxPages: 2, concurrency: 4 })).length, 4);
+  assert.deepEqual(limited.offsets, [0, 2]);
+
+  const looping = await gpuStore(page => ({ ...page, next_offset: page.next_offset === 4 ? 0 : page.next_offset }));
+  const products = await looping.store.fetchAllProducts();
+  assert.equal(products.length, 4);
+  assert.deepEqual(looping.offsets, [0, 2]);
+});
+
+test('products repeated across pages are yielded once', async () => {
+  const { store } = await gpuStore(page => ({ ...page, products: [...page.products, { sku: 'gpu-a6000', name: 'dup', price: 1 }] }));
+
+  const products = await store.fetchAllProducts();
+
+  assert.equal(products.filter(p => p.sku === 'gpu-a6000').length, 1);
+  assert.equal(products.find(p => p.sku === 'gpu-a6000').name, 'NVIDIA RTX A6000');
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { ERC3 } from '../src/client.js';
+import { Checkpoint } from '../src/checkpoint.js';
+import { SessionRunner } from '../src/runner.js';
+import { MockServer } from '../src/mock/index.js';
+
+/**
+ * Creates a temporary directory removed after the test
+ */
+function tempDir(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'erc3-checkpoint-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('a crashed run is resumed from its checkpoint', async t => {
+  const dir = tempDir(t);
+  const server = new MockServer();
+  const starts = [];
+  const fetch = (url, init) => {
+    if (new URL(url).pathname === '/tasks/start') {
+      starts.push(JSON.parse(init.body).task_id);
+    }
+    return server.fetch(url, init);
+  };
+  const client = new ERC3({ apiKey: 'test', baseUrl: 'http://erc3.test', fetch });
+  const work = async ({ demo, logLLM }) => {
+    await logLLM({ model: 'm', usage: { prompt_tokens: 1 } });
+    return demo.getSecret();
+  };
+
+  // First run: the first task finishes, then the process dies during the second one
+  const controller = new AbortController();
+  const first = new SessionRunner(client, { checkpoint: dir });
+  const { sessionId, results } = await first.run({ benchmark: 'demo', workspace: 'test', name: 'Crash' }, async ctx => {
+    const output = await work(ctx);
+    controller.abort();
+    return output;
+  }, { signal: controller.signal });
+  const [, crashed, fresh] = (await client.sessionStatus(sessionId)).tasks;
+  await client.startTask(crashed);
+  first.checkpoint.markStarted(crashed);
+
+  const saved = Checkpoint.load(dir);
+  assert.equal(saved.sessionId, sessionId);
+  assert.deepEqual(saved.unfinished(), [crashed.task_id, fresh.task_id]);
+  assert.equal(saved.tasks[results[0].taskId].llmCalls, 1);
+
+  const worked = [];
+  const runner = new SessionRunner(client, { submit: true });
+  const report = await runner.resumeSession(dir, async ctx => {
+    worked.push(ctx.taskId);
+    return work(ctx);
+  });
+
+  assert.deepEqual(report.skipped.map(task => task.task_id), [results[0].taskId]);
+  assert.deepEqual(worked, [crashed.task_id, fresh.task_id]);
+  assert.deepEqual(starts, [results[0].taskId, crashed.task_id, fresh.task_id]);
+  assert.equal(report.submission.status, 'submitted');
+
+  const [file] = readdirSync(dir);
+  assert.equal(file, `${sessionId}.json`);
+  const data = JSON.parse(readFileSync(join(dir, file), 'utf8'));
+  assert.deepEqual(Object.values(data.tasks).map(task => task.state), ['completed', 'completed', 'completed']);
+  assert.deepEqual(Object.values(data.tasks).map(task => task.llmCalls), [1, 1, 1]);
+  assert.equal(data.submission.status, 'submitted');
+
+  // A submitted session is not submitted twice
+  const again = await new SessionRunner(client, { submit: true }).resumeSession(dir, work);
+  assert.equal(again.results.length, 0);
+  assert.equal(again.submission.status, 'submitted');
+});
+
+test('reconcile aligns task states with the server', () => {
+  const checkpoint = new Checkpoint({
+    data: {
+      sessionId: 'ssn-1',
+      tasks: {
+        a: { taskId: 'a', state: 'started', eval: { score: 0.5 }, llmCalls: 2 },
+        b: { taskId: 'b', state: 'completed', llmCalls: 0 },
+      },
+    },
+  });
+
+  const unfinished = checkpoint.reconcile([
+    { task_id: 'a', spec_id: 'one', status: 'completed', score: 1 },
+    { task_id: 'b', spec_id: 'two', status: 'new' },
+    { task_id: 'c', spec_id: 'three', status: 'running' },
+  ]);
+
+  assert.deepEqual(unfinished, ['b', 'c']);
+  assert.equal(checkpoint.tasks.a.score, 0.5);
+  assert.equal(checkpoint.tasks.a.llmCalls, 2);
+  assert.equal(checkpoint.tasks.b.state, 'pending');
+  assert.equal(checkpoint.tasks.c.state, 'started');
+  assert.equal(checkpoint.tasks.c.specId, 'three');
+  assert.throws(() => checkpoint.setSession('ssn-2'), /belongs to session ssn-1/);
+});
+
+test('a checkpoint file is written atomically and loaded back', t => {
+  const dir = tempDir(t);
+  const path = join(dir, 'run.json');
+
+  const checkpoint = new Checkpoint({ path });
+  checkpoint.setSession('ssn-1', 'store');
+  checkpoint.markStarted({ task_id: 'a', spec_id: 'one' });
+  checkpoint.markFinished({ taskId: 'a', error: { stage: 'start', message: 'down', code: 'X' } });
+
+  assert.deepEqual(readdirSync(dir), ['run.json']);
+  const loaded = new Checkpoint({ path });
+  assert.equal(loaded.benchmark, 'store');
+  assert.equal(loaded.tasks.a.state, 'failed');
+  assert.deepEqual(loaded.tasks.a.error, { stage: 'start', message: 'down', code: 'X' });
+
+  assert.throws(() => Checkpoint.load(join(dir, 'missing.json')), /Checkpoint not found/);
+  assert.throws(() => Checkpoint.load(tempDir(t)), /No checkpoint found/);
+});
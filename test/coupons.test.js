@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ERC3 } from '../src/client.js';
+import { ApiException } from '../src/common.js';
+import { MockServer } from '../src/mock/index.js';
+
+const BASE_URL = 'http://erc3.test';
+const CODES = ['SAVE5', 'BOGUS', 'DOGGY10', 'PETS15'];
+
+/**
+ * Store client on the pet store coupon task; `onApply(code)` may answer a coupon request itself
+ */
+async function petStore({ onApply = () => null } = {}) {
+  const server = new MockServer();
+  const fetch = async (url, init) =>
+    (new URL(url).pathname.endsWith('/coupon/apply') && onApply(JSON.parse(init.body).coupon)) ||
+      server.fetch(url, init);
+  const client = new ERC3({ apiKey: 'test', baseUrl: BASE_URL, fetch, retry: false });
+  const { session_id } = await client.startSession({ benchmark: 'store', workspace: 'test', name: 'Coupons' });
+  const task = (await client.sessionStatus(session_id)).tasks.find(info => info.spec_id === 'pet_store_best_coupon');
+  await client.startTask(task);
+  const store = client.getStoreClient(task);
+  await store.addToBasket('dog-food-premium', 1);
+  return store;
+}
+
+test('refused codes are ranked last and the best code is found', async () => {
+  const store = await petStore();
+
+  const { results, best, applied } = await store.optimizeCoupons(CODES);
+
+  assert.equal(best.code, 'PETS15');
+  assert.equal(applied, null);
+  const refused = results.at(-1);
+  assert.equal(refused.code, 'BOGUS');
+  assert.equal(refused.ok, false);
+  assert.ok(refused.error.status >= 400 && refused.error.status < 500);
+  assert.equal((await store.viewBasket()).coupon ?? null, null);
+});
+
+test('a server error ends the run and restores the original coupon', async () => {
+  const store = await petStore({
+    onApply: code => (code === 'DOGGY10' ? new Response('{"error":"boom"}', { status: 500 }) : null),
+  });
+  await store.applyCoupon('SAVE5');
+
+  await assert.rejects(store.optimizeCoupons(CODES), error => error instanceof ApiException && error.status === 500);
+  assert.equal((await store.viewBasket()).coupon, 'SAVE5');
+});
+
+test('an aborted run is not reported as refused codes', async () => {
+  const controller = new AbortController();
+  const store = await petStore({ onApply: code => (code === 'DOGGY10' ? controller.abort() : null) });
+
+  await assert.rejects(store.optimizeCoupons(CODES, {}, { signal: controller.signal }), { code: 'ABORTED' });
+  assert.equal((await store.viewBasket()).coupon ?? null, null);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ERC3 } from '../src/client.js';
+import { ToolValidationError } from '../src/common.js';
+import { MockServer } from '../src/mock/index.js';
+
+/**
+ * Starts the first task of a benchmark on a mock server that counts its requests
+ */
+async function startedTask(benchmark) {
+  const server = new MockServer();
+  const paths = [];
+  const fetch = async (url, init) => {
+    paths.push(new URL(url).pathname);
+    return server.fetch(url, init);
+  };
+  const client = new ERC3({ apiKey: 'test', baseUrl: 'http://erc3.test', fetch });
+  const { session_id } = await client.startSession({ benchmark, workspace: 'test', name: 'Dispatch' });
+  const [task] = (await client.sessionStatus(session_id)).tasks;
+  await client.startTask(task);
+  paths.length = 0;
+  return { client, task, paths };
+}
+
+test('invalid store arguments are rejected before any request is sent', async () => {
+  const { client, task, paths } = await startedTask('store');
+  const store = client.getStoreClient(task);
+
+  await assert.rejects(store.dispatch({ tool: 'basket_add', quantity: '2' }), error => {
+    assert.ok(error instanceof ToolValidationError);
+    assert.equal(error.status, 400);
+    assert.equal(error.code, 'INVALID_ARGUMENTS');
+    assert.equal(error.tool, 'basket_add');
+    assert.deepEqual(error.issues, [
+      { field: 'sku', message: 'is required' },
+      { field: 'quantity', message: 'expected integer, got string' },
+    ]);
+    assert.match(error.message, /^Invalid arguments for tool basket_add:\n- sku: is required\n/);
+    assert.match(error.message, /Parameters: sku \(string, required\)/);
+    return true;
+  });
+  assert.deepEqual(paths, []);
+
+  const added = await store.dispatch({ tool: '/basket/add', sku: 'gpu-h100', quantity: 1 });
+  assert.deepEqual(added, { line_count: 1, item_count: 1 });
+  assert.deepEqual(paths, [`/store/${task.task_id}/basket/add`]);
+});
+
+test('unknown tools list the valid tool names', async () => {
+  const { client, task, paths } = await startedTask('demo');
+  const demo = client.getDemoClient(task);
+
+  await assert.rejects(demo.dispatch({ tool: 'reveal' }), error => {
+    assert.equal(error.code, 'UNKNOWN_TOOL');
+    assert.deepEqual(error.validTools, ['secret', 'answer']);
+    assert.equal(error.message, 'Unknown tool "reveal". Valid tools: secret, answer');
+    assert.deepEqual(JSON.parse(error.detail), { tool: 'reveal', issues: [], valid_tools: ['secret', 'answer'] });
+    return true;
+  });
+  await assert.rejects(demo.dispatch(null), { code: 'UNKNOWN_TOOL' });
+  await assert.rejects(demo.dispatch({ tool: 'answer' }), { code: 'INVALID_ARGUMENTS' });
+  await assert.rejects(demo.dispatch({ tool: 'secret', reveal: true }), {
+    issues: [{ field: 'reveal', message: 'is not allowed' }],
+  });
+  assert.deepEqual(paths, []);
+
+  const { value } = await demo.dispatch({ tool: 'secret' });
+  assert.deepEqual(await demo.dispatch({ tool: '/answer', answer: value }), {});
+  assert.equal(paths.length, 2);
+});
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ERC3 } from '../src/client.js';
+
+test('followTask yields identical entries at the boundary time once each', async () => {
+  const polls = [
+    { status: 'running', logs: [{ time: 1, type: 'info', text: 'start' }, { time: 5, type: 'info', text: 'retrying' }] },
+    { status: 'running', logs: [{ time: 5, type: 'info', text: 'retrying' }, { time: 5, type: 'info', text: 'retrying' }] },
+    { status: 'completed', logs: [{ time: 5, type: 'info', text: 'retrying' }, { time: 5, type: 'info', text: 'retrying' }] },
+  ];
+  const client = new ERC3({ apiKey: 'test' });
+  client.viewTask = async () => polls.shift();
+  client.transport.sleep = async () => {};
+
+  const texts = [];
+  for await (const entry of client.followTask('task-1')) {
+    texts.push(`${entry.time} ${entry.text}`);
+  }
+  assert.deepEqual(texts, ['1 start', '5 retrying', '5 retrying']);
+});
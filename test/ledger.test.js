@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ERC3 } from '../src/client.js';
+import { BudgetExceededError } from '../src/common.js';
+import { CostLedger } from '../src/ledger.js';
+import { UsageTracker } from '../src/usage.js';
+import { MockServer } from '../src/mock/index.js';
+
+const BASE_URL = 'http://erc3.test';
+
+test('calls without a string model are recorded as unpriced', () => {
+  const ledger = new CostLedger({ prices: { 'gpt-4o': { prompt: 2.5, completion: 10 } } });
+
+  for (const model of [undefined, null, 42]) {
+    assert.equal(ledger.price(model), null);
+    ledger.record('task-1', { model, usage: { prompt_tokens: 10, completion_tokens: 5 } });
+  }
+
+  assert.deepEqual(ledger.summary('task-1'), {
+    calls: 3,
+    prompt_tokens: 30,
+    completion_tokens: 15,
+    total_tokens: 45,
+    cost: 0,
+    unpricedCalls: 3,
+  });
+});
+
+test('calls whose log request fails still count towards the budget', async () => {
+  const server = new MockServer();
+  const fetch = async (url, init) =>
+    (new URL(url).pathname === '/tasks/log' ? new Response('{"error":"down"}', { status: 503 }) : server.fetch(url, init));
+  const client = new ERC3({ apiKey: 'test', baseUrl: BASE_URL, fetch, ledger: { budget: { taskTokens: 100 } } });
+
+  const response = await client.trackUsage('task-1', () => ({ model: 'gpt-4o', usage: { prompt_tokens: 80, completion_tokens: 40 } }));
+  assert.equal(response.model, 'gpt-4o');
+  assert.equal(client.usageTracker.pending.length, 1);
+
+  assert.throws(() => client.ledger.check('task-1'), BudgetExceededError);
+  await assert.rejects(client.trackUsage('task-1', () => assert.fail('model called over budget')), BudgetExceededError);
+});
+
+test('calls the server rejects and queued calls stay in the ledger', async () => {
+  const client = new ERC3({ apiKey: 'test', baseUrl: BASE_URL, fetch: new MockServer().fetch, ledger: {} });
+  const batched = new UsageTracker(client, { batch: true });
+
+  // Unknown task: the log request fails with a 4xx and the call is dropped from the queue
+  await client.trackUsage('unknown-task', () => ({ model: 'gpt-4o', usage: { prompt_tokens: 10, completion_tokens: 5 } }));
+  assert.equal(client.usageTracker.pending.length, 0);
+  await batched.record('unknown-task', { model: 'gpt-4o', usage: { prompt_tokens: 1, completion_tokens: 1 }, durationSec: 0 });
+  assert.equal(batched.pending.length, 1);
+
+  assert.equal(client.ledger.summary('unknown-task').calls, 2);
+  assert.equal(client.ledger.summary('unknown-task').total_tokens, 17);
+});
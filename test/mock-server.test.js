@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MockServer, startMockServer } from '../src/mock/index.js';
+
+/**
+ * POSTs a raw body to a listening mock server
+ */
+async function post(server, path, body) {
+  const response = await fetch(`${server.url}${path}`, { method: 'POST', body });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Starts a session on an in-process mock server and returns its tasks
+ */
+function session(server, benchmark) {
+  const { body } = server.handle('/sessions/start', { account_key: 'key', benchmark, workspace: 'test' });
+  return { sessionId: body.session_id, tasks: server.handle('/sessions/status', { session_id: body.session_id }).body.tasks };
+}
+
+test('core endpoints run a session from start to submit', () => {
+  const server = new MockServer();
+  assert.equal(server.handle('/get_key', { email: 'a@b.c' }).body.account_key, 'mock-a-b-c');
+  assert.deepEqual(server.handle('/benchmarks/list').body.benchmarks.map(b => b.id), ['store', 'demo']);
+  assert.equal(server.handle('/benchmarks/view', { benchmark: 'demo' }).body.routes[0].path, '/demo/{task_id}/secret');
+
+  const { sessionId, tasks } = session(server, 'demo');
+  assert.equal(tasks.length, 3);
+  assert.deepEqual(tasks.map(task => task.status), ['new', 'new', 'new']);
+  assert.deepEqual(server.handle('/sessions/search', { account_key: 'key', benchmark: 'demo' }).body.sessions.map(s => s.session_id), [sessionId]);
+  assert.deepEqual(server.handle('/sessions/search', { account_key: 'other' }).body.sessions, []);
+
+  const [task] = tasks;
+  assert.equal(server.handle('/tasks/start', { task_id: task.task_id }).body.status, 'running');
+  assert.equal(server.handle('/tasks/start', { task_id: task.task_id }).body.code, 'TASK_ALREADY_STARTED');
+  const { value } = server.handle(`/demo/${task.task_id}/secret`).body;
+  server.handle(`/demo/${task.task_id}/answer`, { answer: value });
+  server.handle('/tasks/log', { task_id: task.task_id, model: 'm', usage: { prompt_tokens: 3 } });
+  assert.equal(server.handle('/tasks/complete', { task_id: task.task_id }).body.eval.score, 1);
+  assert.equal(server.handle('/tasks/complete', { task_id: task.task_id }).body.code, 'TASK_COMPLETED');
+
+  const view = server.handle('/tasks/view', { task_id: task.task_id }).body;
+  assert.equal(view.status, 'completed');
+  assert.deepEqual(view.logs.map(entry => entry.type), ['system', 'api', 'api', 'llm', 'system']);
+
+  const submitted = server.handle('/sessions/submit', { session_id: sessionId }).body;
+  assert.deepEqual([submitted.status, submitted.completed, submitted.task_count], ['submitted', 1, 3]);
+  assert.equal(server.handle('/sessions/submit', { session_id: sessionId }).body.code, 'SESSION_SUBMITTED');
+});
+
+test('store endpoints page the catalog and enforce inventory', () => {
+  const server = new MockServer();
+  const [task] = session(server, 'store').tasks;
+  const store = (endpoint, data) => server.handle(`/store/${task.task_id}${endpoint}`, data);
+
+  assert.deepEqual(store('/products/list').body, { error: `Task ${task.task_id} has not been started`, code: 'TASK_NOT_STARTED' });
+  server.handle('/tasks/start', { task_id: task.task_id });
+
+  const first = store('/products/list', { limit: 10 }).body;
+  assert.equal(first.products.length, 3);
+  assert.equal(first.next_offset, 3);
+  const last = store('/products/list', { offset: first.next_offset, limit: 10 }).body;
+  assert.deepEqual(last.products.map(p => p.sku), ['gpu-4090']);
+  assert.equal(last.next_offset, -1);
+
+  assert.deepEqual(store('/basket/add', { sku: 'gpu-h100', quantity: 2 }).body, { line_count: 1, item_count: 2 });
+  assert.deepEqual(store('/basket/add', { sku: 'gpu-h100', quantity: 1 }), {
+    status: 409,
+    body: { error: 'Only 2 units of gpu-h100 available (2 already in basket)', code: 'INSUFFICIENT_INVENTORY' },
+  });
+  assert.equal(store('/basket/add', { sku: 'gpu-h100', quantity: 0 }).body.code, 'INVALID_QUANTITY');
+  assert.equal(store('/basket/add', { sku: 'nope', quantity: 1 }).body.code, 'PRODUCT_NOT_FOUND');
+  assert.equal(store('/basket/remove', { sku: 'gpu-a100', quantity: 1 }).body.code, 'NOT_IN_BASKET');
+  assert.equal(store('/coupon/apply', { coupon: 'FREE' }).body.code, 'COUPON_NOT_FOUND');
+
+  const order = store('/basket/checkout').body;
+  assert.deepEqual([order.subtotal, order.total], [50000, 50000]);
+  assert.deepEqual(store('/basket/view').body.items, []);
+  assert.equal(store('/products/list').body.products[0].available, 0);
+  assert.equal(store('/basket/checkout').body.code, 'BASKET_EMPTY');
+});
+
+test('requests are rejected with the matching error codes', async () => {
+  const server = new MockServer({ accountKeys: ['key'] });
+  assert.equal(server.handle('/sessions/start', { account_key: 'other', benchmark: 'store' }).body.code, 'UNAUTHORIZED');
+  assert.equal(server.handle('/sessions/start', { account_key: 'key', benchmark: 'chess' }).body.code, 'BENCHMARK_NOT_FOUND');
+  assert.equal(server.handle('/sessions/status', { session_id: 'ssn-9999' }).body.code, 'SESSION_NOT_FOUND');
+  assert.equal(server.handle('/tasks/view', { task_id: 'tsk-9999' }).body.code, 'TASK_NOT_FOUND');
+  assert.equal(server.handle('/nope').body.code, 'NOT_FOUND');
+
+  const [task] = session(server, 'store').tasks;
+  server.handle('/tasks/start', { task_id: task.task_id });
+  assert.equal(server.handle(`/demo/${task.task_id}/secret`).body.code, 'WRONG_BENCHMARK');
+  assert.equal(server.handle(`/store/${task.task_id}/nope`).body.code, 'NOT_FOUND');
+  assert.equal(server.handle('/tasks/log', { task_id: task.task_id }).body.code, 'INVALID_REQUEST');
+
+  const response = await server.fetch('http://mock/benchmarks/list', { method: 'GET' });
+  assert.equal(response.status, 405);
+  assert.equal((await response.json()).code, 'METHOD_NOT_ALLOWED');
+});
+
+test('HTTP requests that fail answer with the API error envelope', async () => {
+  const server = await startMockServer();
+  try {
+    assert.deepEqual(await post(server, '/benchmarks/list', '{not json'), {
+      status: 400,
+      body: { error: 'Request body is not valid JSON', code: 'INVALID_JSON' },
+    });
+
+    const { fetch } = server;
+    server.fetch = async () => {
+      throw new TypeError('handler bug');
+    };
+    assert.deepEqual(await post(server, '/benchmarks/list', '{}'), {
+      status: 500,
+      body: { error: 'handler bug', code: 'INTERNAL_ERROR' },
+    });
+
+    server.fetch = fetch;
+    const { status, body } = await post(server, '/benchmarks/list', '{}');
+    assert.equal(status, 200);
+    assert.ok(body.benchmarks.length > 0);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Transport } from '../src/transport.js';
+import { RetryPolicy, parseRetryAfter } from '../src/retry.js';
+import { MockServer } from '../src/mock/index.js';
+
+const BASE_URL = 'http://erc3.test';
+
+/**
+ * Transport on a mock server whose first answers are replaced by `failures`
+ *
+ * A failure is a Response factory, or an Error thrown as a network failure.
+ */
+function flakyTransport(failures, retry) {
+  const server = new MockServer();
+  const requests = [];
+  const delays = [];
+  const transport = new Transport({
+    retry,
+    fetch: async (url, init) => {
+      requests.push({ path: new URL(url).pathname, requestId: init.headers['X-Request-Id'] });
+      const failure = failures.shift();
+      if (failure instanceof Error) {
+        throw failure;
+      }
+      return failure ? failure() : server.fetch(url, init);
+    },
+    sleep: async ms => {
+      delays.push(ms);
+    },
+  });
+  return { transport, requests, delays };
+}
+
+const unavailable = (headers = {}) => () => new Response('{"error":"busy"}', { status: 503, headers });
+const tooMany = () => new Response('{"error":"slow down"}', { status: 429 });
+
+test('idempotent requests are retried with exponential backoff and one request ID', async () => {
+  const { transport, requests, delays } = flakyTransport(
+    [unavailable(), unavailable()],
+    { maxAttempts: 3, baseDelayMs: 100, jitter: 'none' }
+  );
+
+  const { body, attempts } = await transport.send(`${BASE_URL}/benchmarks/list`, {});
+
+  assert.ok(body.benchmarks.length > 0);
+  assert.equal(attempts, 3);
+  assert.deepEqual(delays, [100, 200]);
+  assert.equal(new Set(requests.map(request => request.requestId)).size, 1);
+});
+
+test('the last error is thrown once maxAttempts is reached', async () => {
+  const { transport, requests } = flakyTransport(
+    [unavailable(), unavailable(), unavailable()],
+    { maxAttempts: 2, baseDelayMs: 1 }
+  );
+
+  await assert.rejects(transport.send(`${BASE_URL}/benchmarks/list`, {}), { status: 503 });
+  assert.equal(requests.length, 2);
+});
+
+test('non-idempotent requests are only retried on 429 or when nothing was sent', async () => {
+  const retry = { maxAttempts: 3, baseDelayMs: 1 };
+
+  const failed = flakyTransport([unavailable()], retry);
+  await assert.rejects(failed.transport.send(`${BASE_URL}/tasks/start`, {}), { status: 503 });
+  assert.equal(failed.requests.length, 1);
+
+  const reset = flakyTransport([Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } })], retry);
+  await assert.rejects(reset.transport.send(`${BASE_URL}/tasks/start`, {}), { code: 'REQUEST_FAILED' });
+  assert.equal(reset.requests.length, 1);
+
+  const refused = flakyTransport([Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } })], retry);
+  await assert.rejects(refused.transport.send(`${BASE_URL}/tasks/start`, {}), { code: 'TASK_NOT_FOUND' });
+  assert.equal(refused.requests.length, 2);
+
+  const limited = flakyTransport([tooMany], retry);
+  await assert.rejects(limited.transport.send(`${BASE_URL}/tasks/start`, {}), { code: 'TASK_NOT_FOUND' });
+  assert.equal(limited.requests.length, 2);
+});
+
+test('Retry-After sets the minimum delay, and too long a wait is not retried', async () => {
+  const short = flakyTransport([unavailable({ 'Retry-After': '2' })], { baseDelayMs: 100, jitter: 'none' });
+  await short.transport.send(`${BASE_URL}/benchmarks/list`, {});
+  assert.deepEqual(short.delays, [2000]);
+
+  const long = flakyTransport([unavailable({ 'Retry-After': '120' })], { baseDelayMs: 100 });
+  await assert.rejects(long.transport.send(`${BASE_URL}/benchmarks/list`, {}), { status: 503 });
+  assert.deepEqual(long.delays, []);
+});
+
+test('backoff is capped and jittered', () => {
+  const full = new RetryPolicy({ baseDelayMs: 100, maxDelayMs: 300, random: () => 0.5 });
+  assert.deepEqual([1, 2, 3, 4].map(attempt => full.backoff(attempt)), [50, 100, 150, 150]);
+
+  const equal = new RetryPolicy({ baseDelayMs: 100, jitter: 'equal', random: () => 0 });
+  assert.equal(equal.backoff(2), 100);
+
+  assert.equal(RetryPolicy.from(false).maxAttempts, 1);
+  assert.equal(parseRetryAfter('1.5'), 1500);
+  assert.equal(parseRetryAfter(new Date(10000).toUTCString(), 4000), 6000);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ERC3 } from '../src/client.js';
+import { MockServer } from '../src/mock/index.js';
+
+const BASE_URL = 'http://erc3.test';
+
+/**
+ * Client on a mock server counting the requests per endpoint
+ */
+async function demoSession() {
+  const server = new MockServer();
+  const calls = {};
+  const fetch = (url, init) => {
+    const { pathname } = new URL(url);
+    calls[pathname] = (calls[pathname] || 0) + 1;
+    return server.fetch(url, init);
+  };
+  const client = new ERC3({ apiKey: 'test', baseUrl: BASE_URL, fetch });
+  const { session_id } = await client.startSession({ benchmark: 'demo', workspace: 'test', name: 'Run task' });
+  const { tasks } = await client.sessionStatus(session_id);
+  return { client, calls, tasks };
+}
+
+test('a new task is started, worked on and completed once', async () => {
+  const { client, calls, tasks } = await demoSession();
+  let runs = 0;
+
+  const result = await client.runTask(tasks[0], async ({ demo, taskText }) => {
+    runs++;
+    assert.ok(taskText);
+    const { value } = await demo.getSecret();
+    await demo.submitAnswer(value);
+    return value;
+  });
+
+  assert.equal(runs, 1);
+  assert.equal(result.ok, true);
+  assert.equal(result.skipped, false);
+  assert.equal(result.error, null);
+  assert.equal(typeof result.score, 'number');
+  assert.equal(result.eval.score, result.score);
+  assert.equal(calls['/tasks/start'], 1);
+  assert.equal(calls['/tasks/complete'], 1);
+});
+
+test('a completed task is not worked on or completed again', async () => {
+  const { client, calls, tasks } = await demoSession();
+  const first = await client.runTask(tasks[0], async ({ demo }) => demo.submitAnswer((await demo.getSecret()).value));
+
+  const result = await client.runTask(tasks[0].task_id, () => assert.fail('work ran for a completed task'));
+
+  assert.equal(result.skipped, true);
+  assert.equal(result.ok, true);
+  assert.equal(result.error, null);
+  assert.equal(result.score, first.score);
+  assert.equal(calls['/tasks/complete'], 1);
+});
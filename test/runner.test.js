@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ERC3 } from '../src/client.js';
+import { SessionRunner } from '../src/runner.js';
+import { MockServer } from '../src/mock/index.js';
+
+const BASE_URL = 'http://erc3.test';
+const SESSION = { benchmark: 'demo', workspace: 'test', name: 'Runner' };
+
+const ANSWERS = {
+  secret_echo: secret => secret,
+  secret_reverse: secret => [...secret].reverse().join(''),
+  secret_length: secret => secret.length,
+};
+
+/**
+ * Work function solving demo tasks, tracking how many run at once
+ */
+function solver() {
+  const stats = { running: 0, maxRunning: 0 };
+  const work = async ({ task, demo }) => {
+    stats.maxRunning = Math.max(stats.maxRunning, ++stats.running);
+    try {
+      const { value } = await demo.getSecret();
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await demo.submitAnswer(ANSWERS[task.spec_id](value));
+    } finally {
+      stats.running--;
+    }
+  };
+  return { work, stats };
+}
+
+test('runs every task with a concurrency limit and submits the session', async () => {
+  const client = new ERC3({ apiKey: 'test', baseUrl: BASE_URL, fetch: new MockServer().fetch });
+  const runner = new SessionRunner(client, { concurrency: 2, submit: true });
+  const events = [];
+  for (const name of ['start', 'taskStart', 'taskEnd', 'submit', 'end']) {
+    runner.on(name, () => events.push(name));
+  }
+  const { work, stats } = solver();
+
+  const report = await runner.run(SESSION, work);
+
+  assert.equal(stats.maxRunning, 2);
+  assert.equal(report.total, 3);
+  assert.equal(report.succeeded, 3);
+  assert.equal(report.score, 1);
+  assert.deepEqual(report.results.map(result => result.specId), ['secret_echo', 'secret_reverse', 'secret_length']);
+  assert.equal(report.submission.status, 'submitted');
+  assert.equal(report.aborted, false);
+  assert.equal(events[0], 'start');
+  assert.equal(events.filter(name => name === 'taskEnd').length, 3);
+  assert.deepEqual(events.slice(-2), ['submit', 'end']);
+
+  const { tasks, status } = await client.sessionStatus(report.sessionId);
+  assert.equal(status, 'submitted');
+  assert.ok(tasks.every(task => task.status === 'completed'));
+});
+
+test('a failing task is reported without stopping the others', async () => {
+  const client = new ERC3({ apiKey: 'test', baseUrl: BASE_URL, fetch: new MockServer().fetch });
+  const { work } = solver();
+
+  const report = await new SessionRunner(client).run(SESSION, async ctx => {
+    if (ctx.task.spec_id === 'secret_reverse') {
+      throw new Error('stuck');
+    }
+    return work(ctx);
+  });
+
+  assert.deepEqual([report.succeeded, report.failed], [2, 1]);
+  assert.equal(report.results[1].error.message, 'stuck');
+  assert.equal(report.results[1].score, 0);
+  assert.equal(report.submission, null);
+});
+
+test('an aborted run starts no new task and is not submitted', async () => {
+  const server = new MockServer();
+  const submits = [];
+  const fetch = (url, init) => {
+    if (new URL(url).pathname === '/sessions/submit') {
+      submits.push(url);
+    }
+    return server.fetch(url, init);
+  };
+  const client = new ERC3({ apiKey: 'test', baseUrl: BASE_URL, fetch });
+  const controller = new AbortController();
+  const runner = new SessionRunner(client, { submit: true });
+  const work = async ({ signal }) => {
+    controller.abort();
+    return signal.aborted;
+  };
+
+  const report = await runner.run(SESSION, work, { signal: controller.signal });
+
+  assert.equal(report.aborted, true);
+  assert.equal(report.results.length, 1);
+  assert.equal(report.results[0].output, true);
+  assert.equal(report.submission, null);
+  assert.deepEqual(submits, []);
+
+  const { tasks } = await client.sessionStatus(report.sessionId);
+  assert.deepEqual(tasks.map(task => task.status), ['completed', 'new', 'new']);
+});
+
+test('tasks completed before the run are skipped', async () => {
+  const client = new ERC3({ apiKey: 'test', baseUrl: BASE_URL, fetch: new MockServer().fetch });
+  const { session_id } = await client.startSession(SESSION);
+  const [first] = (await client.sessionStatus(session_id)).tasks;
+  const { work } = solver();
+  await client.runTask(first, work);
+  const skips = [];
+  const runner = new SessionRunner(client, { concurrency: 3 });
+  runner.on('taskSkip', ({ index }) => skips.push(index));
+
+  const report = await runner.run({ session_id }, work);
+
+  assert.deepEqual(skips, [0]);
+  assert.deepEqual(report.skipped.map(task => task.task_id), [first.task_id]);
+  assert.equal(report.results.length, 2);
+  assert.equal(report.score, 1);
+  assert.throws(() => new SessionRunner(client, { concurrency: 0 }), /Invalid concurrency/);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ERC3 } from '../src/client.js';
+import { MockServer } from '../src/mock/index.js';
+
+const BASE_URL = 'http://erc3.test';
+const CODES = ['SAVE5', 'DOGGY10', 'PETS15', 'BOGUS'];
+
+/**
+ * Transcript-enabled store client on the pet store coupon task, with one bag in the basket
+ */
+async function petStore() {
+  const client = new ERC3({ apiKey: 'test', baseUrl: BASE_URL, fetch: new MockServer().fetch });
+  const { session_id } = await client.startSession({ benchmark: 'store', workspace: 'test', name: 'Transcript' });
+  const task = (await client.sessionStatus(session_id)).tasks.find(info => info.spec_id === 'pet_store_best_coupon');
+  await client.startTask(task);
+  const store = client.getStoreClient(task, { transcript: true });
+  await store.addToBasket('dog-food-premium', 1);
+  return store;
+}
+
+test('re-applying the applied coupon is not recorded', async () => {
+  const store = await petStore();
+  await store.applyCoupon('SAVE5');
+  await store.applyCoupon('SAVE5');
+
+  assert.deepEqual(store.transcript.map(entry => entry.op), ['add', 'applyCoupon']);
+  await store.undo(2);
+  assert.deepEqual((await store.viewBasket()).items ?? [], []);
+});
+
+test('a coupon search that restores the original coupon leaves no entry', async () => {
+  const store = await petStore();
+  await store.applyCoupon('SAVE5');
+
+  await store.optimizeCoupons(CODES);
+
+  assert.deepEqual(store.transcript.map(entry => entry.op), ['add', 'applyCoupon']);
+  assert.equal((await store.viewBasket()).coupon, 'SAVE5');
+});
+
+test('a coupon search that keeps the best coupon is undone in one step', async () => {
+  const store = await petStore();
+  await store.applyCoupon('SAVE5');
+
+  const { applied } = await store.optimizeCoupons(CODES, { keep: 'best' });
+  assert.equal(applied, 'PETS15');
+  assert.deepEqual(store.transcript.at(-1), { ...store.transcript.at(-1), op: 'applyCoupon', coupon: 'PETS15', previousCoupon: 'SAVE5' });
+  assert.equal(store.transcript.length, 3);
+
+  await store.undo(1);
+  assert.equal((await store.viewBasket()).coupon, 'SAVE5');
+  await store.undo(2);
+  const basket = await store.viewBasket();
+  assert.equal(basket.coupon ?? null, null);
+  assert.deepEqual(basket.items ?? [], []);
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ERC3 } from '../src/client.js';
+import { UsageTracker, normalizeUsage, extractUsage } from '../src/usage.js';
+import { MockServer } from '../src/mock/index.js';
+
+/**
+ * Client on a mock server with a started store task; `failures` log requests answer 503
+ */
+async function loggingTask(failures = 0) {
+  const server = new MockServer();
+  const logs = [];
+  const fetch = async (url, init) => {
+    if (new URL(url).pathname === '/tasks/log') {
+      if (failures > 0) {
+        failures--;
+        return new Response('{"error":"busy"}', { status: 503 });
+      }
+      logs.push(JSON.parse(init.body));
+    }
+    return server.fetch(url, init);
+  };
+  const client = new ERC3({ apiKey: 'test', baseUrl: 'http://erc3.test', fetch, retry: false });
+  const { session_id } = await client.startSession({ benchmark: 'store', workspace: 'test', name: 'Usage' });
+  const [task] = (await client.sessionStatus(session_id)).tasks;
+  await client.startTask(task);
+  return { client, taskId: task.task_id, logs };
+}
+
+test('usage is normalized from every supported response shape', () => {
+  assert.deepEqual(normalizeUsage({ prompt_tokens: 3, completion_tokens: 2 }), { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 });
+  assert.deepEqual(
+    normalizeUsage({ input_tokens: 10, output_tokens: 4, cache_read_input_tokens: 5, cache_creation_input_tokens: 1 }),
+    { prompt_tokens: 16, completion_tokens: 4, total_tokens: 20 }
+  );
+  assert.deepEqual(extractUsage({ prompt_eval_count: 7, eval_count: 1 }), { prompt_tokens: 7, completion_tokens: 1, total_tokens: 8 });
+  assert.deepEqual(
+    extractUsage({ usageMetadata: { promptTokenCount: 2, candidatesTokenCount: 3, totalTokenCount: 6 } }),
+    { prompt_tokens: 2, completion_tokens: 3, total_tokens: 6 }
+  );
+  assert.equal(extractUsage({ text: 'no usage' }), null);
+  assert.equal(extractUsage(null), null);
+});
+
+test('track logs each call with its model, usage and duration', async () => {
+  const { client, taskId, logs } = await loggingTask();
+
+  const reply = await client.trackUsage(taskId, async () => ({ model: 'gpt-x', usage: { prompt_tokens: 8, completion_tokens: 2 } }));
+  await client.trackUsage(taskId, () => ({ usage: { input_tokens: 1, output_tokens: 1 } }), { model: 'claude-x' });
+  await assert.rejects(client.trackUsage(taskId, async () => {
+    throw new Error('model down');
+  }), /model down/);
+
+  assert.equal(reply.model, 'gpt-x');
+  assert.deepEqual(logs.map(log => [log.model, log.usage.total_tokens]), [['gpt-x', 10], ['claude-x', 2]]);
+  assert.equal(typeof logs[0].duration_sec, 'number');
+  const totals = client.usageTracker.totals.get(taskId);
+  assert.deepEqual([totals.calls, totals.prompt_tokens, totals.total_tokens], [2, 9, 12]);
+
+  const view = await client.viewTask(taskId);
+  assert.equal(view.logs.filter(entry => entry.type === 'llm').length, 2);
+});
+
+test('batched calls are sent by flush, and transient failures stay queued', async () => {
+  const { client, taskId, logs } = await loggingTask(1);
+  const tracker = new UsageTracker(client, { batch: true, maxBatch: 3 });
+  const call = { model: 'm', usage: { prompt_tokens: 1 }, durationSec: 0 };
+
+  await tracker.record(taskId, call);
+  await tracker.record(taskId, call);
+  assert.equal(logs.length, 0);
+  assert.equal(tracker.pending.length, 2);
+
+  await assert.rejects(tracker.flush(), { status: 503 });
+  assert.deepEqual([logs.length, tracker.pending.length], [1, 1]);
+  assert.equal(await tracker.flush(), 1);
+  assert.equal(tracker.pending.length, 0);
+
+  for (let i = 0; i < 3; i++) {
+    await tracker.record(taskId, call);
+  }
+  assert.equal(logs.length, 5);
+  assert.equal(tracker.pending.length, 0);
+});
+
+test('calls the server rejects for good are dropped', async () => {
+  const { client, logs } = await loggingTask();
+  const errors = [];
+  const ignore = () => {};
+  const tracker = new UsageTracker(client, {
+    logger: { debug: ignore, info: ignore, warn: ignore, error: message => errors.push(message) },
+  });
+
+  await tracker.record('tsk-9999', { model: 'm', usage: {}, durationSec: 0 });
+
+  assert.equal(tracker.pending.length, 0);
+  assert.equal(logs.length, 1);
+  assert.deepEqual(errors, ['LLM usage rejected by the server; call dropped']);
+});
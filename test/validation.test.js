@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ERC3 } from '../src/client.js';
+import { SchemaMismatchError } from '../src/common.js';
+import { MockServer } from '../src/mock/index.js';
+
+/**
+ * Client on a mock server whose `/benchmarks/list` answers carry a numeric ID
+ */
+function clientWithDrift(validation, logger) {
+  const server = new MockServer();
+  const fetch = async (url, init) => {
+    const response = await server.fetch(url, init);
+    if (new URL(url).pathname !== '/benchmarks/list') {
+      return response;
+    }
+    const body = await response.json();
+    body.benchmarks[0].id = 7;
+    return new Response(JSON.stringify(body), { status: 200, headers: { 'X-Request-Id': 'req-1' } });
+  };
+  return new ERC3({ apiKey: 'test', baseUrl: 'http://erc3.test', fetch, validation, logger });
+}
+
+test('strict validation throws on a response that does not match its schema', async () => {
+  await assert.rejects(clientWithDrift('strict').listBenchmarks(), error => {
+    assert.ok(error instanceof SchemaMismatchError);
+    assert.equal(error.status, 502);
+    assert.equal(error.endpoint, '/benchmarks/list');
+    assert.equal(error.path, '$.benchmarks[0].id');
+    assert.deepEqual(error.issues, [{ path: '$.benchmarks[0].id', message: 'expected string, got number' }]);
+    return true;
+  });
+
+  const { benchmarks } = await new ERC3({ apiKey: 'test', fetch: new MockServer().fetch, validation: 'strict' }).listBenchmarks();
+  assert.ok(benchmarks.length > 0);
+});
+
+test('warn validation logs the mismatch and returns the body', async () => {
+  const errors = [];
+  const ignore = () => {};
+  const logger = { debug: ignore, info: ignore, warn: ignore, error: (message, fields) => errors.push({ message, fields }) };
+
+  const { benchmarks } = await clientWithDrift('warn', logger).listBenchmarks();
+
+  assert.equal(benchmarks[0].id, 7);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].message, 'Schema mismatch for /benchmarks/list');
+  assert.equal(errors[0].fields.path, '$.benchmarks[0].id');
+
+  const off = await clientWithDrift('off', logger).listBenchmarks();
+  assert.equal(off.benchmarks[0].id, 7);
+  assert.equal(errors.length, 1);
+});